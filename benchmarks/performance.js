@@ -0,0 +1,92 @@
+// benchmarks/performance.js - Move generation benchmark (npm run benchmark)
+//
+// Runs perft on standard positions with the mailbox and bitboard board backends
+// and reports nodes per second and the bitboard speed-up. Every position is run
+// a ply shallower with both backends before timing, so neither pays for JIT
+// compilation.
+
+import { FEN } from '../src/core/FEN.js';
+import { Perft } from '../src/core/Perft.js';
+
+const POSITIONS = [
+    { name: 'Initial position', fen: FEN.STARTING_FEN, depth: 5 },
+    {
+        name: 'Kiwipete',
+        fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+        depth: 4,
+    },
+    { name: 'Position 3', fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1', depth: 5 },
+    {
+        name: 'Position 4',
+        fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+        depth: 4,
+    },
+];
+
+function measure(fen, depth, backend) {
+    const perft = Perft.fromFEN(fen, backend);
+    const start = process.hrtime.bigint();
+    const nodes = perft.perft(depth);
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+    return { nodes, ms };
+}
+
+function run() {
+    console.log('Perft benchmark (mailbox vs bitboard backend)\n');
+
+    const header = [
+        'Position',
+        'Depth',
+        'Nodes',
+        'Mailbox ms',
+        'Bitboard ms',
+        'Bitboard n/s',
+        'Speed-up',
+    ];
+    const rows = [header];
+
+    for (const { fen, depth } of POSITIONS) {
+        measure(fen, depth - 1, 'mailbox');
+        measure(fen, depth - 1, 'bitboard');
+    }
+
+    let mailboxTotal = 0;
+    let bitboardTotal = 0;
+
+    for (const { name, fen, depth } of POSITIONS) {
+        const mailbox = measure(fen, depth, 'mailbox');
+        const bitboard = measure(fen, depth, 'bitboard');
+
+        if (mailbox.nodes !== bitboard.nodes) {
+            throw new Error(
+                `${name}: backends disagree (mailbox ${mailbox.nodes}, bitboard ${bitboard.nodes})`
+            );
+        }
+
+        mailboxTotal += mailbox.ms;
+        bitboardTotal += bitboard.ms;
+
+        rows.push([
+            name,
+            String(depth),
+            String(bitboard.nodes),
+            mailbox.ms.toFixed(0),
+            bitboard.ms.toFixed(0),
+            Math.round(bitboard.nodes / (bitboard.ms / 1000)).toLocaleString('en-US'),
+            `${(mailbox.ms / bitboard.ms).toFixed(2)}x`,
+        ]);
+    }
+
+    const widths = header.map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+    rows.forEach((row) => {
+        const cells = row.map((cell, column) =>
+            column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+        );
+        console.log(cells.join('  '));
+    });
+
+    console.log(`\nTotal speed-up: ${(mailboxTotal / bitboardTotal).toFixed(2)}x`);
+}
+
+run();
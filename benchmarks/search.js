@@ -0,0 +1,81 @@
+// benchmarks/search.js - Move ordering benchmark (npm run benchmark:search)
+//
+// Searches standard positions to a fixed depth with and without move ordering and
+// reports the nodes searched and the node-count reduction ordering gives.
+
+import { FEN } from '../src/core/FEN.js';
+import { Search } from '../src/ai/Search.js';
+
+const POSITIONS = [
+    { name: 'Initial position', fen: FEN.STARTING_FEN, depth: 5 },
+    {
+        name: 'Kiwipete',
+        fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+        depth: 2,
+    },
+    { name: 'Position 3', fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1', depth: 5 },
+    {
+        name: 'Middlegame',
+        fen: 'r1bq1rk1/pp2bppp/2n1pn2/3p4/2PP4/2N1PN2/PP3PPP/R2QKB1R w KQ - 0 8',
+        depth: 4,
+    },
+];
+
+function measure(fen, depth, moveOrdering) {
+    const search = Search.fromFEN(fen, 'mailbox', { moveOrdering });
+    const start = process.hrtime.bigint();
+    const { nodes, score } = search.search({ depth });
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+    return { nodes, score, ms };
+}
+
+function run() {
+    console.log('Search benchmark (generation order vs move ordering)\n');
+
+    const header = [
+        'Position',
+        'Depth',
+        'Unordered nodes',
+        'Ordered nodes',
+        'Unordered ms',
+        'Ordered ms',
+        'Reduction',
+    ];
+    const rows = [header];
+    let unorderedTotal = 0;
+    let orderedTotal = 0;
+
+    for (const { name, fen, depth } of POSITIONS) {
+        const unordered = measure(fen, depth, false);
+        const ordered = measure(fen, depth, true);
+
+        unorderedTotal += unordered.nodes;
+        orderedTotal += ordered.nodes;
+
+        rows.push([
+            name,
+            String(depth),
+            String(unordered.nodes),
+            String(ordered.nodes),
+            unordered.ms.toFixed(0),
+            ordered.ms.toFixed(0),
+            `${(100 * (1 - ordered.nodes / unordered.nodes)).toFixed(1)}%`,
+        ]);
+    }
+
+    const widths = header.map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+    rows.forEach((row) => {
+        const cells = row.map((cell, column) =>
+            column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+        );
+        console.log(cells.join('  '));
+    });
+
+    console.log(
+        `\nTotal nodes: ${unorderedTotal} unordered, ${orderedTotal} ordered ` +
+            `(${(100 * (1 - orderedTotal / unorderedTotal)).toFixed(1)}% fewer)`
+    );
+}
+
+run();
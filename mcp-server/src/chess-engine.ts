@@ -7,6 +7,17 @@
 
 import { readFile } from 'fs/promises';
 import { join } from 'path';
+import { ChessGame } from '../../src/core/ChessGame.js';
+import { FEN } from '../../src/core/FEN.js';
+import { MoveCodec } from '../../src/core/MoveCodec.js';
+import { PGN } from '../../src/core/PGN.js';
+import { Position } from '../../src/core/Position.js';
+import { Evaluator } from '../../src/ai/Evaluator.js';
+import { Search } from '../../src/ai/Search.js';
+import { TranspositionTable } from '../../src/ai/TranspositionTable.js';
+import { mirrorSquare } from '../../src/utils/Coordinates.js';
+
+type MoveFormat = 'uci' | 'san' | 'lan';
 
 interface AnalysisResult {
   evaluation: number;
@@ -45,7 +56,19 @@ interface OpeningData {
     whiteWins: number;
     blackWins: number;
     draws: number;
-  };
+  } | null;
+}
+
+// One table for every fallback search: allocating 16 MB per request is too slow, and
+// Search.search() calls newSearch() on it, so entries from earlier requests age out.
+// It is created on the first fallback search, so servers running WASM never allocate it.
+let searchTable: TranspositionTable | null = null;
+
+function getSearchTable(): TranspositionTable {
+  if (!searchTable) {
+    searchTable = new TranspositionTable(16);
+  }
+  return searchTable;
 }
 
 export class ChessEngine {
@@ -102,7 +125,7 @@ export class ChessEngine {
     }
   }
 
-  async generateMoves(fen: string, legalOnly: boolean, format: string): Promise<string[]> {
+  async generateMoves(fen: string, legalOnly: boolean, format: MoveFormat): Promise<string[]> {
     if (!this.isInitialized) {
       await this.initializeEngine();
     }
@@ -112,7 +135,7 @@ export class ChessEngine {
         this.engine.load_fen(fen);
         const result = this.engine.generate_moves();
         const moves = JSON.parse(result);
-        return this.formatMoves(moves, format);
+        return this.formatMoves(fen, moves, format);
       } else {
         return this.fallbackGenerateMoves(fen, legalOnly, format);
       }
@@ -126,7 +149,7 @@ export class ChessEngine {
     const analysis = await this.analyzePosition(fen, depth, timeLimit);
     
     return {
-      move: analysis.bestMove || 'e2e4', // Default move if no best move found
+      move: analysis.bestMove || '', // No legal moves: checkmate or stalemate
       evaluation: analysis.evaluation,
       confidence: this.calculateConfidence(analysis),
       reasoning: this.generateReasoning(analysis),
@@ -197,12 +220,13 @@ export class ChessEngine {
         }
       }
       
+      const result = this.determineResult(currentFen, moves);
       return {
-        result: this.determineResult(currentFen, moves),
+        result,
         moves,
         finalPosition: currentFen,
         termination: this.getTerminationReason(currentFen, moves),
-        pgn: this.generatePGN(moves, startingFen),
+        pgn: this.generatePGN(moves, startingFen, result),
       };
     } catch (error) {
       console.error('Game simulation error:', error);
@@ -211,7 +235,7 @@ export class ChessEngine {
         moves,
         finalPosition: currentFen,
         termination: 'Error during simulation',
-        pgn: this.generatePGN(moves, startingFen),
+        pgn: this.generatePGN(moves, startingFen, '1/2-1/2'),
       };
     }
   }
@@ -237,32 +261,63 @@ export class ChessEngine {
 
   // Fallback implementations
   private fallbackAnalyzePosition(fen: string, depth: number, timeLimit: number): AnalysisResult {
+    const search = Search.fromFEN(fen, 'mailbox', { tt: getSearchTable() });
+    const result = search.search({ depth, timeLimit });
+
+    // Search scores are centipawns for the side to move; analysis reports pawns for white
+    const whiteToMove = fen.split(' ')[1] !== 'b';
     return {
-      evaluation: 0.0,
-      bestMove: 'e2e4',
-      principalVariation: ['e2e4'],
-      nodesSearched: 1000,
-      searchDepth: Math.min(depth, 3),
-      timeMs: Math.min(timeLimit, 1000),
+      evaluation: (whiteToMove ? result.score : -result.score) / 100,
+      bestMove: result.move ? MoveCodec.toUCI(result.move) : undefined,
+      principalVariation: result.pv.map((move: any) => MoveCodec.toUCI(move)),
+      nodesSearched: result.nodes,
+      searchDepth: result.depth,
+      timeMs: result.time,
     };
   }
 
-  private fallbackGenerateMoves(fen: string, legalOnly: boolean, format: string): string[] {
-    // Basic starting position moves
-    return ['e2e4', 'd2d4', 'g1f3', 'b1c3', 'c2c4'];
+  private fallbackGenerateMoves(fen: string, legalOnly: boolean, format: MoveFormat): string[] {
+    // The JavaScript core only generates legal moves
+    return Position.fromFEN(fen).legalMoves(format);
   }
 
   private fallbackEvaluatePosition(fen: string, detailed: boolean): any {
+    const evaluation = this.staticEvaluation(fen).total / 100;
+
+    if (detailed) {
+      return {
+        evaluation,
+        material: this.calculateMaterial(fen),
+        positional: this.calculatePositional(fen),
+        safety: this.calculateSafety(fen),
+        activity: this.calculateActivity(fen),
+        interpretation: this.interpretEvaluation(evaluation),
+      };
+    }
     return {
-      evaluation: 0.0,
-      interpretation: 'Position is roughly equal',
+      evaluation,
+      interpretation: this.interpretEvaluation(evaluation),
     };
   }
 
   // Helper methods
-  private formatMoves(moves: any[], format: string): string[] {
-    // TODO: Implement move format conversion
-    return moves.map(move => move.toString());
+  private formatMoves(fen: string, moves: any[], format: MoveFormat): string[] {
+    const { board, gameState } = FEN.parse(fen);
+
+    return moves.map(move => {
+      // WebAssembly squares count from a1 = 0, the JavaScript core from a8 = 0
+      const legalMove = MoveCodec.parse(
+        {
+          from: mirrorSquare(move.from),
+          to: mirrorSquare(move.to),
+          promotion: move.promotion ? String(move.promotion).toLowerCase() : null,
+        },
+        board,
+        gameState,
+        'index'
+      );
+      return MoveCodec.format(legalMove, format, board, gameState);
+    });
   }
 
   private calculateConfidence(analysis: AnalysisResult): number {
@@ -273,48 +328,50 @@ export class ChessEngine {
   }
 
   private generateReasoning(analysis: AnalysisResult): string {
-    const eval = analysis.evaluation;
-    if (Math.abs(eval) > 5) {
-      return eval > 0 ? 'White has a decisive advantage' : 'Black has a decisive advantage';
-    } else if (Math.abs(eval) > 2) {
-      return eval > 0 ? 'White is significantly better' : 'Black is significantly better';
-    } else if (Math.abs(eval) > 0.5) {
-      return eval > 0 ? 'White has a slight edge' : 'Black has a slight edge';
+    const evaluation = analysis.evaluation;
+    if (Math.abs(evaluation) > 5) {
+      return evaluation > 0 ? 'White has a decisive advantage' : 'Black has a decisive advantage';
+    } else if (Math.abs(evaluation) > 2) {
+      return evaluation > 0 ? 'White is significantly better' : 'Black is significantly better';
+    } else if (Math.abs(evaluation) > 0.5) {
+      return evaluation > 0 ? 'White has a slight edge' : 'Black has a slight edge';
     } else {
       return 'The position is balanced';
     }
   }
 
-  private interpretEvaluation(eval: number): string {
-    if (Math.abs(eval) > 10) {
-      return eval > 0 ? 'White is winning decisively' : 'Black is winning decisively';
-    } else if (Math.abs(eval) > 3) {
-      return eval > 0 ? 'White has a significant advantage' : 'Black has a significant advantage';
-    } else if (Math.abs(eval) > 1) {
-      return eval > 0 ? 'White is slightly better' : 'Black is slightly better';
+  private interpretEvaluation(evaluation: number): string {
+    if (Math.abs(evaluation) > 10) {
+      return evaluation > 0 ? 'White is winning decisively' : 'Black is winning decisively';
+    } else if (Math.abs(evaluation) > 3) {
+      return evaluation > 0 ? 'White has a significant advantage' : 'Black has a significant advantage';
+    } else if (Math.abs(evaluation) > 1) {
+      return evaluation > 0 ? 'White is slightly better' : 'Black is slightly better';
     } else {
       return 'Position is roughly equal';
     }
   }
 
+  // Evaluator terms are centipawns for white; the evaluation tools report pawns for white
+  private staticEvaluation(fen: string): { total: number; terms: Record<string, number> } {
+    return new Evaluator(FEN.parse(fen).board).evaluate();
+  }
+
   private calculateMaterial(fen: string): number {
-    // TODO: Implement material calculation
-    return 0;
+    return this.staticEvaluation(fen).terms.material / 100;
   }
 
   private calculatePositional(fen: string): number {
-    // TODO: Implement positional evaluation
-    return 0;
+    const { terms } = this.staticEvaluation(fen);
+    return (terms.pieceSquares + terms.pawnStructure + terms.bishopPair + terms.rookFiles) / 100;
   }
 
   private calculateSafety(fen: string): number {
-    // TODO: Implement king safety evaluation
-    return 0;
+    return this.staticEvaluation(fen).terms.kingSafety / 100;
   }
 
   private calculateActivity(fen: string): number {
-    // TODO: Implement piece activity evaluation
-    return 0;
+    return this.staticEvaluation(fen).terms.mobility / 100;
   }
 
   private getEngineDepth(whiteEngine: string, blackEngine: string, isWhite: boolean): number {
@@ -323,28 +380,38 @@ export class ChessEngine {
     return depthMatch ? parseInt(depthMatch[1]) : 6;
   }
 
+  private loadGame(fen: string): ChessGame {
+    const game = new ChessGame();
+    game.fromFEN(fen);
+    return game;
+  }
+
   private applyMove(fen: string, move: string): string {
-    // TODO: Implement move application
-    return fen;
+    return Position.fromFEN(fen).play(move).toFEN();
   }
 
+  // A FEN carries no position history, so repetition draws are not detected here
   private isGameOver(fen: string): boolean {
-    // TODO: Implement game over detection
-    return false;
+    return this.loadGame(fen).isGameOver();
   }
 
   private determineResult(fen: string, moves: string[]): string {
-    // TODO: Implement result determination
-    return '1/2-1/2';
+    const result = this.loadGame(fen).getGameResult();
+    return result ? result.result : '*';
   }
 
   private getTerminationReason(fen: string, moves: string[]): string {
-    // TODO: Implement termination reason detection
-    return 'Normal';
+    const result = this.loadGame(fen).getGameResult();
+    return result ? result.reason : 'Move limit reached';
   }
 
-  private generatePGN(moves: string[], startingFen: string): string {
-    // TODO: Implement PGN generation
-    return moves.join(' ');
+  private generatePGN(moves: string[], startingFen: string, result: string = '*'): string {
+    try {
+      return PGN.write({ moves, fen: startingFen, result, tags: { Event: 'MCP game simulation' } });
+    } catch (error) {
+      // Moves that do not replay legally have no SAN
+      console.error('PGN generation error:', error);
+      return moves.join(' ');
+    }
   }
 }
\ No newline at end of file
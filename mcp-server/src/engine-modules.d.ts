@@ -0,0 +1,126 @@
+// Declarations for the JavaScript engine modules chess-engine.ts imports.
+// Only the parts of their API the bridge uses are declared here.
+
+declare namespace Engine {
+  type Color = 'white' | 'black';
+  type MoveFormat = 'uci' | 'lan' | 'san';
+
+  /** Legal move, with squares counted from a8 = 0 to h1 = 63 */
+  interface Move {
+    from: number;
+    to: number;
+    type: 'normal' | 'capture' | 'double' | 'en_passant' | 'castle';
+    piece: string;
+    color: Color;
+    captured?: string;
+    promotion?: string | null;
+  }
+
+  interface IndexMove {
+    from: number;
+    to: number;
+    promotion?: string | null;
+  }
+
+  /** Board and GameState are only handed back to the engine */
+  interface Board {}
+  interface GameState {}
+
+  interface GameResult {
+    result: '1-0' | '0-1' | '1/2-1/2';
+    reason: string;
+  }
+}
+
+declare module '*/src/core/ChessGame.js' {
+  export class ChessGame {
+    fromFEN(fen: string): boolean;
+    isGameOver(): boolean;
+    getGameResult(): Engine.GameResult | null;
+  }
+}
+
+declare module '*/src/core/FEN.js' {
+  export class FEN {
+    static parse(fen: string): { board: Engine.Board; gameState: Engine.GameState };
+  }
+}
+
+declare module '*/src/core/MoveCodec.js' {
+  export class MoveCodec {
+    static parse(
+      input: Engine.Move | Engine.IndexMove | string,
+      board: Engine.Board,
+      gameState: Engine.GameState,
+      format?: Engine.MoveFormat | 'index' | 'auto'
+    ): Engine.Move;
+    static format(
+      move: Engine.Move,
+      format: Engine.MoveFormat,
+      board?: Engine.Board,
+      gameState?: Engine.GameState
+    ): string;
+    static toUCI(move: Engine.Move): string;
+  }
+}
+
+declare module '*/src/core/PGN.js' {
+  export class PGN {
+    static write(game: {
+      moves?: Array<Engine.Move | string>;
+      tags?: Record<string, string>;
+      result?: string;
+      fen?: string;
+    }): string;
+  }
+}
+
+declare module '*/src/core/Position.js' {
+  export class Position {
+    static fromFEN(fen: string): Position;
+    play(move: Engine.Move | string): Position;
+    legalMoves(format: Engine.MoveFormat): string[];
+    toFEN(): string;
+  }
+}
+
+declare module '*/src/ai/Evaluator.js' {
+  export class Evaluator {
+    constructor(board: Engine.Board);
+    /** Centipawns from white's point of view; the terms add up to the total */
+    evaluate(): { total: number; phase: number; terms: Record<string, number> };
+  }
+}
+
+declare module '*/src/ai/TranspositionTable.js' {
+  export class TranspositionTable {
+    /** @param sizeMB - Table size in MB */
+    constructor(sizeMB?: number);
+  }
+}
+
+declare module '*/src/ai/Search.js' {
+  import type { TranspositionTable } from '*/src/ai/TranspositionTable.js';
+
+  export class Search {
+    static fromFEN(
+      fen: string,
+      backend?: 'mailbox' | 'bitboard',
+      options?: { tt?: TranspositionTable; hashSize?: number }
+    ): Search;
+    /** Scores are centipawns for the side to move */
+    search(limits?: { depth?: number; nodeLimit?: number; timeLimit?: number }): {
+      move: Engine.Move | null;
+      score: number;
+      pv: Engine.Move[];
+      depth: number;
+      nodes: number;
+      time: number;
+    };
+  }
+}
+
+declare module '*/src/utils/Coordinates.js' {
+  /** Maps a square between a8 = 0 and a1 = 0 numbering */
+  export function mirrorSquare(square: number): number;
+}
@@ -0,0 +1,86 @@
+// src/ai/AIPlayer.js
+
+import { Board } from '../core/Board.js';
+import { FEN } from '../core/FEN.js';
+import { GameState } from '../core/GameState.js';
+import { Search } from './Search.js';
+import { TranspositionTable } from './TranspositionTable.js';
+
+/**
+ * AIPlayer - computer opponent for a ChessGame
+ * Searches a copy of the game's position, so the game's board is never touched and
+ * no events fire while thinking, then plays the best move through
+ * ChessGame.makeMove() like any other player. One transposition table is kept for
+ * the whole game, so each search starts from what the previous ones learned.
+ */
+export class AIPlayer {
+    static DIFFICULTIES = {
+        easy: { depth: 1, timeLimit: 250 },
+        medium: { depth: 3, timeLimit: 1000 },
+        hard: { depth: 5, timeLimit: 3000 },
+    };
+
+    /**
+     * @param {ChessGame} game - Game to play in
+     * @param {string} [difficulty] - 'easy', 'medium' or 'hard'
+     * @param {Object} [options] - Player options
+     * @param {number} [options.hashSize] - Transposition table size in MB
+     */
+    constructor(game, difficulty = 'medium', { hashSize = 16 } = {}) {
+        this.game = game;
+        this.tt = new TranspositionTable(hashSize);
+        this.setDifficulty(difficulty);
+    }
+
+    /**
+     * Set the search limits from a difficulty level.
+     * @param {string} difficulty - 'easy', 'medium' or 'hard'
+     * @throws {Error} If the difficulty is unknown
+     */
+    setDifficulty(difficulty) {
+        const limits = AIPlayer.DIFFICULTIES[difficulty];
+        if (!limits) {
+            throw new Error(
+                `Unknown difficulty: ${difficulty} (expected ${Object.keys(AIPlayer.DIFFICULTIES).join(', ')})`
+            );
+        }
+
+        this.difficulty = difficulty;
+        this.limits = { ...limits };
+    }
+
+    /**
+     * Find the best move for the side to move without playing it.
+     * @param {Object} [limits] - Overrides for the difficulty's limits, as taken by
+     *     Search.search(): depth, nodeLimit and timeLimit
+     * @returns {Object} Search result: move, score, pv, depth, nodes, time and tt
+     */
+    search(limits = {}) {
+        const board = new Board();
+        const gameState = new GameState();
+        FEN.load(this.game.toFEN(), board, gameState);
+
+        // The game's position history lets the search see repetitions
+        gameState.positionHistory = [...this.game.gameState.positionHistory];
+
+        return new Search(board, gameState, { tt: this.tt }).search({ ...this.limits, ...limits });
+    }
+
+    /**
+     * Search the position and play the best move in the game.
+     * @param {Object} [limits] - Overrides for the difficulty's limits
+     * @returns {Object|null} Search result of the move played, or null if the game
+     *     is over
+     */
+    makeMove(limits = {}) {
+        if (this.game.isGameOver()) {
+            return null;
+        }
+
+        const result = this.search(limits);
+        if (!result.move || !this.game.makeMove(result.move)) {
+            return null;
+        }
+        return result;
+    }
+}
@@ -0,0 +1,369 @@
+// src/ai/Evaluator.js
+
+import {
+    SQUARE_BITS,
+    KNIGHT_ATTACKS,
+    KING_ATTACKS,
+    bishopAttacks,
+    popCount,
+    queenAttacks,
+    rookAttacks,
+} from '../core/Bitboard.js';
+import { fileOf, mirrorSquare, rankOf } from '../utils/Coordinates.js';
+import { PIECE_VALUES } from '../utils/Constants.js';
+
+// Piece-square tables from white's point of view, written rank 8 first so that row r,
+// column c is square index r * 8 + c; black reads them through mirrorSquare()
+const PAWN_MG = [
+    [0, 0, 0, 0, 0, 0, 0, 0],
+    [50, 50, 50, 50, 50, 50, 50, 50],
+    [10, 10, 20, 30, 30, 20, 10, 10],
+    [5, 5, 10, 25, 25, 10, 5, 5],
+    [0, 0, 0, 20, 20, 0, 0, 0],
+    [5, -5, -10, 0, 0, -10, -5, 5],
+    [5, 10, 10, -20, -20, 10, 10, 5],
+    [0, 0, 0, 0, 0, 0, 0, 0],
+].flat();
+
+const PAWN_EG = [
+    [0, 0, 0, 0, 0, 0, 0, 0],
+    [80, 80, 80, 80, 80, 80, 80, 80],
+    [50, 50, 50, 50, 50, 50, 50, 50],
+    [30, 30, 30, 30, 30, 30, 30, 30],
+    [20, 20, 20, 20, 20, 20, 20, 20],
+    [10, 10, 10, 10, 10, 10, 10, 10],
+    [10, 10, 10, 10, 10, 10, 10, 10],
+    [0, 0, 0, 0, 0, 0, 0, 0],
+].flat();
+
+const KNIGHT = [
+    [-50, -40, -30, -30, -30, -30, -40, -50],
+    [-40, -20, 0, 0, 0, 0, -20, -40],
+    [-30, 0, 10, 15, 15, 10, 0, -30],
+    [-30, 5, 15, 20, 20, 15, 5, -30],
+    [-30, 0, 15, 20, 20, 15, 0, -30],
+    [-30, 5, 10, 15, 15, 10, 5, -30],
+    [-40, -20, 0, 5, 5, 0, -20, -40],
+    [-50, -40, -30, -30, -30, -30, -40, -50],
+].flat();
+
+const BISHOP = [
+    [-20, -10, -10, -10, -10, -10, -10, -20],
+    [-10, 0, 0, 0, 0, 0, 0, -10],
+    [-10, 0, 5, 10, 10, 5, 0, -10],
+    [-10, 5, 5, 10, 10, 5, 5, -10],
+    [-10, 0, 10, 10, 10, 10, 0, -10],
+    [-10, 10, 10, 10, 10, 10, 10, -10],
+    [-10, 5, 0, 0, 0, 0, 5, -10],
+    [-20, -10, -10, -10, -10, -10, -10, -20],
+].flat();
+
+const ROOK = [
+    [0, 0, 0, 0, 0, 0, 0, 0],
+    [5, 10, 10, 10, 10, 10, 10, 5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [0, 0, 0, 5, 5, 0, 0, 0],
+].flat();
+
+const QUEEN = [
+    [-20, -10, -10, -5, -5, -10, -10, -20],
+    [-10, 0, 0, 0, 0, 0, 0, -10],
+    [-10, 0, 5, 5, 5, 5, 0, -10],
+    [-5, 0, 5, 5, 5, 5, 0, -5],
+    [-5, 0, 5, 5, 5, 5, 0, -5],
+    [-10, 0, 5, 5, 5, 5, 0, -10],
+    [-10, 0, 0, 0, 0, 0, 0, -10],
+    [-20, -10, -10, -5, -5, -10, -10, -20],
+].flat();
+
+// Sheltered on the back rank in the middlegame, centralised in the endgame
+const KING_MG = [
+    [-30, -40, -40, -50, -50, -40, -40, -30],
+    [-30, -40, -40, -50, -50, -40, -40, -30],
+    [-30, -40, -40, -50, -50, -40, -40, -30],
+    [-30, -40, -40, -50, -50, -40, -40, -30],
+    [-20, -30, -30, -40, -40, -30, -30, -20],
+    [-10, -20, -20, -20, -20, -20, -20, -10],
+    [20, 20, 0, 0, 0, 0, 20, 20],
+    [20, 30, 10, 0, 0, 10, 30, 20],
+].flat();
+
+const KING_EG = [
+    [-50, -40, -30, -20, -20, -30, -40, -50],
+    [-30, -20, -10, 0, 0, -10, -20, -30],
+    [-30, -10, 20, 30, 30, 20, -10, -30],
+    [-30, -10, 30, 40, 40, 30, -10, -30],
+    [-30, -10, 30, 40, 40, 30, -10, -30],
+    [-30, -10, 20, 30, 30, 20, -10, -30],
+    [-30, -30, 0, 0, 0, 0, -30, -30],
+    [-50, -30, -30, -30, -30, -30, -30, -50],
+].flat();
+
+const PIECE_SQUARE_TABLES = {
+    pawn: { mg: PAWN_MG, eg: PAWN_EG },
+    knight: { mg: KNIGHT, eg: KNIGHT },
+    bishop: { mg: BISHOP, eg: BISHOP },
+    rook: { mg: ROOK, eg: ROOK },
+    queen: { mg: QUEEN, eg: QUEEN },
+    king: { mg: KING_MG, eg: KING_EG },
+};
+
+// Game phase: 24 with all minor and major pieces on the board, 0 with none
+const PHASE_WEIGHTS = { pawn: 0, knight: 1, bishop: 1, rook: 2, queen: 4, king: 0 };
+const MAX_PHASE = 24;
+
+// Per square a piece can move to, [middlegame, endgame]
+const MOBILITY = { knight: [4, 4], bishop: [5, 5], rook: [2, 4], queen: [1, 2] };
+
+const DOUBLED_PAWN = [-10, -20];
+const ISOLATED_PAWN = [-10, -15];
+// Passed pawn bonus by rank from the pawn's own side, index 0 for rank 1
+const PASSED_PAWN = {
+    mg: [0, 5, 10, 15, 25, 40, 60, 0],
+    eg: [0, 10, 15, 25, 40, 65, 100, 0],
+};
+
+// King safety is a middlegame concern
+const PAWN_SHIELD = [12, 6];
+// Penalty by the number of enemy pieces attacking the king's zone
+const KING_ATTACKERS = [0, 0, 20, 45, 75, 110, 150, 200];
+
+const BISHOP_PAIR = [30, 50];
+const ROOK_OPEN_FILE = [25, 15];
+const ROOK_SEMI_OPEN_FILE = [12, 8];
+
+const TERMS = [
+    'material',
+    'pieceSquares',
+    'mobility',
+    'pawnStructure',
+    'kingSafety',
+    'bishopPair',
+    'rookFiles',
+];
+
+function slidingAttacks(type, square, occupied) {
+    if (type === 'bishop') {
+        return bishopAttacks(square, occupied);
+    }
+    if (type === 'rook') {
+        return rookAttacks(square, occupied);
+    }
+    return queenAttacks(square, occupied);
+}
+
+/**
+ * Evaluator - static evaluation of a position
+ *
+ * Adds up, for each side, material, piece-square tables, mobility, pawn structure
+ * (doubled, isolated and passed pawns), king safety (pawn shield and pieces attacking
+ * the king's zone), the bishop pair and rooks on open or semi-open files. Each term is
+ * scored separately for the middlegame and the endgame, and the two are blended by the
+ * game phase, which falls from 24 to 0 as knights, bishops, rooks and queens come off.
+ *
+ * Scores are in centipawns, positive when white is better.
+ */
+export class Evaluator {
+    static TERMS = TERMS;
+
+    static MAX_PHASE = MAX_PHASE;
+
+    /**
+     * @param {Board} board - Board to evaluate; it is read on every call, so one
+     *     instance follows its board through make/unmake
+     */
+    constructor(board) {
+        this.board = board;
+    }
+
+    /**
+     * Evaluate the position term by term.
+     * @returns {{total: number, phase: number, terms: Object<string, number>}} Total
+     *     score, game phase (24 = opening, 0 = bare kings and pawns) and the tapered
+     *     score of each term in TERMS; the terms add up to the total
+     */
+    evaluate() {
+        const pieces = [];
+        const occupied = { white: 0n, black: 0n };
+        const pawnRanks = {
+            white: Array.from({ length: 8 }, () => []),
+            black: Array.from({ length: 8 }, () => []),
+        };
+        const kings = { white: -1, black: -1 };
+
+        this.board.squares.forEach((piece, square) => {
+            if (!piece) {
+                return;
+            }
+            const type = piece.getType();
+            const color = piece.getColor();
+
+            pieces.push({ type, color, square });
+            occupied[color] |= SQUARE_BITS[square];
+            if (type === 'pawn') {
+                pawnRanks[color][fileOf(square)].push(rankOf(square));
+            } else if (type === 'king') {
+                kings[color] = square;
+            }
+        });
+
+        const scores = Object.fromEntries(TERMS.map((term) => [term, [0, 0]]));
+        const add = (term, color, mg, eg) => {
+            const sign = color === 'white' ? 1 : -1;
+            scores[term][0] += sign * mg;
+            scores[term][1] += sign * eg;
+        };
+
+        const kingZones = {
+            white: kings.white === -1 ? 0n : KING_ATTACKS[kings.white] | SQUARE_BITS[kings.white],
+            black: kings.black === -1 ? 0n : KING_ATTACKS[kings.black] | SQUARE_BITS[kings.black],
+        };
+        const kingAttackers = { white: 0, black: 0 };
+        const bishops = { white: 0, black: 0 };
+        const allOccupied = occupied.white | occupied.black;
+        let phase = 0;
+
+        for (const { type, color, square } of pieces) {
+            const opponent = color === 'white' ? 'black' : 'white';
+            const index = color === 'white' ? square : mirrorSquare(square);
+            const table = PIECE_SQUARE_TABLES[type];
+
+            phase += PHASE_WEIGHTS[type];
+            if (type !== 'king') {
+                const value = PIECE_VALUES[type] * 100;
+                add('material', color, value, value);
+            }
+            add('pieceSquares', color, table.mg[index], table.eg[index]);
+
+            if (MOBILITY[type]) {
+                const attacks =
+                    type === 'knight'
+                        ? KNIGHT_ATTACKS[square]
+                        : slidingAttacks(type, square, allOccupied);
+                const moves = popCount(attacks & ~occupied[color]);
+                add('mobility', color, moves * MOBILITY[type][0], moves * MOBILITY[type][1]);
+
+                if ((attacks & kingZones[opponent]) !== 0n) {
+                    kingAttackers[color]++;
+                }
+            }
+
+            if (type === 'bishop') {
+                bishops[color]++;
+            } else if (type === 'rook') {
+                this.scoreRookFile(add, color, fileOf(square), pawnRanks);
+            }
+        }
+
+        for (const color of ['white', 'black']) {
+            const opponent = color === 'white' ? 'black' : 'white';
+
+            this.scorePawns(add, color, pawnRanks);
+            if (kings[color] !== -1) {
+                this.scorePawnShield(add, color, kings[color], pawnRanks[color]);
+            }
+
+            const penalty = KING_ATTACKERS[Math.min(kingAttackers[opponent], 7)];
+            add('kingSafety', color, -penalty, 0);
+
+            if (bishops[color] >= 2) {
+                add('bishopPair', color, BISHOP_PAIR[0], BISHOP_PAIR[1]);
+            }
+        }
+
+        phase = Math.min(phase, MAX_PHASE);
+        const terms = Object.fromEntries(
+            TERMS.map((term) => {
+                const [mg, eg] = scores[term];
+                return [term, Math.round((mg * phase + eg * (MAX_PHASE - phase)) / MAX_PHASE)];
+            })
+        );
+        const total = TERMS.reduce((sum, term) => sum + terms[term], 0);
+
+        return { total, phase, terms };
+    }
+
+    /**
+     * Evaluate the position for one side.
+     * @param {string} color - 'white' or 'black'
+     * @returns {number} Score in centipawns from that side's point of view
+     */
+    score(color) {
+        const { total } = this.evaluate();
+        return color === 'white' ? total : -total;
+    }
+
+    scorePawns(add, color, pawnRanks) {
+        const own = pawnRanks[color];
+        const enemy = pawnRanks[color === 'white' ? 'black' : 'white'];
+        const ahead = color === 'white' ? (a, b) => a > b : (a, b) => a < b;
+
+        for (let file = 0; file < 8; file++) {
+            const ranks = own[file];
+            if (ranks.length === 0) {
+                continue;
+            }
+
+            if (ranks.length > 1) {
+                const extra = ranks.length - 1;
+                add('pawnStructure', color, extra * DOUBLED_PAWN[0], extra * DOUBLED_PAWN[1]);
+            }
+
+            const isolated =
+                (file === 0 || own[file - 1].length === 0) &&
+                (file === 7 || own[file + 1].length === 0);
+            if (isolated) {
+                add(
+                    'pawnStructure',
+                    color,
+                    ranks.length * ISOLATED_PAWN[0],
+                    ranks.length * ISOLATED_PAWN[1]
+                );
+            }
+
+            for (const rank of ranks) {
+                const blocked = [file - 1, file, file + 1].some(
+                    (adjacent) =>
+                        adjacent >= 0 &&
+                        adjacent < 8 &&
+                        enemy[adjacent].some((enemyRank) => ahead(enemyRank, rank))
+                );
+                if (!blocked) {
+                    const relative = color === 'white' ? rank - 1 : 8 - rank;
+                    add('pawnStructure', color, PASSED_PAWN.mg[relative], PASSED_PAWN.eg[relative]);
+                }
+            }
+        }
+    }
+
+    scorePawnShield(add, color, king, ownPawns) {
+        const forward = color === 'white' ? 1 : -1;
+        const kingRank = rankOf(king);
+        const kingFile = fileOf(king);
+        let shield = 0;
+
+        for (let file = Math.max(0, kingFile - 1); file <= Math.min(7, kingFile + 1); file++) {
+            if (ownPawns[file].includes(kingRank + forward)) {
+                shield += PAWN_SHIELD[0];
+            } else if (ownPawns[file].includes(kingRank + 2 * forward)) {
+                shield += PAWN_SHIELD[1];
+            }
+        }
+
+        add('kingSafety', color, shield, 0);
+    }
+
+    scoreRookFile(add, color, file, pawnRanks) {
+        const opponent = color === 'white' ? 'black' : 'white';
+        if (pawnRanks[color][file].length > 0) {
+            return;
+        }
+
+        const bonus = pawnRanks[opponent][file].length === 0 ? ROOK_OPEN_FILE : ROOK_SEMI_OPEN_FILE;
+        add('rookFiles', color, bonus[0], bonus[1]);
+    }
+}
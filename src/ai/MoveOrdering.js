@@ -0,0 +1,145 @@
+// src/ai/MoveOrdering.js
+
+import { PIECE_VALUES } from '../utils/Constants.js';
+
+// Score bands, highest first; each band's scores stay below the next band up
+const TT_MOVE_SCORE = 1000000;
+const CAPTURE_SCORE = 100000;
+const PROMOTION_SCORE = 90000;
+const KILLER_SCORE = 80000;
+
+// History scores are halved once one reaches this, keeping them under KILLER_SCORE
+const HISTORY_LIMIT = 50000;
+
+const MAX_PLY = 128;
+
+/**
+ * MoveOrdering - orders moves so alpha-beta searches the likely best ones first
+ *
+ * Moves are searched in this order:
+ * 1. the transposition table's best move;
+ * 2. captures, most valuable victim first and then least valuable attacker (MVV-LVA);
+ * 3. promotions, queen first;
+ * 4. the killer moves of the ply: the last two quiet moves that caused a beta cutoff
+ *    at the same distance from the root;
+ * 5. other quiet moves by their history score, which grows with the depth of every
+ *    cutoff the move (by from and to square, per side) has caused.
+ */
+export class MoveOrdering {
+    constructor() {
+        this.killers = Array.from({ length: MAX_PLY }, () => [null, null]);
+        this.history = {
+            white: new Int32Array(64 * 64),
+            black: new Int32Array(64 * 64),
+        };
+    }
+
+    /**
+     * Prepare for a new search: killers are forgotten and history scores halved, so
+     * what the previous search learned still counts but fades.
+     */
+    newSearch() {
+        this.killers.forEach((killers) => killers.fill(null));
+        this.ageHistory();
+    }
+
+    /**
+     * Forget all killers and history.
+     */
+    clear() {
+        this.killers.forEach((killers) => killers.fill(null));
+        this.history.white.fill(0);
+        this.history.black.fill(0);
+    }
+
+    /**
+     * Sort moves in place, best candidates first.
+     * @param {Object[]} moves - Move objects
+     * @param {Object|null} ttMove - Best move from the transposition table
+     *     ({from, to, promotion}), if any
+     * @param {number} ply - Distance from the root
+     * @returns {Object[]} The sorted moves
+     */
+    order(moves, ttMove, ply) {
+        const scores = new Map(moves.map((move) => [move, this.score(move, ttMove, ply)]));
+        return moves.sort((a, b) => scores.get(b) - scores.get(a));
+    }
+
+    /**
+     * Score a move for ordering; higher is searched first.
+     * @param {Object} move - Move object
+     * @param {Object|null} ttMove - Best move from the transposition table
+     * @param {number} ply - Distance from the root
+     * @returns {number} Ordering score
+     */
+    score(move, ttMove, ply) {
+        if (ttMove && MoveOrdering.sameMove(move, ttMove)) {
+            return TT_MOVE_SCORE;
+        }
+        if (move.captured) {
+            return CAPTURE_SCORE + PIECE_VALUES[move.captured] * 1000 - PIECE_VALUES[move.piece];
+        }
+        if (move.promotion) {
+            return PROMOTION_SCORE + PIECE_VALUES[move.promotion];
+        }
+
+        const killers = this.killers[ply];
+        if (killers && MoveOrdering.sameMove(move, killers[0])) {
+            return KILLER_SCORE + 1;
+        }
+        if (killers && MoveOrdering.sameMove(move, killers[1])) {
+            return KILLER_SCORE;
+        }
+
+        return this.history[move.color][move.from * 64 + move.to];
+    }
+
+    /**
+     * Learn from a move that caused a beta cutoff. Only quiet moves are recorded;
+     * captures and promotions are ordered well without help.
+     * @param {Object} move - Move that failed high
+     * @param {number} depth - Remaining depth at the node
+     * @param {number} ply - Distance from the root
+     */
+    recordCutoff(move, depth, ply) {
+        if (move.captured || move.promotion) {
+            return;
+        }
+
+        const killers = this.killers[ply];
+        if (killers && !MoveOrdering.sameMove(move, killers[0])) {
+            killers[1] = killers[0];
+            killers[0] = move;
+        }
+
+        const history = this.history[move.color];
+        const index = move.from * 64 + move.to;
+        history[index] += depth * depth;
+        if (history[index] >= HISTORY_LIMIT) {
+            this.ageHistory();
+        }
+    }
+
+    ageHistory() {
+        for (const history of [this.history.white, this.history.black]) {
+            for (let index = 0; index < history.length; index++) {
+                history[index] >>= 1;
+            }
+        }
+    }
+
+    /**
+     * Compare moves by squares and promotion piece.
+     * @param {Object} a - Move or {from, to, promotion}
+     * @param {Object|null} b - Move or {from, to, promotion}
+     * @returns {boolean} True if both describe the same move
+     */
+    static sameMove(a, b) {
+        return (
+            !!b &&
+            a.from === b.from &&
+            a.to === b.to &&
+            (a.promotion || null) === (b.promotion || null)
+        );
+    }
+}
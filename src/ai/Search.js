@@ -0,0 +1,333 @@
+// src/ai/Search.js
+
+import { Board } from '../core/Board.js';
+import { BitboardBoard } from '../core/BitboardBoard.js';
+import { FEN } from '../core/FEN.js';
+import { GameState } from '../core/GameState.js';
+import { MoveValidator } from '../core/MoveValidator.js';
+import { StaticExchange } from '../core/StaticExchange.js';
+import { MATE_BOUND, MATE_SCORE } from '../utils/Constants.js';
+import { Evaluator } from './Evaluator.js';
+import { MoveOrdering } from './MoveOrdering.js';
+import { TranspositionTable } from './TranspositionTable.js';
+
+// Margin for delta pruning: a capture that cannot bring the score within this of alpha
+// is skipped, covering what the evaluation may change beyond the material won
+const DELTA_MARGIN = 200;
+
+// How often the clock is read, in nodes
+const TIME_CHECK_INTERVAL = 256;
+
+/**
+ * Search - negamax alpha-beta search with iterative deepening
+ * Searches the position of a board and game state in place with
+ * Board.makeMove()/unmakeMove(), so the position is unchanged afterwards. Scores are
+ * in centipawns from the side to move's point of view. The leaves of the full-width
+ * search are resolved by a quiescence search, so no position is scored halfway
+ * through an exchange.
+ */
+export class Search {
+    static BACKENDS = ['bitboard', 'mailbox'];
+
+    static MATE_SCORE = MATE_SCORE;
+
+    static DEFAULT_LIMITS = { depth: 4, nodeLimit: Infinity, timeLimit: Infinity };
+
+    /**
+     * @param {Board} board - Board to search (restored after every call)
+     * @param {GameState} gameState - Game state belonging to the board
+     * @param {Object} [options] - Search options
+     * @param {TranspositionTable} [options.tt] - Table to use, e.g. one kept between
+     *     the moves of a game
+     * @param {number} [options.hashSize] - Size in MB of a new table, if none is given
+     * @param {boolean} [options.moveOrdering] - Order moves with MoveOrdering; off, moves
+     *     are searched in generation order (for benchmarks)
+     */
+    constructor(board, gameState, { tt = null, hashSize = 16, moveOrdering = true } = {}) {
+        this.board = board;
+        this.gameState = gameState;
+        this.moveValidator = new MoveValidator(board, gameState);
+        this.tt = tt || new TranspositionTable(hashSize);
+        this.see = new StaticExchange(board);
+        this.evaluator = new Evaluator(board);
+        this.ordering = moveOrdering ? new MoveOrdering() : null;
+        this.nodes = 0;
+    }
+
+    /**
+     * Create a Search instance for a FEN position.
+     * @param {string} fen - FEN string
+     * @param {string} [backend] - Board representation: 'mailbox' (the default, faster in
+     *     npm run benchmark) or 'bitboard'
+     * @param {Object} [options] - Search options, as taken by the constructor
+     * @returns {Search} Search instance over a freshly parsed position
+     * @throws {Error} If the FEN or backend is invalid
+     */
+    static fromFEN(fen, backend = 'mailbox', options = {}) {
+        if (!Search.BACKENDS.includes(backend)) {
+            throw new Error(`Unknown board backend: ${backend}`);
+        }
+
+        const board = backend === 'bitboard' ? new BitboardBoard() : new Board();
+        const gameState = new GameState();
+        FEN.load(fen, board, gameState);
+
+        return new Search(board, gameState, options);
+    }
+
+    /**
+     * Search the position one ply deeper at a time until a limit is reached. The
+     * first iteration always completes, so a position with legal moves always gets a
+     * move; a later iteration cut short by a limit is discarded.
+     * @param {Object} [limits] - Search limits
+     * @param {number} [limits.depth] - Deepest iteration, in plies
+     * @param {number} [limits.nodeLimit] - Stop after this many nodes
+     * @param {number} [limits.timeLimit] - Stop after this many milliseconds
+     * @returns {{move: Object|null, score: number, pv: Object[], depth: number,
+     *     nodes: number, time: number, tt: Object}} Best move (null without legal moves),
+     *     its score, the principal variation, the last completed depth, nodes searched,
+     *     elapsed milliseconds and the transposition table's statistics for this search
+     * @throws {Error} If the depth is not a positive integer
+     */
+    search(limits = {}) {
+        const { depth, nodeLimit, timeLimit } = { ...Search.DEFAULT_LIMITS, ...limits };
+        if (!Number.isInteger(depth) || depth < 1) {
+            throw new Error(`Invalid search depth: ${depth} must be a positive integer`);
+        }
+
+        const start = Date.now();
+        this.tt.newSearch();
+        if (this.ordering) {
+            this.ordering.newSearch();
+        }
+        this.nodes = 0;
+        this.nodeLimit = nodeLimit;
+        this.deadline = start + timeLimit;
+        this.aborted = false;
+
+        let best = { move: null, score: 0, pv: [], depth: 0 };
+
+        for (let iteration = 1; iteration <= depth; iteration++) {
+            this.stoppable = iteration > 1;
+            const pv = [];
+            const score = this.negamax(iteration, -Infinity, Infinity, 0, pv);
+
+            if (this.aborted) {
+                break;
+            }
+            best = { move: pv[0] || null, score, pv, depth: iteration };
+
+            // Nothing to search, or a forced mate that deeper iterations cannot improve
+            if (!best.move || Math.abs(score) > MATE_SCORE - MATE_BOUND) {
+                break;
+            }
+        }
+
+        return {
+            ...best,
+            nodes: this.nodes,
+            time: Date.now() - start,
+            tt: this.tt.getStats(),
+        };
+    }
+
+    /**
+     * Negamax alpha-beta search. Results are stored in the transposition table; below
+     * the root a stored result that is deep enough and fits the window is returned
+     * without searching, which leaves the principal variation short at that node.
+     * @param {number} depth - Remaining depth in plies
+     * @param {number} alpha - Lower bound of the window
+     * @param {number} beta - Upper bound of the window
+     * @param {number} ply - Distance from the root
+     * @param {Object[]} pv - Filled with the principal variation from this node
+     * @returns {number} Score of the node
+     */
+    negamax(depth, alpha, beta, ply, pv) {
+        if (depth === 0) {
+            return this.quiesce(alpha, beta, ply);
+        }
+
+        this.nodes++;
+        if (this.shouldStop()) {
+            this.aborted = true;
+            return 0;
+        }
+
+        if (ply > 0 && this.isDraw()) {
+            return 0;
+        }
+
+        const hash = this.gameState.hash;
+        const entry = this.tt.probe(hash, ply);
+        if (entry && ply > 0 && entry.depth >= depth) {
+            if (
+                entry.bound === TranspositionTable.EXACT ||
+                (entry.bound === TranspositionTable.LOWER && entry.score >= beta) ||
+                (entry.bound === TranspositionTable.UPPER && entry.score <= alpha)
+            ) {
+                return entry.score;
+            }
+        }
+
+        const color = this.gameState.currentPlayer;
+        const moves = this.moveValidator.getAllLegalMoves(color);
+        if (moves.length === 0) {
+            return this.moveValidator.isInCheck(color) ? -Search.MATE_SCORE + ply : 0;
+        }
+
+        if (this.ordering) {
+            this.ordering.order(moves, entry && entry.move, ply);
+        }
+
+        const alphaOriginal = alpha;
+        let bestScore = -Infinity;
+        let bestMove = null;
+
+        for (const move of moves) {
+            const line = [];
+            const record = this.board.makeMove(move, this.gameState);
+            const score = -this.negamax(depth - 1, -beta, -alpha, ply + 1, line);
+            this.board.unmakeMove(record, this.gameState);
+
+            if (this.aborted) {
+                return 0;
+            }
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestMove = move;
+            }
+            if (score > alpha) {
+                alpha = score;
+                pv.length = 0;
+                pv.push(move, ...line);
+            }
+            if (alpha >= beta) {
+                if (this.ordering) {
+                    this.ordering.recordCutoff(move, depth, ply);
+                }
+                break;
+            }
+        }
+
+        let bound = TranspositionTable.EXACT;
+        if (bestScore <= alphaOriginal) {
+            bound = TranspositionTable.UPPER;
+        } else if (bestScore >= beta) {
+            bound = TranspositionTable.LOWER;
+        }
+        this.tt.store(hash, depth, bound, bestScore, bestMove, ply);
+
+        return bestScore;
+    }
+
+    /**
+     * Quiescence search: only captures and queen promotions are played, until the
+     * position is quiet. The side to move may stand pat on the static evaluation
+     * instead of capturing, except in check, where every evasion is searched. Captures
+     * that lose material by static exchange evaluation, or that cannot raise the score
+     * to alpha even with DELTA_MARGIN to spare (delta pruning), are skipped.
+     * @param {number} alpha - Lower bound of the window
+     * @param {number} beta - Upper bound of the window
+     * @param {number} ply - Distance from the root
+     * @returns {number} Score of the node
+     */
+    quiesce(alpha, beta, ply) {
+        this.nodes++;
+        if (this.shouldStop()) {
+            this.aborted = true;
+            return 0;
+        }
+
+        if (ply > 0 && this.isDraw()) {
+            return 0;
+        }
+
+        const color = this.gameState.currentPlayer;
+        const moves = this.moveValidator.getAllLegalMoves(color);
+        const inCheck = this.moveValidator.isInCheck(color);
+        if (moves.length === 0) {
+            return inCheck ? -Search.MATE_SCORE + ply : 0;
+        }
+
+        let standPat = -Infinity;
+        if (!inCheck) {
+            standPat = this.evaluate();
+            if (standPat >= beta) {
+                return standPat;
+            }
+            alpha = Math.max(alpha, standPat);
+        }
+
+        let bestScore = standPat;
+
+        const candidates = inCheck
+            ? moves
+            : moves.filter((move) => move.captured || move.promotion === 'queen');
+        if (this.ordering) {
+            this.ordering.order(candidates, null, ply);
+        }
+
+        for (const move of candidates) {
+            if (!inCheck) {
+                if (
+                    !move.promotion &&
+                    standPat + StaticExchange.VALUES[move.captured] + DELTA_MARGIN <= alpha
+                ) {
+                    continue;
+                }
+                if (this.see.evaluate(move) < 0) {
+                    continue;
+                }
+            }
+
+            const record = this.board.makeMove(move, this.gameState);
+            const score = -this.quiesce(-beta, -alpha, ply + 1);
+            this.board.unmakeMove(record, this.gameState);
+
+            if (this.aborted) {
+                return 0;
+            }
+
+            bestScore = Math.max(bestScore, score);
+            alpha = Math.max(alpha, score);
+            if (alpha >= beta) {
+                break;
+            }
+        }
+
+        return bestScore;
+    }
+
+    /**
+     * Static evaluation from the side to move's point of view.
+     * @returns {number} Score in centipawns
+     */
+    evaluate() {
+        return this.evaluator.score(this.gameState.currentPlayer);
+    }
+
+    /**
+     * Draws the search can claim: a repeated position, the fifty-move rule or
+     * insufficient material. Repetition counts once, as repeating it again is always
+     * possible.
+     * @returns {boolean} True if the position is a draw
+     */
+    isDraw() {
+        return (
+            this.gameState.halfmoveClock >= 100 ||
+            this.gameState.insufficientMaterial ||
+            this.gameState.getRepetitionCount() > 1
+        );
+    }
+
+    shouldStop() {
+        if (!this.stoppable) {
+            return false;
+        }
+        if (this.nodes >= this.nodeLimit) {
+            return true;
+        }
+        return this.nodes % TIME_CHECK_INTERVAL === 0 && Date.now() >= this.deadline;
+    }
+}
@@ -0,0 +1,184 @@
+// src/ai/TranspositionTable.js
+
+import { MATE_BOUND, MATE_SCORE } from '../utils/Constants.js';
+
+// Bytes per entry: key (8), score (4), move (2), depth, bound and age (1 each)
+const ENTRY_BYTES = 17;
+
+const PROMOTION_CODES = { knight: 1, bishop: 2, rook: 3, queen: 4 };
+const PROMOTION_TYPES = [null, 'knight', 'bishop', 'rook', 'queen'];
+
+/**
+ * TranspositionTable - fixed-size hash table of search results
+ * Entries live in parallel typed arrays indexed by the low bits of the position's
+ * Zobrist hash, with the full hash kept to detect collisions. Each slot holds one
+ * entry: a new result replaces it when the slot is empty, holds the same position,
+ * was written by an earlier search, or was searched less deeply.
+ *
+ * Mate scores are stored relative to the node rather than the root, so a mate found
+ * through one path scores correctly when the position is reached at another ply.
+ */
+export class TranspositionTable {
+    static EXACT = 1;
+    static LOWER = 2;
+    static UPPER = 3;
+
+    // Scores beyond this are mates
+    static MATE_THRESHOLD = MATE_SCORE - MATE_BOUND;
+
+    /**
+     * @param {number} [sizeMB] - Memory to use, in megabytes; rounded down to a power of
+     *     two number of entries
+     * @throws {Error} If the size is not a positive number
+     */
+    constructor(sizeMB = 16) {
+        if (typeof sizeMB !== 'number' || !(sizeMB > 0)) {
+            throw new Error(`Invalid transposition table size: ${sizeMB} MB`);
+        }
+
+        const entries = Math.floor((sizeMB * 1024 * 1024) / ENTRY_BYTES);
+        this.size = 2 ** Math.max(0, Math.floor(Math.log2(entries)));
+        this.mask = BigInt(this.size - 1);
+
+        this.keys = new BigUint64Array(this.size);
+        this.scores = new Int32Array(this.size);
+        this.moves = new Uint16Array(this.size);
+        this.depths = new Uint8Array(this.size);
+        this.bounds = new Uint8Array(this.size);
+        this.ages = new Uint8Array(this.size);
+
+        this.age = 0;
+        this.resetStats();
+    }
+
+    /**
+     * Start a new search: entries from earlier searches become replaceable.
+     */
+    newSearch() {
+        this.age = (this.age + 1) & 0xff;
+        this.resetStats();
+    }
+
+    resetStats() {
+        this.probes = 0;
+        this.hits = 0;
+        this.stores = 0;
+    }
+
+    /**
+     * Empty the table.
+     */
+    clear() {
+        this.keys.fill(0n);
+        this.bounds.fill(0);
+        this.age = 0;
+        this.resetStats();
+    }
+
+    /**
+     * Look up a position.
+     * @param {bigint} hash - Zobrist hash of the position
+     * @param {number} ply - Distance of the position from the search root
+     * @returns {{depth: number, bound: number, score: number, move: Object|null}|null}
+     *     Stored result, with move as {from, to, promotion}, or null if absent
+     */
+    probe(hash, ply) {
+        this.probes++;
+
+        const index = Number(hash & this.mask);
+        if (this.bounds[index] === 0 || this.keys[index] !== hash) {
+            return null;
+        }
+
+        this.hits++;
+        return {
+            depth: this.depths[index],
+            bound: this.bounds[index],
+            score: TranspositionTable.scoreFromTable(this.scores[index], ply),
+            move: TranspositionTable.decodeMove(this.moves[index]),
+        };
+    }
+
+    /**
+     * Store a search result, subject to the replacement scheme.
+     * @param {bigint} hash - Zobrist hash of the position
+     * @param {number} depth - Depth the position was searched to
+     * @param {number} bound - EXACT, LOWER (score is at least this) or UPPER (at most)
+     * @param {number} score - Score from the side to move's point of view
+     * @param {Object|null} move - Best move found
+     * @param {number} ply - Distance of the position from the search root
+     */
+    store(hash, depth, bound, score, move, ply) {
+        const index = Number(hash & this.mask);
+        const replace =
+            this.bounds[index] === 0 ||
+            this.keys[index] === hash ||
+            this.ages[index] !== this.age ||
+            depth >= this.depths[index];
+        if (!replace) {
+            return;
+        }
+
+        // Keep the old best move when a search of the same position found none
+        const sameKey = this.bounds[index] !== 0 && this.keys[index] === hash;
+        const encoded = move ? TranspositionTable.encodeMove(move) : 0;
+
+        this.keys[index] = hash;
+        this.scores[index] = TranspositionTable.scoreToTable(score, ply);
+        this.moves[index] = encoded || (sameKey ? this.moves[index] : 0);
+        this.depths[index] = Math.min(depth, 0xff);
+        this.bounds[index] = bound;
+        this.ages[index] = this.age;
+        this.stores++;
+    }
+
+    /**
+     * Usage statistics since the last newSearch().
+     * @returns {{probes: number, hits: number, hitRate: number, stores: number,
+     *     size: number}} Probe and hit counts, hit rate (0-1), stores and entry count
+     */
+    getStats() {
+        return {
+            probes: this.probes,
+            hits: this.hits,
+            hitRate: this.probes === 0 ? 0 : this.hits / this.probes,
+            stores: this.stores,
+            size: this.size,
+        };
+    }
+
+    static scoreToTable(score, ply) {
+        if (score > TranspositionTable.MATE_THRESHOLD) {
+            return score + ply;
+        }
+        if (score < -TranspositionTable.MATE_THRESHOLD) {
+            return score - ply;
+        }
+        return score;
+    }
+
+    static scoreFromTable(score, ply) {
+        if (score > TranspositionTable.MATE_THRESHOLD) {
+            return score - ply;
+        }
+        if (score < -TranspositionTable.MATE_THRESHOLD) {
+            return score + ply;
+        }
+        return score;
+    }
+
+    static encodeMove(move) {
+        return move.from | (move.to << 6) | ((PROMOTION_CODES[move.promotion] || 0) << 12);
+    }
+
+    static decodeMove(code) {
+        if (code === 0) {
+            return null;
+        }
+        return {
+            from: code & 0x3f,
+            to: (code >> 6) & 0x3f,
+            promotion: PROMOTION_TYPES[code >> 12],
+        };
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * JS Chess Engine - Command Line Interface
+ *
+ * Node entry point for engine utilities that do not need a browser.
+ * Currently provides `perft <fen|startpos> <depth>` for move-generator verification.
+ *
+ * @author Jane Alesi <ja@satware.ai>
+ */
+
+import { FEN } from './core/FEN.js';
+import { Perft } from './core/Perft.js';
+
+const USAGE = [
+    'Usage: js-chess-engine perft [--backend=bitboard|mailbox] <fen|startpos> <depth>',
+    '',
+    '  Prints the node count below every legal move (divide) and the total.',
+    '  The FEN may be quoted or passed as separate arguments.',
+    '  --backend selects the board representation (default: mailbox).',
+].join('\n');
+
+/**
+ * Run the CLI with the given arguments.
+ * @param {string[]} args - Arguments after the executable name
+ * @param {Object} [io] - Output functions
+ * @param {Function} [io.out] - Receives normal output lines
+ * @param {Function} [io.err] - Receives error output lines
+ * @returns {number} Process exit code
+ */
+export function runCli(args, { out = console.log, err = console.error } = {}) {
+    const [command, ...params] = args;
+    const options = params.filter((param) => param.startsWith('--'));
+    const rest = params.filter((param) => !param.startsWith('--'));
+
+    if (command !== 'perft') {
+        err(command ? `Unknown command: ${command}\n\n${USAGE}` : USAGE);
+        return 1;
+    }
+
+    if (rest.length < 2) {
+        err(USAGE);
+        return 1;
+    }
+
+    const depth = Number(rest[rest.length - 1]);
+    const fenText = rest.slice(0, -1).join(' ');
+    const fen = fenText === 'startpos' ? FEN.STARTING_FEN : fenText;
+
+    if (!Number.isInteger(depth) || depth < 1) {
+        err(`Invalid depth: ${rest[rest.length - 1]} must be a positive integer`);
+        return 1;
+    }
+
+    const unknown = options.find((option) => !option.startsWith('--backend='));
+    if (unknown) {
+        err(`Unknown option: ${unknown}\n\n${USAGE}`);
+        return 1;
+    }
+    const backendOption = options.findLast((option) => option.startsWith('--backend='));
+    const backend = backendOption ? backendOption.slice('--backend='.length) : 'mailbox';
+
+    let perft;
+    try {
+        perft = Perft.fromFEN(fen, backend);
+    } catch (error) {
+        err(error.message);
+        return 1;
+    }
+
+    const startTime = Date.now();
+    const { moves, total } = perft.divide(depth);
+    const elapsed = Date.now() - startTime;
+
+    moves.forEach(({ move, nodes }) => out(`${move}: ${nodes}`));
+    out('');
+    out(`Nodes searched: ${total}`);
+    out(`Time: ${elapsed} ms`);
+
+    return 0;
+}
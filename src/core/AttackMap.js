@@ -0,0 +1,291 @@
+// src/core/AttackMap.js
+
+import { fileOf, rankOf, squareAt } from '../utils/Coordinates.js';
+
+const KNIGHT_STEPS = [
+    [1, 2],
+    [2, 1],
+    [2, -1],
+    [1, -2],
+    [-1, -2],
+    [-2, -1],
+    [-2, 1],
+    [-1, 2],
+];
+
+// [fileStep, rankStep]; the first four are rook directions, the last four bishop directions
+const DIRECTIONS = [
+    [0, 1],
+    [0, -1],
+    [1, 0],
+    [-1, 0],
+    [1, 1],
+    [1, -1],
+    [-1, 1],
+    [-1, -1],
+];
+
+const SLIDER_DIRECTIONS = {
+    rook: [0, 1, 2, 3],
+    bishop: [4, 5, 6, 7],
+    queen: [0, 1, 2, 3, 4, 5, 6, 7],
+};
+
+function stepTargets(square, steps) {
+    return steps
+        .map(([fileStep, rankStep]) =>
+            squareAt(fileOf(square) + fileStep, rankOf(square) + rankStep)
+        )
+        .filter((target) => target !== -1);
+}
+
+function rayFrom(square, [fileStep, rankStep]) {
+    const ray = [];
+    let target = squareAt(fileOf(square) + fileStep, rankOf(square) + rankStep);
+
+    while (target !== -1) {
+        ray.push(target);
+        target = squareAt(fileOf(target) + fileStep, rankOf(target) + rankStep);
+    }
+
+    return ray;
+}
+
+const SQUARES = Array.from({ length: 64 }, (_, square) => square);
+
+const KNIGHT_TARGETS = SQUARES.map((square) => stepTargets(square, KNIGHT_STEPS));
+const KING_TARGETS = SQUARES.map((square) => stepTargets(square, DIRECTIONS));
+const PAWN_TARGETS = {
+    white: SQUARES.map((square) =>
+        stepTargets(square, [
+            [-1, 1],
+            [1, 1],
+        ])
+    ),
+    black: SQUARES.map((square) =>
+        stepTargets(square, [
+            [-1, -1],
+            [1, -1],
+        ])
+    ),
+};
+const RAYS = SQUARES.map((square) => DIRECTIONS.map((direction) => rayFrom(square, direction)));
+
+/**
+ * AttackMap - everything one side attacks, plus the checks and pins it exerts
+ *
+ * Built in a single pass over the attacking side's pieces:
+ * - which squares are attacked and by which pieces (squares holding either side's
+ *   pieces count, so defended pieces show up as attacked);
+ * - the pieces giving check to the defending king, each with the squares that
+ *   would resolve the check (capturing the checker or blocking its ray);
+ * - the defending pieces absolutely pinned to their king, each with the ray it
+ *   may still move along.
+ *
+ * Sliders that hit the defending king keep going behind it, recorded separately,
+ * so isSafeForKing() also rules out stepping back along a checking line.
+ */
+export class AttackMap {
+    /**
+     * @param {Board} board - Board to analyse
+     * @param {string} color - Attacking side, 'white' or 'black'
+     */
+    constructor(board, color) {
+        this.board = board;
+        this.color = color;
+        this.defenderColor = color === 'white' ? 'black' : 'white';
+        this.king = this.findDefenderKing();
+
+        this.attackCounts = new Uint8Array(64);
+        this.xrayedSquares = new Uint8Array(64);
+        this.attackFrom = [];
+        this.attackTo = [];
+        this.checkers = [];
+        this.pins = [];
+
+        this.build();
+    }
+
+    findDefenderKing() {
+        for (let square = 0; square < 64; square++) {
+            const piece = this.board.squares[square];
+            if (piece && piece.getType() === 'king' && piece.getColor() === this.defenderColor) {
+                return square;
+            }
+        }
+        return -1;
+    }
+
+    build() {
+        for (let square = 0; square < 64; square++) {
+            const piece = this.board.squares[square];
+            if (!piece || piece.getColor() !== this.color) {
+                continue;
+            }
+
+            const type = piece.getType();
+            if (type === 'pawn') {
+                this.addStepAttacks(square, PAWN_TARGETS[this.color][square]);
+            } else if (type === 'knight') {
+                this.addStepAttacks(square, KNIGHT_TARGETS[square]);
+            } else if (type === 'king') {
+                this.addStepAttacks(square, KING_TARGETS[square]);
+            } else {
+                for (const direction of SLIDER_DIRECTIONS[type]) {
+                    this.addRayAttacks(square, RAYS[square][direction]);
+                }
+            }
+        }
+    }
+
+    addAttack(from, to) {
+        this.attackCounts[to]++;
+        this.attackFrom.push(from);
+        this.attackTo.push(to);
+    }
+
+    addStepAttacks(from, targets) {
+        for (const to of targets) {
+            this.addAttack(from, to);
+            if (to === this.king) {
+                this.checkers.push({ square: from, ray: [from] });
+            }
+        }
+    }
+
+    addRayAttacks(from, ray) {
+        const squares = this.board.squares;
+        let index = 0;
+
+        // Attacked squares up to and including the first piece
+        while (index < ray.length) {
+            const to = ray[index];
+            this.addAttack(from, to);
+            if (squares[to]) {
+                break;
+            }
+            index++;
+        }
+
+        if (index === ray.length) {
+            return;
+        }
+
+        const blockerSquare = ray[index];
+        const blocker = squares[blockerSquare];
+
+        if (blockerSquare === this.king) {
+            this.checkers.push({ square: from, ray: [from, ...ray.slice(0, index)] });
+
+            // The king cannot escape along the line it is checked on
+            for (let next = index + 1; next < ray.length; next++) {
+                this.xrayedSquares[ray[next]] = 1;
+                if (squares[ray[next]]) {
+                    break;
+                }
+            }
+            return;
+        }
+
+        if (this.king === -1 || blocker.getColor() !== this.defenderColor) {
+            return;
+        }
+
+        // A lone defending piece between this slider and the king is pinned
+        for (let next = index + 1; next < ray.length; next++) {
+            const square = ray[next];
+            if (!squares[square]) {
+                continue;
+            }
+            if (square === this.king) {
+                this.pins.push({
+                    square: blockerSquare,
+                    pinner: from,
+                    ray: [from, ...ray.slice(0, next)],
+                });
+            }
+            return;
+        }
+    }
+
+    /**
+     * Check whether the attacking side attacks a square.
+     * @param {number} square - Square index (0-63)
+     * @returns {boolean} True if at least one piece attacks the square
+     */
+    isAttacked(square) {
+        return this.attackCounts[square] > 0;
+    }
+
+    /**
+     * Count the attacking side's pieces that attack a square.
+     * @param {number} square - Square index (0-63)
+     * @returns {number} Number of attackers
+     */
+    getAttackCount(square) {
+        return this.attackCounts[square];
+    }
+
+    /**
+     * Get the squares of the pieces attacking a square.
+     * @param {number} square - Square index (0-63)
+     * @returns {number[]} Attacker squares
+     */
+    getAttackers(square) {
+        return this.attackFrom.filter((_, index) => this.attackTo[index] === square);
+    }
+
+    /**
+     * Get every square the attacking side attacks.
+     * @returns {number[]} Attacked squares in index order
+     */
+    getAttackedSquares() {
+        return SQUARES.filter((square) => this.attackCounts[square] > 0);
+    }
+
+    /**
+     * Check whether the defending king could stand on a square: it must not be
+     * attacked, nor lie behind the king on a checking slider's line.
+     * @param {number} square - Square index (0-63)
+     * @returns {boolean} True if the king would not be in check there
+     */
+    isSafeForKing(square) {
+        return this.attackCounts[square] === 0 && this.xrayedSquares[square] === 0;
+    }
+
+    /**
+     * Get the pieces giving check to the defending king.
+     * @returns {Array<{square: number, ray: number[]}>} Checkers; ray holds the checker
+     *     square and the squares between it and the king
+     */
+    getCheckers() {
+        return this.checkers;
+    }
+
+    /**
+     * Check whether the defending king is in check.
+     * @returns {boolean} True if there is at least one checker
+     */
+    isCheck() {
+        return this.checkers.length > 0;
+    }
+
+    /**
+     * Get the defending pieces pinned to their king.
+     * @returns {Array<{square: number, pinner: number, ray: number[]}>} Pins; ray holds
+     *     the pinner square and the squares between it and the king
+     */
+    getPins() {
+        return this.pins;
+    }
+
+    /**
+     * Get the squares a pinned piece may still move to.
+     * @param {number} square - Square of a defending piece
+     * @returns {number[]|null} Pin ray, or null if the piece is not pinned
+     */
+    getPinRay(square) {
+        const pin = this.pins.find((candidate) => candidate.square === square);
+        return pin ? pin.ray : null;
+    }
+}
@@ -0,0 +1,218 @@
+// src/core/Bitboard.js
+
+import { fileOf, rankOf, squareAt } from '../utils/Coordinates.js';
+
+/**
+ * Bitboard primitives and attack tables.
+ *
+ * A bitboard is a 64-bit BigInt with one bit per square. Bit n is square index n
+ * (bit 0 is a8, bit 63 is h1), so bitboards share the indexing of Board.squares.
+ *
+ * Knight, king and pawn attacks are precomputed per square. Sliding attacks are looked
+ * up by the blockers on the piece's relevant rays - the key magic bitboards use - but
+ * through a per-square Map filled on first use, since a magic multiplication on BigInt
+ * costs more than the lookup it saves.
+ */
+
+export const SQUARE_BITS = Array.from({ length: 64 }, (_, square) => 1n << BigInt(square));
+
+const LOW_32 = 0xffffffffn;
+
+const KNIGHT_STEPS = [
+    [1, 2],
+    [2, 1],
+    [2, -1],
+    [1, -2],
+    [-1, -2],
+    [-2, -1],
+    [-2, 1],
+    [-1, 2],
+];
+
+const KING_STEPS = [
+    [0, 1],
+    [1, 1],
+    [1, 0],
+    [1, -1],
+    [0, -1],
+    [-1, -1],
+    [-1, 0],
+    [-1, 1],
+];
+
+// [fileStep, rankStep] pairs
+const ROOK_DIRECTIONS = [
+    [0, 1],
+    [0, -1],
+    [1, 0],
+    [-1, 0],
+];
+
+const BISHOP_DIRECTIONS = [
+    [1, 1],
+    [1, -1],
+    [-1, 1],
+    [-1, -1],
+];
+
+/**
+ * Lists the squares of the set bits, lowest index first.
+ * @param {bigint} bitboard - Bitboard to scan
+ * @returns {number[]} Square indices (0-63)
+ */
+export function squaresOf(bitboard) {
+    const squares = [];
+    let low = Number(bitboard & LOW_32);
+    let high = Number(bitboard >> 32n);
+
+    while (low !== 0) {
+        const lowest = low & -low;
+        squares.push(31 - Math.clz32(lowest));
+        low ^= lowest;
+    }
+
+    while (high !== 0) {
+        const lowest = high & -high;
+        squares.push(63 - Math.clz32(lowest));
+        high ^= lowest;
+    }
+
+    return squares;
+}
+
+/**
+ * Counts the set bits of a bitboard.
+ * @param {bigint} bitboard - Bitboard to count
+ * @returns {number} Number of set bits
+ */
+export function popCount(bitboard) {
+    return squaresOf(bitboard).length;
+}
+
+function stepAttacks(square, steps) {
+    let attacks = 0n;
+
+    for (const [fileStep, rankStep] of steps) {
+        const target = squareAt(fileOf(square) + fileStep, rankOf(square) + rankStep);
+        if (target !== -1) {
+            attacks |= SQUARE_BITS[target];
+        }
+    }
+
+    return attacks;
+}
+
+function rayAttacks(square, occupied, directions) {
+    let attacks = 0n;
+
+    for (const [fileStep, rankStep] of directions) {
+        let file = fileOf(square) + fileStep;
+        let rank = rankOf(square) + rankStep;
+        let target = squareAt(file, rank);
+
+        while (target !== -1) {
+            attacks |= SQUARE_BITS[target];
+            if (occupied & SQUARE_BITS[target]) {
+                break;
+            }
+            file += fileStep;
+            rank += rankStep;
+            target = squareAt(file, rank);
+        }
+    }
+
+    return attacks;
+}
+
+// Squares whose occupancy can change the attack set: each ray without its edge square
+function relevantMask(square, directions) {
+    let mask = 0n;
+
+    for (const [fileStep, rankStep] of directions) {
+        let file = fileOf(square) + fileStep;
+        let rank = rankOf(square) + rankStep;
+
+        while (squareAt(file + fileStep, rank + rankStep) !== -1) {
+            mask |= SQUARE_BITS[squareAt(file, rank)];
+            file += fileStep;
+            rank += rankStep;
+        }
+    }
+
+    return mask;
+}
+
+export const KNIGHT_ATTACKS = Array.from({ length: 64 }, (_, square) =>
+    stepAttacks(square, KNIGHT_STEPS)
+);
+
+export const KING_ATTACKS = Array.from({ length: 64 }, (_, square) =>
+    stepAttacks(square, KING_STEPS)
+);
+
+// Squares a pawn of each color attacks from a square (white toward rank 8)
+export const PAWN_ATTACKS = {
+    white: Array.from({ length: 64 }, (_, square) =>
+        stepAttacks(square, [
+            [-1, 1],
+            [1, 1],
+        ])
+    ),
+    black: Array.from({ length: 64 }, (_, square) =>
+        stepAttacks(square, [
+            [-1, -1],
+            [1, -1],
+        ])
+    ),
+};
+
+const ROOK_MASKS = Array.from({ length: 64 }, (_, square) => relevantMask(square, ROOK_DIRECTIONS));
+const BISHOP_MASKS = Array.from({ length: 64 }, (_, square) =>
+    relevantMask(square, BISHOP_DIRECTIONS)
+);
+
+const ROOK_TABLES = Array.from({ length: 64 }, () => new Map());
+const BISHOP_TABLES = Array.from({ length: 64 }, () => new Map());
+
+function lookupSliding(square, occupied, masks, tables, directions) {
+    const blockers = occupied & masks[square];
+    const table = tables[square];
+    let attacks = table.get(blockers);
+
+    if (attacks === undefined) {
+        attacks = rayAttacks(square, blockers, directions);
+        table.set(blockers, attacks);
+    }
+
+    return attacks;
+}
+
+/**
+ * Gets the squares a rook attacks, stopping at (and including) the first blocker on each ray.
+ * @param {number} square - Rook square (0-63)
+ * @param {bigint} occupied - Bitboard of all pieces
+ * @returns {bigint} Attacked squares
+ */
+export function rookAttacks(square, occupied) {
+    return lookupSliding(square, occupied, ROOK_MASKS, ROOK_TABLES, ROOK_DIRECTIONS);
+}
+
+/**
+ * Gets the squares a bishop attacks, stopping at (and including) the first blocker on each ray.
+ * @param {number} square - Bishop square (0-63)
+ * @param {bigint} occupied - Bitboard of all pieces
+ * @returns {bigint} Attacked squares
+ */
+export function bishopAttacks(square, occupied) {
+    return lookupSliding(square, occupied, BISHOP_MASKS, BISHOP_TABLES, BISHOP_DIRECTIONS);
+}
+
+/**
+ * Gets the squares a queen attacks.
+ * @param {number} square - Queen square (0-63)
+ * @param {bigint} occupied - Bitboard of all pieces
+ * @returns {bigint} Attacked squares
+ */
+export function queenAttacks(square, occupied) {
+    return rookAttacks(square, occupied) | bishopAttacks(square, occupied);
+}
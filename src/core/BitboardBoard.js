@@ -0,0 +1,250 @@
+// src/core/BitboardBoard.js
+
+import { Board } from './Board.js';
+import {
+    KING_ATTACKS,
+    KNIGHT_ATTACKS,
+    PAWN_ATTACKS,
+    SQUARE_BITS,
+    bishopAttacks,
+    rookAttacks,
+    squaresOf,
+} from './Bitboard.js';
+
+const PIECE_TYPES = ['pawn', 'knight', 'bishop', 'rook', 'queen', 'king'];
+
+const ALL_SQUARES = (1n << 64n) - 1n;
+
+/**
+ * Board backed by bitboards as well as the Board.squares mailbox
+ * Keeps one bitboard per color and piece type in step with every movePiece(),
+ * makeMove() and unmakeMove(), so attack tests and move generation can use the
+ * precomputed tables in Bitboard.js. MoveValidator picks the bitboard code paths
+ * automatically for this board; callers keep using the Board API.
+ *
+ * Code that writes Board.squares directly must call sync() afterwards.
+ */
+export class BitboardBoard extends Board {
+    constructor() {
+        super();
+        this.clearBitboards();
+    }
+
+    clearBitboards() {
+        this.pieces = {
+            white: Object.fromEntries(PIECE_TYPES.map((type) => [type, 0n])),
+            black: Object.fromEntries(PIECE_TYPES.map((type) => [type, 0n])),
+        };
+        this.occupied = { white: 0n, black: 0n };
+    }
+
+    /**
+     * Rebuild all bitboards from Board.squares.
+     */
+    sync() {
+        this.clearBitboards();
+
+        this.squares.forEach((piece, square) => {
+            if (piece) {
+                this.togglePiece(piece.getType(), piece.getColor(), square);
+            }
+        });
+    }
+
+    /**
+     * Flip one piece in or out of the bitboards (Board.squares is left alone).
+     * @param {string} type - Piece type
+     * @param {string} color - 'white' or 'black'
+     * @param {number} square - Square index (0-63)
+     */
+    togglePiece(type, color, square) {
+        const bit = SQUARE_BITS[square];
+        this.pieces[color][type] ^= bit;
+        this.occupied[color] ^= bit;
+    }
+
+    setupInitialBoard() {
+        super.setupInitialBoard();
+        this.sync();
+    }
+
+    movePiece(fromIndex, toIndex) {
+        const movingPiece = this.squares[fromIndex];
+        const capturedPiece = this.squares[toIndex];
+        const result = super.movePiece(fromIndex, toIndex);
+
+        if (capturedPiece) {
+            this.togglePiece(capturedPiece.getType(), capturedPiece.getColor(), toIndex);
+        }
+        this.togglePiece(movingPiece.getType(), movingPiece.getColor(), fromIndex);
+        this.togglePiece(movingPiece.getType(), movingPiece.getColor(), toIndex);
+
+        return result;
+    }
+
+    makeMove(move, gameState = null) {
+        const record = super.makeMove(move, gameState);
+        const color = record.piece.getColor();
+
+        // movePiece() has already moved the pieces; fix up what makeMove() edits directly
+        if (record.promotion) {
+            this.togglePiece('pawn', color, move.to);
+            this.togglePiece(record.promotion, color, move.to);
+        }
+
+        if (move.type === 'en_passant' && record.captured) {
+            this.togglePiece('pawn', record.captured.getColor(), move.capturedSquare);
+        }
+
+        return record;
+    }
+
+    unmakeMove(record, gameState = null) {
+        super.unmakeMove(record, gameState);
+
+        const { move, piece, captured } = record;
+        const color = piece.getColor();
+
+        this.togglePiece(piece.getType(), color, move.from);
+        this.togglePiece(record.promotion || piece.getType(), color, move.to);
+
+        if (captured) {
+            const square = move.type === 'en_passant' ? move.capturedSquare : move.to;
+            this.togglePiece(captured.getType(), captured.getColor(), square);
+        }
+
+        if (move.type === 'castle') {
+            this.togglePiece('rook', color, move.rookFrom);
+            this.togglePiece('rook', color, move.rookTo);
+        }
+    }
+
+    /**
+     * Get the bitboard of all pieces.
+     * @returns {bigint} Occupied squares
+     */
+    getOccupied() {
+        return this.occupied.white | this.occupied.black;
+    }
+
+    /**
+     * Find the king of a color.
+     * @param {string} color - 'white' or 'black'
+     * @returns {number} King square, or -1 if there is none
+     */
+    findKing(color) {
+        const [square] = squaresOf(this.pieces[color].king);
+        return square === undefined ? -1 : square;
+    }
+
+    /**
+     * Check whether any piece of the given color attacks a square.
+     * Looks outward from the square with each piece's attack pattern and intersects
+     * the result with the attacker's pieces of that type. The occupancy and removed
+     * pieces can be overridden to test a position a move would produce.
+     * @param {number} square - Target square index (0-63)
+     * @param {string} attackerColor - Color of the attacking side
+     * @param {bigint} [occupied] - Occupancy to use for sliding attacks
+     * @param {bigint} [removed] - Squares whose attackers should be ignored (captured pieces)
+     * @returns {boolean} True if the square is attacked
+     */
+    isSquareAttacked(square, attackerColor, occupied = this.getOccupied(), removed = 0n) {
+        const attackers = this.pieces[attackerColor];
+        const defenderColor = attackerColor === 'white' ? 'black' : 'white';
+        const present = ~removed;
+        const diagonalAttackers = (attackers.bishop | attackers.queen) & present;
+        const straightAttackers = (attackers.rook | attackers.queen) & present;
+
+        return (
+            (PAWN_ATTACKS[defenderColor][square] & attackers.pawn & present) !== 0n ||
+            (KNIGHT_ATTACKS[square] & attackers.knight & present) !== 0n ||
+            (KING_ATTACKS[square] & attackers.king) !== 0n ||
+            (bishopAttacks(square, occupied) & diagonalAttackers) !== 0n ||
+            (rookAttacks(square, occupied) & straightAttackers) !== 0n
+        );
+    }
+
+    /**
+     * Find the checks and absolute pins against a king, for legality tests that need
+     * no attack map. Sliders lined up with the king are found by looking out from the
+     * king through its own pieces; the squares between such a slider and the king
+     * decide whether it checks, pins a piece or is blocked.
+     * @param {string} color - Color of the king
+     * @returns {{king: number, checkers: bigint, checkMask: bigint, pinned: bigint,
+     *     pinRays: bigint[]}} The king square (-1 if there is none), the pieces giving
+     *     check, the squares any other piece must move to (every square out of check,
+     *     none in double check), the pinned pieces and, by square, the squares each
+     *     pinned piece may move to
+     */
+    getChecksAndPins(color) {
+        const king = this.findKing(color);
+        const result = { king, checkers: 0n, checkMask: ALL_SQUARES, pinned: 0n, pinRays: [] };
+        if (king === -1) {
+            return result;
+        }
+
+        const opponentColor = color === 'white' ? 'black' : 'white';
+        const attackers = this.pieces[opponentColor];
+        const opponents = this.occupied[opponentColor];
+        const occupied = this.getOccupied();
+        const kingBit = SQUARE_BITS[king];
+
+        let checkers =
+            (KNIGHT_ATTACKS[king] & attackers.knight) |
+            (PAWN_ATTACKS[color][king] & attackers.pawn);
+        let checkMask = checkers;
+
+        const snipers = [
+            [rookAttacks, rookAttacks(king, opponents) & (attackers.rook | attackers.queen)],
+            [bishopAttacks, bishopAttacks(king, opponents) & (attackers.bishop | attackers.queen)],
+        ];
+        for (const [slide, bitboard] of snipers) {
+            for (const sniper of squaresOf(bitboard)) {
+                const sniperBit = SQUARE_BITS[sniper];
+                const between = slide(king, sniperBit) & slide(sniper, kingBit);
+                const blockers = between & occupied;
+
+                if (blockers === 0n) {
+                    checkers |= sniperBit;
+                    checkMask |= between | sniperBit;
+                } else if ((blockers & (blockers - 1n)) === 0n) {
+                    // A lone blocker is the king's own piece: opponents stop the x-ray
+                    result.pinned |= blockers;
+                    result.pinRays[squaresOf(blockers)[0]] = between | sniperBit;
+                }
+            }
+        }
+
+        result.checkers = checkers;
+        if (checkers !== 0n) {
+            result.checkMask = (checkers & (checkers - 1n)) === 0n ? checkMask : 0n;
+        }
+        return result;
+    }
+
+    /**
+     * Check whether a move would leave the mover's king attacked, without playing it.
+     * The move is applied to a copy of the occupancy only: the moving piece leaves its
+     * square, lands on the target, and any captured piece stops attacking.
+     * Castling is not handled here; MoveValidator.canCastle() checks it.
+     * @param {Object} move - Move object ({from, to, type, capturedSquare?})
+     * @param {string} color - Color of the moving side
+     * @returns {boolean} True if the king would be in check after the move
+     */
+    leavesKingInCheck(move, color) {
+        const opponentColor = color === 'white' ? 'black' : 'white';
+        const movingPiece = this.squares[move.from];
+        const king = movingPiece.getType() === 'king' ? move.to : this.findKing(color);
+
+        if (king === -1) {
+            return false;
+        }
+
+        const capturedSquare = move.type === 'en_passant' ? move.capturedSquare : move.to;
+        const capturedBit = SQUARE_BITS[capturedSquare];
+        const occupied =
+            (this.getOccupied() & ~(SQUARE_BITS[move.from] | capturedBit)) | SQUARE_BITS[move.to];
+
+        return this.isSquareAttacked(king, opponentColor, occupied, capturedBit);
+    }
+}
@@ -0,0 +1,82 @@
+// src/core/BitboardMoveGenerator.js
+
+import { MoveGenerator } from './MoveGenerator.js';
+import {
+    KING_ATTACKS,
+    KNIGHT_ATTACKS,
+    bishopAttacks,
+    queenAttacks,
+    rookAttacks,
+    squaresOf,
+} from './Bitboard.js';
+
+/**
+ * MoveGenerator for a BitboardBoard
+ * Knight, bishop, rook, queen and king targets come from the bitboard attack tables
+ * instead of walking offsets over Board.squares. Pawn, castling and en passant
+ * generation is inherited unchanged. Moves are identical to MoveGenerator's.
+ */
+export class BitboardMoveGenerator extends MoveGenerator {
+    generateKnightMoves(piece, position) {
+        this.assertValidPosition(position);
+        return this.createMoves(piece, position, KNIGHT_ATTACKS[position]);
+    }
+
+    generateBishopMoves(piece, position) {
+        this.assertValidPosition(position);
+        return this.createMoves(piece, position, bishopAttacks(position, this.board.getOccupied()));
+    }
+
+    generateRookMoves(piece, position) {
+        this.assertValidPosition(position);
+        return this.createMoves(piece, position, rookAttacks(position, this.board.getOccupied()));
+    }
+
+    generateQueenMoves(piece, position) {
+        this.assertValidPosition(position);
+        return this.createMoves(piece, position, queenAttacks(position, this.board.getOccupied()));
+    }
+
+    generateKingMoves(piece, position) {
+        this.assertValidPosition(position);
+        const moves = this.createMoves(piece, position, KING_ATTACKS[position]);
+        moves.push(...this.generateCastlingMoves(piece, position));
+
+        return moves;
+    }
+
+    assertValidPosition(position) {
+        if (!this.isValidSquare(position)) {
+            throw new Error(`Invalid position: ${position} must be between 0 and 63`);
+        }
+    }
+
+    /**
+     * Turn an attack set into normal and capture moves, skipping own pieces.
+     * @param {Piece} piece - The moving piece
+     * @param {number} position - Square index of the piece
+     * @param {bigint} attacks - Squares the piece attacks
+     * @returns {Array} Move objects
+     */
+    createMoves(piece, position, attacks) {
+        const color = piece.getColor();
+        const targets = attacks & ~this.board.occupied[color];
+
+        return squaresOf(targets).map((to) => {
+            const targetPiece = this.board.squares[to];
+
+            if (!targetPiece) {
+                return { from: position, to, type: 'normal', piece: piece.getType(), color };
+            }
+
+            return {
+                from: position,
+                to,
+                type: 'capture',
+                piece: piece.getType(),
+                color,
+                captured: targetPiece.getType(),
+            };
+        });
+    }
+}
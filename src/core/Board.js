@@ -1,5 +1,10 @@
 import { Piece } from './Piece.js';
-import { PIECE_SYMBOLS, PIECE_VALUES } from '../utils/Constants.js';
+import {
+    PIECE_SYMBOLS,
+    PIECE_VALUES,
+    STARTING_POSITIONS,
+    STARTING_POSITION_KEYS,
+} from '../utils/Constants.js';
 
 export class Board {
     constructor() {
@@ -7,93 +12,26 @@ export class Board {
     }
 
     setupInitialBoard() {
-        this.squares[0] = new Piece('rook', 'black', PIECE_VALUES.rook, PIECE_SYMBOLS.rook.black);
-        this.squares[1] = new Piece(
-            'knight',
-            'black',
-            PIECE_VALUES.knight,
-            PIECE_SYMBOLS.knight.black
-        );
-        this.squares[2] = new Piece(
-            'bishop',
-            'black',
-            PIECE_VALUES.bishop,
-            PIECE_SYMBOLS.bishop.black
-        );
-        this.squares[3] = new Piece(
-            'queen',
-            'black',
-            PIECE_VALUES.queen,
-            PIECE_SYMBOLS.queen.black
-        );
-        this.squares[4] = new Piece('king', 'black', PIECE_VALUES.king, PIECE_SYMBOLS.king.black);
-        this.squares[5] = new Piece(
-            'bishop',
-            'black',
-            PIECE_VALUES.bishop,
-            PIECE_SYMBOLS.bishop.black
-        );
-        this.squares[6] = new Piece(
-            'knight',
-            'black',
-            PIECE_VALUES.knight,
-            PIECE_SYMBOLS.knight.black
-        );
-        this.squares[7] = new Piece('rook', 'black', PIECE_VALUES.rook, PIECE_SYMBOLS.rook.black);
-
-        for (let i = 8; i < 16; i++) {
-            this.squares[i] = new Piece(
-                'pawn',
-                'black',
-                PIECE_VALUES.pawn,
-                PIECE_SYMBOLS.pawn.black
-            );
-        }
-
-        for (let i = 48; i < 56; i++) {
-            this.squares[i] = new Piece(
-                'pawn',
-                'white',
-                PIECE_VALUES.pawn,
-                PIECE_SYMBOLS.pawn.white
-            );
+        for (const [color, positions] of Object.entries(STARTING_POSITIONS)) {
+            for (const [type, key] of Object.entries(STARTING_POSITION_KEYS)) {
+                for (const index of positions[key]) {
+                    this.squares[index] = new Piece(
+                        type,
+                        color,
+                        PIECE_VALUES[type],
+                        PIECE_SYMBOLS[type][color]
+                    );
+                }
+            }
         }
-
-        this.squares[56] = new Piece('rook', 'white', PIECE_VALUES.rook, PIECE_SYMBOLS.rook.white);
-        this.squares[57] = new Piece(
-            'knight',
-            'white',
-            PIECE_VALUES.knight,
-            PIECE_SYMBOLS.knight.white
-        );
-        this.squares[58] = new Piece(
-            'bishop',
-            'white',
-            PIECE_VALUES.bishop,
-            PIECE_SYMBOLS.bishop.white
-        );
-        this.squares[59] = new Piece(
-            'queen',
-            'white',
-            PIECE_VALUES.queen,
-            PIECE_SYMBOLS.queen.white
-        );
-        this.squares[60] = new Piece('king', 'white', PIECE_VALUES.king, PIECE_SYMBOLS.king.white);
-        this.squares[61] = new Piece(
-            'bishop',
-            'white',
-            PIECE_VALUES.bishop,
-            PIECE_SYMBOLS.bishop.white
-        );
-        this.squares[62] = new Piece(
-            'knight',
-            'white',
-            PIECE_VALUES.knight,
-            PIECE_SYMBOLS.knight.white
-        );
-        this.squares[63] = new Piece('rook', 'white', PIECE_VALUES.rook, PIECE_SYMBOLS.rook.white);
     }
 
+    /**
+     * Refresh anything derived from squares after they were edited directly.
+     * The plain board keeps no derived data; BitboardBoard rebuilds its bitboards.
+     */
+    sync() {}
+
     movePiece(fromIndex, toIndex) {
         if (fromIndex < 0 || fromIndex >= 64 || toIndex < 0 || toIndex >= 64) {
             throw new Error(
@@ -123,4 +61,99 @@ export class Board {
             success: true,
         };
     }
+
+    /**
+     * Apply a move object produced by MoveGenerator, including special moves.
+     * Castling relocates the rook, en passant removes the pawn behind the target square
+     * and promotion replaces the pawn with a new piece, all in the same call.
+     *
+     * The returned undo record holds everything unmakeMove() needs to restore the
+     * position exactly: the moved and captured pieces, their previous hasMoved flags
+     * and, when a GameState is supplied, the game state from before the move. The
+     * game state itself is advanced via GameState.updateAfterMove().
+     *
+     * @param {Object} move - Move object ({from, to, type, ...})
+     * @param {GameState} [gameState] - Game state to update alongside the board
+     * @returns {Object} Undo record for unmakeMove()
+     */
+    makeMove(move, gameState = null) {
+        const movingPiece = this.squares[move.from];
+        const rook = move.type === 'castle' ? this.squares[move.rookFrom] : null;
+        const previousState = gameState ? gameState.createSnapshot() : null;
+
+        const record = {
+            move,
+            piece: movingPiece,
+            captured: this.squares[move.to],
+            pieceHadMoved: movingPiece ? movingPiece.getHasMoved() : false,
+            rookHadMoved: rook ? rook.getHasMoved() : false,
+            previousState,
+        };
+
+        Object.assign(record, this.movePiece(move.from, move.to));
+
+        if (move.type === 'castle') {
+            this.movePiece(move.rookFrom, move.rookTo);
+        }
+
+        if (move.promotion) {
+            const color = movingPiece.getColor();
+            const promotedPiece = new Piece(
+                move.promotion,
+                color,
+                PIECE_VALUES[move.promotion],
+                PIECE_SYMBOLS[move.promotion][color]
+            );
+            promotedPiece.markAsMoved();
+            this.squares[move.to] = promotedPiece;
+            record.promotion = move.promotion;
+        }
+
+        if (move.type === 'en_passant') {
+            record.captured = this.squares[move.capturedSquare];
+            this.squares[move.capturedSquare] = null;
+            record.pieceCaptured = record.captured ? record.captured.getType() : null;
+        }
+
+        if (gameState) {
+            gameState.updateAfterMove(record, this);
+        }
+
+        return record;
+    }
+
+    /**
+     * Take back a move applied with makeMove(), restoring the position exactly.
+     * Pieces return to their squares (a promoted piece is replaced by the original
+     * pawn), hasMoved flags are reset and the game state snapshot is restored.
+     * @param {Object} record - Undo record returned by makeMove()
+     * @param {GameState} [gameState] - Game state that was passed to makeMove()
+     */
+    unmakeMove(record, gameState = null) {
+        const { move, piece, captured } = record;
+
+        this.squares[move.from] = piece;
+        this.squares[move.to] = null;
+
+        if (!record.pieceHadMoved && piece.getHasMoved()) {
+            piece.resetMovedStatus();
+        }
+
+        if (move.type === 'castle') {
+            const rook = this.squares[move.rookTo];
+            this.squares[move.rookFrom] = rook;
+            this.squares[move.rookTo] = null;
+
+            if (!record.rookHadMoved && rook.getHasMoved()) {
+                rook.resetMovedStatus();
+            }
+        }
+
+        const captureSquare = move.type === 'en_passant' ? move.capturedSquare : move.to;
+        this.squares[captureSquare] = captured || null;
+
+        if (gameState && record.previousState) {
+            gameState.restoreSnapshot(record.previousState);
+        }
+    }
 }
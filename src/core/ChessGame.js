@@ -2,7 +2,11 @@
  * ChessGame - Main game controller
  *
  * This class manages the overall chess game state and coordinates
- * between different components (board, rules, UI, AI).
+ * between different components (board, rules, UI, AI). It does not touch the DOM,
+ * so it runs the same in browsers, workers, Node tests and the MCP server.
+ *
+ * Events: 'move' (undo record), 'check' ({color}), 'gameOver' ({result, reason}),
+ * 'undoMove' (undo record), 'reset', 'positionLoaded' (FEN) and 'pgnLoaded' (game).
  *
  * @author Jane Alesi <ja@satware.ai>
  */
@@ -10,6 +14,11 @@
 import { Board } from './Board.js';
 import { GameState } from './GameState.js';
 import { MoveValidator } from './MoveValidator.js';
+import { FEN } from './FEN.js';
+import { GameTree } from './GameTree.js';
+import { MoveCodec } from './MoveCodec.js';
+import { PGN } from './PGN.js';
+import { Position } from './Position.js';
 import { EventEmitter } from '../utils/EventEmitter.js';
 
 export class ChessGame extends EventEmitter {
@@ -18,7 +27,10 @@ export class ChessGame extends EventEmitter {
         this.board = new Board();
         this.gameState = new GameState();
         this.moveValidator = new MoveValidator(this.board, this.gameState);
-        this.moveHistory = [];
+        this.tree = null;
+
+        // Draw claimed by a player, with the game tree node it was claimed at
+        this.drawClaim = null;
 
         this.initialize();
     }
@@ -27,9 +39,8 @@ export class ChessGame extends EventEmitter {
      * Initialize the game to starting position
      */
     initialize() {
-        this.board.setupInitialPosition();
-        this.gameState.reset();
-        this.moveHistory = [];
+        FEN.load(FEN.STARTING_FEN, this.board, this.gameState);
+        this.tree = new GameTree(this.board, this.gameState);
         this.emit('initialized');
     }
 
@@ -43,63 +54,80 @@ export class ChessGame extends EventEmitter {
 
     /**
      * Make a move on the board
-     * @param {Object} move - Move object {from, to, promotion}
+     * @param {Object|string} move - Move object {from, to, promotion}, or a move in UCI,
+     *     LAN or SAN ('e2e4', 'Pe2-e4', 'e4')
      * @returns {boolean} True if move was successful
      */
     makeMove(move) {
-        if (!this.moveValidator.isValidMove(move)) {
+        if (this.isGameOver()) {
             return false;
         }
 
-        // Store move for history
-        const moveRecord = this.board.makeMove(move);
-        this.moveHistory.push(moveRecord);
-
-        // Update game state
-        this.gameState.updateAfterMove(moveRecord);
+        // Play the move in the game tree; replaying a move already in the tree follows it.
+        // The tree parses and validates the move, throwing if it is not legal here.
+        let node;
+        try {
+            node = this.tree.addMove(move);
+        } catch {
+            return false;
+        }
 
         // Emit move event
-        this.emit('move', moveRecord);
+        this.emit('move', node.record);
+
+        const player = this.gameState.currentPlayer;
+        if (this.moveValidator.isInCheck(player)) {
+            this.emit('check', { color: player });
+        }
 
         // Check for game over conditions
-        if (this.gameState.isGameOver()) {
-            this.emit('gameOver', this.gameState.getGameResult());
+        const result = this.getGameResult();
+        if (result) {
+            this.emit('gameOver', result);
         }
 
         return true;
     }
 
     /**
-     * Undo the last move
+     * Undo the last move. The move stays in the game tree, so it can be replayed.
      * @returns {boolean} True if undo was successful
      */
     undoMove() {
-        if (this.moveHistory.length === 0) {
+        const node = this.tree.current;
+        if (!this.tree.previous()) {
             return false;
         }
 
-        const lastMove = this.moveHistory.pop();
-        this.board.undoMove(lastMove);
-        this.gameState.undoMove();
-
-        this.emit('undoMove', lastMove);
+        this.drawClaim = null;
+        this.emit('undoMove', node.record);
         return true;
     }
 
     /**
      * Get all legal moves for the current player
-     * @returns {Array} Array of legal move objects
+     * @param {string} [format] - Return notation strings instead: 'uci', 'lan' or 'san'
+     * @returns {Array} Array of legal move objects, or of move strings when a format is given
      */
-    getLegalMoves() {
-        return this.moveValidator.getAllLegalMoves(this.gameState.currentPlayer);
+    getLegalMoves(format = null) {
+        const moves = this.moveValidator.getAllLegalMoves(this.gameState.currentPlayer);
+        if (!format) {
+            return moves;
+        }
+        return moves.map((move) => MoveCodec.format(move, format, this.board, this.gameState));
     }
 
     /**
      * Get legal moves for a specific square
      * @param {number} square - Square index (0-63)
-     * @returns {Array} Array of legal moves from this square
+     * @returns {Array} Array of legal moves from this square; empty unless it holds a
+     *     piece of the player to move
      */
     getLegalMovesFromSquare(square) {
+        const piece = this.board.squares[square];
+        if (!piece || piece.getColor() !== this.gameState.currentPlayer) {
+            return [];
+        }
         return this.moveValidator.getLegalMovesFromSquare(square);
     }
 
@@ -116,15 +144,46 @@ export class ChessGame extends EventEmitter {
      * @returns {boolean} True if game is over
      */
     isGameOver() {
-        return this.gameState.isGameOver();
+        return this.getGameResult() !== null;
+    }
+
+    /**
+     * Check if the player to move may claim a draw by threefold repetition or the
+     * fifty-move rule
+     * @returns {boolean} True if a draw can be claimed
+     */
+    canClaimDraw() {
+        return !this.isGameOver() && this.gameState.canClaimDraw();
+    }
+
+    /**
+     * Claim a draw by threefold repetition or the fifty-move rule, ending the game
+     * @returns {boolean} True if the claim was accepted
+     */
+    claimDraw() {
+        if (!this.canClaimDraw()) {
+            return false;
+        }
+
+        this.drawClaim = { node: this.tree.current, reason: this.gameState.getClaimableDraw() };
+        this.emit('gameOver', this.getGameResult());
+        return true;
+    }
+
+    /**
+     * Check if the player to move is in check
+     * @returns {boolean} True if the player to move is in check
+     */
+    isInCheck() {
+        return this.moveValidator.isInCheck(this.gameState.currentPlayer);
     }
 
     /**
      * Get the current board state
-     * @returns {Array} 64-element array representing the board
+     * @returns {Array} 64-element array of pieces (null for empty squares), a8 first
      */
     getBoard() {
-        return this.board.getBoard();
+        return [...this.board.squares];
     }
 
     /**
@@ -135,27 +194,65 @@ export class ChessGame extends EventEmitter {
         return this.gameState.getState();
     }
 
+    /**
+     * Get an immutable snapshot of the current position
+     * @returns {Position} Current position
+     */
+    getPosition() {
+        return Position.fromBoard(this.board, this.gameState);
+    }
+
+    /**
+     * Get the Zobrist hash of the current position
+     * @returns {bigint} Polyglot-compatible 64-bit position key
+     */
+    getHash() {
+        return this.gameState.getHash();
+    }
+
     /**
      * Check if undo is possible
      * @returns {boolean} True if there are moves to undo
      */
     canUndo() {
-        return this.moveHistory.length > 0;
+        return this.tree.current !== this.tree.root;
     }
 
     /**
-     * Get move history
+     * Get the moves played to reach the current position
      * @returns {Array} Array of move records
      */
     getMoveHistory() {
-        return [...this.moveHistory];
+        return this.tree.getLine().map((node) => node.record);
     }
 
     /**
-     * Get the game result
-     * @returns {Object|null} Game result or null if game is ongoing
+     * Get the game tree holding the moves played and any variations
+     * @returns {GameTree} Game tree
+     */
+    getGameTree() {
+        return this.tree;
+    }
+
+    /**
+     * Get the game result: a draw claimed in this position, checkmate or stalemate for
+     * the side to move, otherwise any draw detected by the game state
+     * @returns {{result: string, reason: string}|null} Game result or null if game is ongoing
      */
     getGameResult() {
+        if (this.drawClaim && this.drawClaim.node === this.tree.current) {
+            return { result: '1/2-1/2', reason: this.drawClaim.reason };
+        }
+
+        const player = this.gameState.currentPlayer;
+
+        if (this.moveValidator.isCheckmate(player)) {
+            return { result: player === 'white' ? '0-1' : '1-0', reason: 'checkmate' };
+        }
+        if (this.moveValidator.isStalemate(player)) {
+            return { result: '1/2-1/2', reason: 'stalemate' };
+        }
+
         return this.gameState.getGameResult();
     }
 
@@ -164,18 +261,57 @@ export class ChessGame extends EventEmitter {
      * @returns {string} FEN notation of current position
      */
     toFEN() {
-        // TODO: Implement FEN export
-        return 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+        return FEN.toFEN(this.board, this.gameState);
     }
 
     /**
      * Load game state from FEN string
-     * @param {string} _fen - FEN notation string
+     * @param {string} fen - FEN notation string
      * @returns {boolean} True if FEN was loaded successfully
+     * @throws {Error} If the FEN string is malformed
      */
-    fromFEN(_fen) {
-        // TODO: Implement FEN import
-        console.warn('FEN import not yet implemented');
-        return false;
+    fromFEN(fen) {
+        FEN.load(fen, this.board, this.gameState);
+        this.tree = new GameTree(this.board, this.gameState);
+        this.emit('positionLoaded', fen);
+        return true;
+    }
+
+    /**
+     * Export the game as PGN, including the variations of its game tree
+     * @param {Object} [tags] - PGN tags such as Event, White and Black
+     * @returns {string} PGN text
+     */
+    toPGN(tags = {}) {
+        const result = this.getGameResult();
+
+        return this.tree.toPGN(
+            { Date: PGN.formatDate(new Date()), ...tags },
+            result ? result.result : '*'
+        );
+    }
+
+    /**
+     * Load a game from PGN into the game tree, variations included, and play its
+     * main line to the end
+     * @param {string} pgn - PGN text, possibly holding several games
+     * @param {number} [gameIndex] - Which game of the file to load
+     * @returns {Object} The parsed game, as returned by PGN.parse()
+     * @throws {Error} If the PGN has no such game or contains an illegal move
+     */
+    loadPGN(pgn, gameIndex = 0) {
+        const game = PGN.parse(pgn)[gameIndex];
+        if (!game) {
+            throw new Error(`PGN game ${gameIndex + 1} not found`);
+        }
+        if (game.errors.length > 0) {
+            throw new Error(game.errors[0]);
+        }
+
+        this.tree = GameTree.fromPGN(game, this.board, this.gameState);
+        this.tree.goToEnd();
+        this.emit('pgnLoaded', game);
+
+        return game;
     }
 }
@@ -0,0 +1,269 @@
+// src/core/FEN.js
+
+import { Board } from './Board.js';
+import { GameState } from './GameState.js';
+import { Piece } from './Piece.js';
+import {
+    PIECE_SYMBOLS,
+    PIECE_VALUES,
+    STARTING_POSITIONS,
+    STARTING_POSITION_KEYS,
+} from '../utils/Constants.js';
+import { algebraicToIndex, indexToAlgebraic, squareAt } from '../utils/Coordinates.js';
+
+const PIECE_LETTERS = {
+    pawn: 'p',
+    knight: 'n',
+    bishop: 'b',
+    rook: 'r',
+    queen: 'q',
+    king: 'k',
+};
+
+const LETTER_TYPES = Object.fromEntries(
+    Object.entries(PIECE_LETTERS).map(([type, letter]) => [letter, type])
+);
+
+const CASTLING_FLAGS = [
+    ['K', 'white', 'kingside'],
+    ['Q', 'white', 'queenside'],
+    ['k', 'black', 'kingside'],
+    ['q', 'black', 'queenside'],
+];
+
+/**
+ * FEN (Forsyth-Edwards Notation) import and export
+ * Serializes Board.squares plus GameState into a FEN string and parses FEN back.
+ * Parse errors name the offending field, rank or square.
+ */
+export class FEN {
+    static STARTING_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+    /**
+     * Serialize a position to FEN.
+     * @param {Board} board - Board to serialize
+     * @param {GameState} gameState - Side to move, castling rights, en passant and clocks
+     * @returns {string} FEN string
+     */
+    static toFEN(board, gameState) {
+        const ranks = [];
+
+        for (let rankNumber = 8; rankNumber >= 1; rankNumber--) {
+            let rank = '';
+            let empty = 0;
+
+            for (let file = 0; file < 8; file++) {
+                const piece = board.squares[squareAt(file, rankNumber)];
+                if (!piece) {
+                    empty++;
+                    continue;
+                }
+
+                if (empty > 0) {
+                    rank += empty;
+                    empty = 0;
+                }
+
+                const letter = PIECE_LETTERS[piece.getType()];
+                rank += piece.getColor() === 'white' ? letter.toUpperCase() : letter;
+            }
+
+            if (empty > 0) {
+                rank += empty;
+            }
+            ranks.push(rank);
+        }
+
+        const castling = CASTLING_FLAGS.filter(
+            ([, color, side]) => gameState.castlingRights[color][side]
+        )
+            .map(([flag]) => flag)
+            .join('');
+
+        const enPassant =
+            gameState.enPassantTarget === null ? '-' : indexToAlgebraic(gameState.enPassantTarget);
+
+        return [
+            ranks.join('/'),
+            gameState.currentPlayer === 'white' ? 'w' : 'b',
+            castling || '-',
+            enPassant,
+            gameState.halfmoveClock,
+            gameState.fullmoveNumber,
+        ].join(' ');
+    }
+
+    /**
+     * Parse a FEN string into a new Board and GameState.
+     * @param {string} fen - FEN string (the two clock fields may be omitted)
+     * @returns {{board: Board, gameState: GameState}} Parsed position
+     * @throws {Error} If any FEN field is malformed
+     */
+    static parse(fen) {
+        if (typeof fen !== 'string' || fen.trim() === '') {
+            throw new Error('Invalid FEN: expected a non-empty string');
+        }
+
+        const fields = fen.trim().split(/\s+/);
+        if (fields.length !== 6 && fields.length !== 4) {
+            throw new Error(`Invalid FEN: expected 6 fields, got ${fields.length}`);
+        }
+
+        const [placement, activeColor, castling, enPassant, halfmove = '0', fullmove = '1'] =
+            fields;
+
+        const board = new Board();
+        FEN.parsePlacement(placement, board);
+
+        const gameState = new GameState();
+        gameState.currentPlayer = FEN.parseActiveColor(activeColor);
+        gameState.castlingRights = FEN.parseCastling(castling);
+        gameState.enPassantTarget = FEN.parseEnPassant(enPassant, gameState.currentPlayer);
+        gameState.halfmoveClock = FEN.parseCounter(halfmove, 'halfmove clock', 0);
+        gameState.fullmoveNumber = FEN.parseCounter(fullmove, 'fullmove number', 1);
+        gameState.recordPosition(board);
+
+        return { board, gameState };
+    }
+
+    /**
+     * Load a FEN string into existing Board and GameState instances.
+     * Nothing is modified if the FEN is invalid.
+     * @param {string} fen - FEN string
+     * @param {Board} board - Board to overwrite
+     * @param {GameState} gameState - Game state to overwrite
+     * @throws {Error} If any FEN field is malformed
+     */
+    static load(fen, board, gameState) {
+        const parsed = FEN.parse(fen);
+
+        for (let i = 0; i < 64; i++) {
+            board.squares[i] = parsed.board.squares[i];
+        }
+        board.sync();
+
+        gameState.currentPlayer = parsed.gameState.currentPlayer;
+        gameState.castlingRights = parsed.gameState.castlingRights;
+        gameState.enPassantTarget = parsed.gameState.enPassantTarget;
+        gameState.halfmoveClock = parsed.gameState.halfmoveClock;
+        gameState.fullmoveNumber = parsed.gameState.fullmoveNumber;
+        gameState.moveHistory = [];
+        gameState.positionHistory = [];
+        gameState.recordPosition(board);
+    }
+
+    static parsePlacement(placement, board) {
+        const ranks = placement.split('/');
+        if (ranks.length !== 8) {
+            throw new Error(`Invalid FEN: piece placement has ${ranks.length} ranks, expected 8`);
+        }
+
+        ranks.forEach((rankText, row) => {
+            const rankNumber = 8 - row;
+            let file = 0;
+
+            for (const char of rankText) {
+                if (/[1-8]/.test(char)) {
+                    file += Number(char);
+                    continue;
+                }
+
+                const type = LETTER_TYPES[char.toLowerCase()];
+                if (!type) {
+                    throw new Error(`Invalid FEN: rank ${rankNumber} has invalid piece '${char}'`);
+                }
+
+                if (file < 8) {
+                    const color = char === char.toUpperCase() ? 'white' : 'black';
+                    const index = squareAt(file, rankNumber);
+                    board.squares[index] = FEN.createPiece(type, color, index);
+                }
+                file++;
+            }
+
+            if (file !== 8) {
+                throw new Error(`Invalid FEN: rank ${rankNumber} has ${file} files`);
+            }
+        });
+    }
+
+    static parseActiveColor(activeColor) {
+        if (activeColor === 'w') {
+            return 'white';
+        }
+        if (activeColor === 'b') {
+            return 'black';
+        }
+        throw new Error(`Invalid FEN: side to move must be 'w' or 'b', got '${activeColor}'`);
+    }
+
+    static parseCastling(castling) {
+        const rights = {
+            white: { kingside: false, queenside: false },
+            black: { kingside: false, queenside: false },
+        };
+
+        if (castling === '-') {
+            return rights;
+        }
+
+        for (const char of castling) {
+            const flag = CASTLING_FLAGS.find(([letter]) => letter === char);
+            if (!flag) {
+                throw new Error(`Invalid FEN: castling availability has invalid flag '${char}'`);
+            }
+
+            const [, color, side] = flag;
+            if (rights[color][side]) {
+                throw new Error(`Invalid FEN: castling availability repeats flag '${char}'`);
+            }
+            rights[color][side] = true;
+        }
+
+        return rights;
+    }
+
+    static parseEnPassant(enPassant, sideToMove) {
+        if (enPassant === '-') {
+            return null;
+        }
+
+        const match = /^([a-h])([36])$/.exec(enPassant);
+        if (!match) {
+            throw new Error(`Invalid FEN: en passant square '${enPassant}' is not on rank 3 or 6`);
+        }
+
+        // White to move captures onto rank 6, black onto rank 3
+        const expectedRank = sideToMove === 'white' ? '6' : '3';
+        if (match[2] !== expectedRank) {
+            throw new Error(
+                `Invalid FEN: en passant square '${enPassant}' does not match side to move`
+            );
+        }
+
+        return algebraicToIndex(enPassant);
+    }
+
+    static parseCounter(value, name, minimum) {
+        if (!/^\d+$/.test(value) || Number(value) < minimum) {
+            throw new Error(
+                `Invalid FEN: ${name} must be an integer >= ${minimum}, got '${value}'`
+            );
+        }
+        return Number(value);
+    }
+
+    /**
+     * Create a piece for a parsed square. Pieces off their starting squares are
+     * marked as moved so pawn and castling logic sees a consistent history.
+     */
+    static createPiece(type, color, index) {
+        const piece = new Piece(type, color, PIECE_VALUES[type], PIECE_SYMBOLS[type][color]);
+
+        if (!STARTING_POSITIONS[color][STARTING_POSITION_KEYS[type]].includes(index)) {
+            piece.markAsMoved();
+        }
+
+        return piece;
+    }
+}
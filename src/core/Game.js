@@ -1,52 +1,87 @@
 // src/core/Game.js
 
-import { Board } from './Board.js';
 import { BoardRenderer } from '../ui/BoardRenderer.js';
-import { GameState } from './GameState.js';
+import { GameView } from '../ui/GameView.js';
+import { ChessGame } from './ChessGame.js';
+import { MoveCodec } from './MoveCodec.js';
+import { Rules } from './Rules.js';
+import { CASTLING_SQUARES } from '../utils/Constants.js';
+import { indexToAlgebraic, rankOf } from '../utils/Coordinates.js';
 
 /**
- * Main Game class that orchestrates the chess engine components
- * Manages the overall game flow, user interactions, and game state
- * Enhanced to fully utilize the improved Board.js functionality from Issue #15
+ * Main Game class that wires the browser app together
+ * Rules and game state live in a ChessGame, the same controller headless code uses;
+ * a GameView follows its events to keep the page in step. Game itself turns board
+ * clicks into moves.
  */
 export class Game {
+    /**
+     * Why attemptMove() can turn a move down: reason code and the message for the UI
+     */
+    static MOVE_REJECTIONS = {
+        game_over: 'The game is over',
+        no_piece: 'There is no piece on that square',
+        not_your_turn: 'It is not your turn',
+        illegal_pattern: 'That piece cannot move there',
+        leaves_king_in_check: 'That move would leave your king in check',
+        castling_without_rights: 'You can no longer castle on that side',
+        castling_out_of_check: 'You cannot castle out of check',
+        castling_through_check: 'You cannot castle through an attacked square',
+        invalid_promotion: 'A pawn can only promote to a queen, rook, bishop or knight',
+    };
+
     constructor(boardContainerId) {
         // Initialize core components
-        this.board = new Board();
-        this.gameState = new GameState();
+        this.chessGame = new ChessGame();
         this.boardRenderer = new BoardRenderer(boardContainerId);
+        this.view = new GameView(this.chessGame, this.boardRenderer);
 
-        // Game state management
+        // Square selected by the first click of a move, if any
         this.selectedSquare = null;
-        this.currentPlayer = 'white';
-        this.gameStatus = 'active'; // 'active', 'check', 'checkmate', 'stalemate', 'draw'
 
         // Input handling will be initialized in startGame()
         this.inputHandler = null;
 
-        // Move history for game analysis and undo functionality
-        this.moveHistory = [];
-
         // Bind methods to maintain context
         this.handleSquareClick = this.handleSquareClick.bind(this);
     }
 
+    get board() {
+        return this.chessGame.board;
+    }
+
+    get gameState() {
+        return this.chessGame.gameState;
+    }
+
+    get currentPlayer() {
+        return this.chessGame.getCurrentPlayer();
+    }
+
+    /**
+     * Status of the game: 'active', 'check', 'checkmate', 'stalemate' or 'draw'
+     * @returns {string} Game status
+     */
+    get gameStatus() {
+        const result = this.chessGame.getGameResult();
+        if (result) {
+            return result.reason === 'checkmate' || result.reason === 'stalemate'
+                ? result.reason
+                : 'draw';
+        }
+        return this.chessGame.isInCheck() ? 'check' : 'active';
+    }
+
     /**
      * Initialize and start a new chess game
      */
     startGame() {
-        // Setup initial board position
-        this.board.setupInitialBoard();
-
         // Render the board
-        this.boardRenderer.render(this.board.squares);
+        this.view.render();
 
         // Initialize input handling
         this.setupInputHandling();
 
-        // Update game state display
-        this.updateGameStateDisplay();
-
         console.log('Chess game started! White to move.');
     }
 
@@ -105,8 +140,11 @@ export class Game {
     handlePieceSelection(squareIndex, piece) {
         // Only allow selection of current player's pieces
         if (piece && piece.getColor() === this.currentPlayer) {
+            const targets = this.chessGame
+                .getLegalMovesFromSquare(squareIndex)
+                .map((move) => move.to);
             this.selectedSquare = squareIndex;
-            this.highlightSelectedSquare(squareIndex);
+            this.view.highlightSelectedSquare(squareIndex, targets);
             console.log(`Selected ${piece.getColor()} ${piece.getType()} at square ${squareIndex}`);
         } else if (piece) {
             console.log(
@@ -132,7 +170,8 @@ export class Game {
             this.processMoveSuccess(moveResult);
         } else {
             // Move failed
-            console.log(`Invalid move: ${moveResult.reason}`);
+            this.view.showMessage(moveResult.message);
+            console.log(`Invalid move: ${moveResult.message}`);
         }
 
         // Clear selection regardless of move success
@@ -140,123 +179,148 @@ export class Game {
     }
 
     /**
-     * Attempt to make a move - Enhanced to utilize Board.js movePiece return object
+     * Attempt to make a move. Only moves the rules allow are played; they go through
+     * the ChessGame, whose events update the view.
+     * A rejected move returns {success: false, reason, message}, where reason is one
+     * of the MOVE_REJECTIONS codes and message is the text to show for it.
      * @param {number} fromIndex - Source square index
      * @param {number} toIndex - Target square index
+     * @param {string} [promotion] - Promotion piece type for pawn moves to the last rank
      * @returns {Object} Move result with success status and details
      */
-    attemptMove(fromIndex, toIndex) {
-        // Basic validation
-        if (fromIndex === toIndex) {
-            return { success: false, reason: 'Cannot move to the same square' };
+    attemptMove(fromIndex, toIndex, promotion = 'queen') {
+        if (this.chessGame.isGameOver()) {
+            return Game.rejectMove('game_over');
         }
 
         const piece = this.board.squares[fromIndex];
         if (!piece) {
-            return { success: false, reason: 'No piece at source square' };
+            return Game.rejectMove('no_piece');
         }
 
         if (piece.getColor() !== this.currentPlayer) {
-            return { success: false, reason: 'Not your piece' };
+            return Game.rejectMove('not_your_turn');
         }
 
-        // For now, allow any move (basic implementation)
-        // TODO: Add proper move validation, check detection, etc.
-
-        try {
-            // Use enhanced Board.js movePiece method which returns comprehensive move details
-            const boardMoveResult = this.board.movePiece(fromIndex, toIndex);
-
-            // The enhanced movePiece method already handles piece tracking and returns detailed info
-            return {
-                success: boardMoveResult.success,
-                from: boardMoveResult.from,
-                to: boardMoveResult.to,
-                pieceMoved: boardMoveResult.pieceMoved,
-                pieceCaptured: boardMoveResult.pieceCaptured,
-                notation: this.generateMoveNotation(
-                    boardMoveResult.from,
-                    boardMoveResult.to,
-                    boardMoveResult.pieceMoved,
-                    boardMoveResult.pieceCaptured
-                ),
-            };
-        } catch (error) {
-            return { success: false, reason: error.message };
+        const castlingRejection = this.getCastlingRejection(piece, fromIndex, toIndex);
+        if (castlingRejection) {
+            return Game.rejectMove(castlingRejection);
         }
-    }
 
-    /**
-     * Process successful move - Enhanced to work with Board.js move result
-     * @param {Object} moveResult - The successful move result from Board.js
-     */
-    processMoveSuccess(moveResult) {
-        // Add move to history
-        this.moveHistory.push({
-            ...moveResult,
-            timestamp: new Date().toISOString(),
-            gameState: { ...this.getGameState() },
-        });
+        // The piece may move this way, but not in this position
+        if (!this.chessGame.moveValidator.isMovesPseudoLegal(fromIndex, toIndex)) {
+            return Game.rejectMove('illegal_pattern');
+        }
 
-        // Update display
-        this.boardRenderer.render(this.board.squares);
+        const lastRank = piece.getColor() === 'white' ? 8 : 1;
+        if (
+            piece.getType() === 'pawn' &&
+            rankOf(toIndex) === lastRank &&
+            !Rules.PROMOTION_TYPES.includes(promotion)
+        ) {
+            return Game.rejectMove('invalid_promotion');
+        }
 
-        // Switch players
-        this.switchPlayer();
+        const move = this.chessGame
+            .getLegalMovesFromSquare(fromIndex)
+            .find(
+                (candidate) =>
+                    candidate.to === toIndex &&
+                    (!candidate.promotion || candidate.promotion === promotion)
+            );
+        if (!move) {
+            return Game.rejectMove('leaves_king_in_check');
+        }
 
-        // Update game state
-        this.updateGameState(moveResult);
+        // Notation depends on the position before the move
+        const notation = MoveCodec.format(move, 'san', this.board, this.gameState);
+        this.chessGame.makeMove(move);
+        const record = this.chessGame.getGameTree().current.record;
 
-        // Log the move
-        console.log(`Move: ${moveResult.notation}`);
-        console.log(`${this.currentPlayer} to move.`);
+        return {
+            success: true,
+            from: fromIndex,
+            to: toIndex,
+            pieceMoved: record.pieceMoved,
+            pieceCaptured: record.pieceCaptured,
+            notation,
+            move,
+        };
     }
 
     /**
-     * Switch the current player
+     * Explain why a king move from its home square onto a castling square cannot
+     * castle. Castling past a piece is left to the pattern check and castling into
+     * check to the legality check.
+     * @param {Piece} piece - Piece being moved
+     * @param {number} fromIndex - Source square index
+     * @param {number} toIndex - Target square index
+     * @returns {string|null} MOVE_REJECTIONS code, or null if castling is not ruled out
      */
-    switchPlayer() {
-        this.currentPlayer = this.currentPlayer === 'white' ? 'black' : 'white';
-    }
+    getCastlingRejection(piece, fromIndex, toIndex) {
+        const color = piece.getColor();
+        const castling = CASTLING_SQUARES[color];
+        const side = ['kingside', 'queenside'].find((name) => castling[name].kingTo === toIndex);
+        if (piece.getType() !== 'king' || fromIndex !== castling.kingFrom || !side) {
+            return null;
+        }
 
-    /**
-     * Update game state after a move
-     * @param {Object} moveResult - The move result
-     */
-    updateGameState(moveResult) {
-        // Update move counters
-        if (this.currentPlayer === 'white') {
-            this.gameState.fullmoveNumber++;
+        if (!this.gameState.castlingRights[color][side]) {
+            return 'castling_without_rights';
         }
 
-        // Reset halfmove clock on pawn move or capture
-        if (moveResult.pieceMoved === 'pawn' || moveResult.pieceCaptured) {
-            this.gameState.halfmoveClock = 0;
-        } else {
-            this.gameState.halfmoveClock++;
+        const validator = this.chessGame.moveValidator;
+        if (!validator.isMovesPseudoLegal(fromIndex, toIndex)) {
+            return null;
         }
 
-        // TODO: Check for check, checkmate, stalemate
-        // TODO: Update castling rights
-        // TODO: Update en passant target
+        const opponentColor = color === 'white' ? 'black' : 'white';
+        if (validator.isSquareAttacked(fromIndex, opponentColor)) {
+            return 'castling_out_of_check';
+        }
 
-        this.updateGameStateDisplay();
+        const { kingTo, kingPath } = castling[side];
+        const crossed = kingPath.filter((square) => square !== kingTo);
+        return crossed.some((square) => validator.isSquareAttacked(square, opponentColor))
+            ? 'castling_through_check'
+            : null;
+    }
+
+    static rejectMove(reason) {
+        return { success: false, reason, message: Game.MOVE_REJECTIONS[reason] };
     }
 
     /**
-     * Generate basic move notation - Enhanced to work with piece type strings
+     * Report a successful move
+     * @param {Object} moveResult - The successful move result from attemptMove()
+     */
+    processMoveSuccess(moveResult) {
+        console.log(`Move: ${moveResult.notation}`);
+        console.log(`${this.currentPlayer} to move.`);
+    }
+
+    /**
+     * Generate the SAN of a move in the current position (e.g. 'Nf3', 'exd5', 'O-O').
+     * Moves the rules do not allow have no SAN and fall back to coordinates ('e2e5').
      * @param {number} from - Source square
      * @param {number} to - Target square
-     * @param {string} pieceType - Moving piece type
-     * @param {string|null} capturedType - Captured piece type
+     * @param {string} [promotion] - Promotion piece type for pawn moves to the last rank
      * @returns {string} Move notation
      */
-    generateMoveNotation(from, to, pieceType, capturedType) {
-        const fromSquare = this.indexToSquare(from);
-        const toSquare = this.indexToSquare(to);
-        const captureSymbol = capturedType ? 'x' : '';
+    generateMoveNotation(from, to, promotion = 'queen') {
+        const move = this.chessGame
+            .getLegalMoves()
+            .find(
+                (candidate) =>
+                    candidate.from === from &&
+                    candidate.to === to &&
+                    (!candidate.promotion || candidate.promotion === promotion)
+            );
 
-        return `${pieceType}${fromSquare}${captureSymbol}${toSquare}`;
+        if (!move) {
+            return MoveCodec.toUCI({ from, to });
+        }
+        return MoveCodec.format(move, 'san', this.board, this.gameState);
     }
 
     /**
@@ -265,34 +329,7 @@ export class Game {
      * @returns {string} Algebraic notation (e.g., 'e4')
      */
     indexToSquare(index) {
-        const file = String.fromCharCode(97 + (index % 8)); // a-h
-        const rank = 8 - Math.floor(index / 8); // 8-1 (Standard Chess Notation: rank 8 at top)
-        return file + rank;
-    }
-
-    /**
-     * Highlight the selected square
-     * @param {number} squareIndex - Index of square to highlight
-     */
-    highlightSelectedSquare(squareIndex) {
-        // Clear previous highlights
-        this.clearHighlights();
-
-        // Add highlight to selected square
-        const squares = document.querySelectorAll('.square');
-        if (squares[squareIndex]) {
-            squares[squareIndex].classList.add('selected');
-        }
-    }
-
-    /**
-     * Clear all highlights
-     */
-    clearHighlights() {
-        const squares = document.querySelectorAll('.square');
-        squares.forEach((square) => {
-            square.classList.remove('selected', 'valid-move', 'last-move');
-        });
+        return indexToAlgebraic(index);
     }
 
     /**
@@ -300,24 +337,7 @@ export class Game {
      */
     clearSelection() {
         this.selectedSquare = null;
-        this.clearHighlights();
-    }
-
-    /**
-     * Update game state display
-     */
-    updateGameStateDisplay() {
-        // Update current player display
-        const statusElement = document.getElementById('game-status');
-        if (statusElement) {
-            statusElement.textContent = `${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)} to move`;
-        }
-
-        // Update move counter
-        const moveElement = document.getElementById('move-counter');
-        if (moveElement) {
-            moveElement.textContent = `Move: ${this.gameState.fullmoveNumber}`;
-        }
+        this.view.clearHighlights();
     }
 
     /**
@@ -331,36 +351,42 @@ export class Game {
             selectedSquare: this.selectedSquare,
             board: this.board.squares,
             moveNumber: this.gameState.fullmoveNumber,
-            moveHistory: this.moveHistory,
+            moveHistory: this.getMoveHistory(),
         };
     }
 
     /**
-     * Get move history
-     * @returns {Array} Array of move objects
+     * Get the moves played to reach the current position
+     * @returns {Array} Array of move objects with their SAN notation
      */
     getMoveHistory() {
-        return [...this.moveHistory];
+        return this.chessGame
+            .getGameTree()
+            .getLine()
+            .map((node) => ({
+                from: node.move.from,
+                to: node.move.to,
+                pieceMoved: node.record.pieceMoved,
+                pieceCaptured: node.record.pieceCaptured,
+                notation: node.san,
+            }));
+    }
+
+    /**
+     * Export the game as PGN
+     * @param {Object} [tags] - PGN tags such as Event, White and Black
+     * @returns {string} PGN text
+     */
+    toPGN(tags = {}) {
+        return this.chessGame.toPGN(tags);
     }
 
     /**
      * Reset the game to initial state
      */
     resetGame() {
-        // Reset board
-        this.board = new Board();
-        this.board.setupInitialBoard();
-
-        // Reset game state
-        this.gameState = new GameState();
-        this.currentPlayer = 'white';
-        this.gameStatus = 'active';
         this.selectedSquare = null;
-        this.moveHistory = [];
-
-        // Re-render board
-        this.boardRenderer.render(this.board.squares);
-        this.updateGameStateDisplay();
+        this.chessGame.reset();
 
         console.log('Game reset. White to move.');
     }
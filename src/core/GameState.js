@@ -1,5 +1,39 @@
 // src/core/GameState.js
 
+import { CASTLING_SQUARES } from '../utils/Constants.js';
+import { squareColor } from '../utils/Coordinates.js';
+import { Zobrist } from './Zobrist.js';
+
+/**
+ * Checks whether neither side can possibly deliver mate: K vs K, K+minor vs K,
+ * or kings with any number of bishops that all stand on the same square color.
+ * @param {Board} board - Board to inspect
+ * @returns {boolean} True if the material on the board is insufficient
+ */
+function hasInsufficientMaterial(board) {
+    const minors = [];
+
+    for (let square = 0; square < 64; square++) {
+        const piece = board.squares[square];
+        if (!piece || piece.getType() === 'king') {
+            continue;
+        }
+        if (piece.getType() !== 'knight' && piece.getType() !== 'bishop') {
+            return false;
+        }
+        minors.push({ type: piece.getType(), square });
+    }
+
+    if (minors.length <= 1) {
+        return true;
+    }
+
+    return (
+        minors.every(({ type }) => type === 'bishop') &&
+        minors.every(({ square }) => squareColor(square) === squareColor(minors[0].square))
+    );
+}
+
 /**
  * GameState class to manage the current state of the chess game
  * Tracks turn, castling rights, en passant, move history, etc.
@@ -15,6 +49,14 @@ export class GameState {
         this.enPassantTarget = null;
         this.halfmoveClock = 0;
         this.fullmoveNumber = 1;
+
+        // Polyglot Zobrist key of the current position and of its piece placement alone
+        this.hash = 0n;
+        this.pieceHash = 0n;
+
+        // Hashes of every position reached, oldest first
+        this.positionHistory = [];
+        this.insufficientMaterial = false;
     }
 
     // TODO: Implement game state management methods
@@ -29,4 +71,248 @@ export class GameState {
     getCurrentPlayer() {
         return this.currentPlayer;
     }
+
+    /**
+     * Advances the state after a move has been applied to the board:
+     * castling rights, en passant target, halfmove clock, fullmove number and turn.
+     * When the board is given, the hash is updated incrementally and the resulting
+     * position is recorded for draw detection.
+     * @param {Object} record - Move record from Board.makeMove()
+     * @param {Board|null} board - Board the move was applied to
+     */
+    updateAfterMove(record, board = null) {
+        const { move } = record;
+
+        this.updateCastlingRights(move);
+        this.updateEnPassantTarget(move);
+
+        // Pawn moves and captures reset the fifty-move counter
+        if (record.pieceMoved === 'pawn' || record.pieceCaptured) {
+            this.halfmoveClock = 0;
+        } else {
+            this.halfmoveClock++;
+        }
+
+        if (this.currentPlayer === 'black') {
+            this.fullmoveNumber++;
+        }
+
+        this.switchPlayer();
+
+        if (board) {
+            this.pieceHash ^= Zobrist.moveKey(record);
+            // Only captures and promotions change the material on the board
+            this.addPosition(board, Boolean(record.pieceCaptured || move.promotion));
+        }
+    }
+
+    /**
+     * Hashes the current position from scratch and records it for repetition and
+     * insufficient material detection. Used for starting positions; later positions
+     * are recorded by updateAfterMove().
+     * @param {Board} board - Board holding the current position
+     */
+    recordPosition(board) {
+        this.pieceHash = Zobrist.hashPieces(board);
+        this.addPosition(board);
+    }
+
+    /**
+     * Completes the hash from the piece hash and appends the position to the history.
+     * @param {Board} board - Board holding the current position
+     * @param {boolean} [materialChanged] - Whether the material may differ from the last
+     *     recorded position, so insufficient material has to be checked again
+     */
+    addPosition(board, materialChanged = true) {
+        this.hash = this.pieceHash ^ Zobrist.hashState(board, this);
+        this.positionHistory.push(this.hash);
+        if (materialChanged) {
+            this.insufficientMaterial = hasInsufficientMaterial(board);
+        }
+    }
+
+    /**
+     * Gets the Polyglot-compatible Zobrist hash of the current position.
+     * @returns {bigint} 64-bit position key
+     */
+    getHash() {
+        return this.hash;
+    }
+
+    /**
+     * Counts how often the current position has occurred.
+     * Only positions since the last pawn move or capture can repeat.
+     * @returns {number} Number of occurrences, including the current one
+     */
+    getRepetitionCount() {
+        if (this.positionHistory.length === 0) {
+            return 0;
+        }
+
+        const current = this.positionHistory[this.positionHistory.length - 1];
+        return this.positionHistory
+            .slice(-(this.halfmoveClock + 1))
+            .filter((hash) => hash === current).length;
+    }
+
+    isThreefoldRepetition() {
+        return this.getRepetitionCount() >= 3;
+    }
+
+    isFivefoldRepetition() {
+        return this.getRepetitionCount() >= 5;
+    }
+
+    isFiftyMoveRule() {
+        return this.halfmoveClock >= 100;
+    }
+
+    isSeventyFiveMoveRule() {
+        return this.halfmoveClock >= 150;
+    }
+
+    isInsufficientMaterial() {
+        return this.insufficientMaterial;
+    }
+
+    /**
+     * Gets the draw that ends the game, if any. Checkmate and stalemate need move
+     * generation and are detected by ChessGame before falling back to this method.
+     * Threefold repetition and the fifty-move rule only let a player claim a draw, so
+     * they are reported by getClaimableDraw() instead.
+     * @returns {{result: string, reason: string}|null} Draw result or null if play continues
+     */
+    getGameResult() {
+        const draws = [
+            ['fivefold_repetition', () => this.isFivefoldRepetition()],
+            ['seventy_five_move_rule', () => this.isSeventyFiveMoveRule()],
+            ['insufficient_material', () => this.isInsufficientMaterial()],
+        ];
+
+        const draw = draws.find(([, applies]) => applies());
+        return draw ? { result: '1/2-1/2', reason: draw[0] } : null;
+    }
+
+    /**
+     * Gets the draw the player to move may claim in the current position.
+     * @returns {string|null} 'threefold_repetition', 'fifty_move_rule' or null if no
+     *     draw can be claimed
+     */
+    getClaimableDraw() {
+        if (this.isThreefoldRepetition()) {
+            return 'threefold_repetition';
+        }
+        return this.isFiftyMoveRule() ? 'fifty_move_rule' : null;
+    }
+
+    /**
+     * Checks whether the player to move may claim a draw.
+     * @returns {boolean} True if getClaimableDraw() reports a draw
+     */
+    canClaimDraw() {
+        return this.getClaimableDraw() !== null;
+    }
+
+    /**
+     * Checks whether the game has ended in a draw.
+     * @returns {boolean} True if getGameResult() reports a result
+     */
+    isGameOver() {
+        return this.getGameResult() !== null;
+    }
+
+    /**
+     * Gets a plain copy of the public game state, safe to hand to UI code or to post
+     * to a worker.
+     * @returns {Object} Turn, castling rights, en passant target, clocks and hash
+     */
+    getState() {
+        return {
+            currentPlayer: this.currentPlayer,
+            castlingRights: {
+                white: { ...this.castlingRights.white },
+                black: { ...this.castlingRights.black },
+            },
+            enPassantTarget: this.enPassantTarget,
+            halfmoveClock: this.halfmoveClock,
+            fullmoveNumber: this.fullmoveNumber,
+            hash: this.hash,
+        };
+    }
+
+    /**
+     * Captures the per-position state so a move can be taken back.
+     * @returns {Object} Copy of turn, castling rights, en passant target, clocks, hash and history length
+     */
+    createSnapshot() {
+        return {
+            currentPlayer: this.currentPlayer,
+            castlingRights: {
+                white: { ...this.castlingRights.white },
+                black: { ...this.castlingRights.black },
+            },
+            enPassantTarget: this.enPassantTarget,
+            halfmoveClock: this.halfmoveClock,
+            fullmoveNumber: this.fullmoveNumber,
+            hash: this.hash,
+            pieceHash: this.pieceHash,
+            positionCount: this.positionHistory.length,
+            insufficientMaterial: this.insufficientMaterial,
+        };
+    }
+
+    /**
+     * Restores state captured by createSnapshot().
+     * Positions recorded after the snapshot are dropped from the history.
+     * @param {Object} snapshot - Snapshot to restore
+     */
+    restoreSnapshot(snapshot) {
+        this.currentPlayer = snapshot.currentPlayer;
+        this.castlingRights = {
+            white: { ...snapshot.castlingRights.white },
+            black: { ...snapshot.castlingRights.black },
+        };
+        this.enPassantTarget = snapshot.enPassantTarget;
+        this.halfmoveClock = snapshot.halfmoveClock;
+        this.fullmoveNumber = snapshot.fullmoveNumber;
+        this.hash = snapshot.hash;
+        this.pieceHash = snapshot.pieceHash;
+        this.positionHistory.length = snapshot.positionCount;
+        this.insufficientMaterial = snapshot.insufficientMaterial;
+    }
+
+    /**
+     * Revokes castling rights affected by a move.
+     * Any move from or onto a king's or rook's home square (the king or rook moving,
+     * or a rook being captured) permanently removes the matching rights.
+     * @param {Object} move - Move object with from/to square indices
+     */
+    updateCastlingRights(move) {
+        for (const color of Object.keys(CASTLING_SQUARES)) {
+            const { kingFrom, kingside, queenside } = CASTLING_SQUARES[color];
+            const rights = this.castlingRights[color];
+
+            for (const square of [move.from, move.to]) {
+                if (square === kingFrom) {
+                    rights.kingside = false;
+                    rights.queenside = false;
+                }
+                if (square === kingside.rookFrom) {
+                    rights.kingside = false;
+                }
+                if (square === queenside.rookFrom) {
+                    rights.queenside = false;
+                }
+            }
+        }
+    }
+
+    /**
+     * Sets the en passant target after a move.
+     * A double pawn push exposes the skipped square; any other move clears it.
+     * @param {Object} move - Move object with from/to square indices and type
+     */
+    updateEnPassantTarget(move) {
+        this.enPassantTarget = move.type === 'double' ? (move.from + move.to) / 2 : null;
+    }
 }
@@ -0,0 +1,348 @@
+// src/core/GameTree.js
+
+import { FEN } from './FEN.js';
+import { MoveCodec } from './MoveCodec.js';
+import { PGN } from './PGN.js';
+
+/**
+ * GameTree - a game with variations, as a tree of move nodes
+ *
+ * The root node stands for the starting position; every other node holds the move
+ * that leads to it plus its SAN, ply, position hash, comment, NAGs and [%command]
+ * annotations; the first node of a variation may also hold the comment before it.
+ * A node's first child continues its line; further children are variations. The
+ * tree plays moves on the Board and GameState it is given, which always hold the
+ * position of the current node.
+ */
+export class GameTree {
+    /**
+     * @param {Board} board - Board holding the starting position
+     * @param {GameState} gameState - Game state of the starting position
+     */
+    constructor(board, gameState) {
+        this.board = board;
+        this.gameState = gameState;
+        this.startFEN = FEN.toFEN(board, gameState);
+        this.root = GameTree.createNode(null, {
+            ply: (gameState.fullmoveNumber - 1) * 2 + (gameState.currentPlayer === 'white' ? 0 : 1),
+            hash: gameState.hash,
+        });
+        this.current = this.root;
+    }
+
+    /**
+     * Create an empty tree for a FEN position.
+     * @param {string} [fen] - Starting position
+     * @returns {GameTree} Tree positioned at its root
+     */
+    static fromFEN(fen = FEN.STARTING_FEN) {
+        const { board, gameState } = FEN.parse(fen);
+        return new GameTree(board, gameState);
+    }
+
+    /**
+     * Build a tree from a game returned by PGN.parse(), variations included.
+     * @param {Object} game - Parsed PGN game
+     * @param {Board} [board] - Board to play on; loaded with the game's starting position
+     * @param {GameState} [gameState] - Game state to play on
+     * @returns {GameTree} Tree positioned at its root
+     */
+    static fromPGN(game, board = null, gameState = null) {
+        const tree = board
+            ? GameTree.loadInto(game.fen, board, gameState)
+            : GameTree.fromFEN(game.fen);
+        tree.root.comment = game.comment;
+
+        const addLine = (nodes) => {
+            const start = tree.current;
+
+            nodes.forEach((entry) => {
+                const node = tree.addMove(entry.move);
+                node.comment = entry.comment;
+                node.startingComment = entry.startingComment;
+                node.nags = [...entry.nags];
+                node.commands = { ...entry.commands };
+
+                // Variations replace this move, so they start from its parent
+                entry.variations.forEach((variation) => {
+                    tree.goToNode(node.parent);
+                    addLine(variation);
+                    tree.goToNode(node);
+                });
+            });
+
+            tree.goToNode(start);
+        };
+
+        addLine(game.moves);
+        return tree;
+    }
+
+    static loadInto(fen, board, gameState) {
+        FEN.load(fen, board, gameState);
+        return new GameTree(board, gameState);
+    }
+
+    static createNode(parent, fields) {
+        return {
+            parent,
+            children: [],
+            move: null,
+            san: null,
+            ply: 0,
+            hash: 0n,
+            comment: null,
+            startingComment: null,
+            nags: [],
+            commands: {},
+            record: null,
+            ...fields,
+        };
+    }
+
+    /**
+     * Play a move from the current node. If the move is already a child of the current
+     * node the tree just moves there; otherwise a new child is added after the
+     * existing ones, which makes it the main continuation only if it is the first.
+     * @param {Object|string} input - Move object or a move in any MoveCodec notation
+     * @returns {Object} The node reached
+     * @throws {Error} If the move is not legal in the current position
+     */
+    addMove(input) {
+        const move = MoveCodec.parse(input, this.board, this.gameState);
+        const existing = this.current.children.find(
+            (child) =>
+                child.move.from === move.from &&
+                child.move.to === move.to &&
+                (child.move.promotion || null) === (move.promotion || null)
+        );
+
+        if (existing) {
+            return this.next(this.current.children.indexOf(existing));
+        }
+
+        const node = GameTree.createNode(this.current, {
+            move,
+            san: MoveCodec.format(move, 'san', this.board, this.gameState),
+            ply: this.current.ply + 1,
+        });
+
+        node.record = this.board.makeMove(move, this.gameState);
+        node.hash = this.gameState.hash;
+        this.current.children.push(node);
+        this.current = node;
+
+        return node;
+    }
+
+    /**
+     * Step forward into a child of the current node.
+     * @param {number} [variation] - Child index; 0 follows the main continuation
+     * @returns {Object|null} The node reached, or null if there is no such child
+     */
+    next(variation = 0) {
+        const child = this.current.children[variation];
+        if (!child) {
+            return null;
+        }
+
+        child.record = this.board.makeMove(child.move, this.gameState);
+        this.current = child;
+        return child;
+    }
+
+    /**
+     * Step back to the parent of the current node.
+     * @returns {Object|null} The node reached, or null at the root
+     */
+    previous() {
+        if (!this.current.parent) {
+            return null;
+        }
+
+        this.board.unmakeMove(this.current.record, this.gameState);
+        this.current = this.current.parent;
+        return this.current;
+    }
+
+    /**
+     * Go to any node of the tree.
+     * @param {Object} node - Target node
+     * @returns {Object} The node reached
+     * @throws {Error} If the node does not belong to this tree
+     */
+    goToNode(node) {
+        const path = this.getPath(node);
+        if (path[0] !== this.root) {
+            throw new Error('Node does not belong to this game tree');
+        }
+
+        // Back up to the deepest node shared by both lines, then walk down
+        while (!path.includes(this.current)) {
+            this.previous();
+        }
+        for (const step of path.slice(path.indexOf(this.current) + 1)) {
+            this.next(this.current.children.indexOf(step));
+        }
+
+        return this.current;
+    }
+
+    /**
+     * Go to a ply of the current line: back along it, or forward along its main
+     * continuation.
+     * @param {number} ply - Target ply (the root's ply is the start)
+     * @returns {Object} The node reached
+     * @throws {Error} If the line does not reach that ply
+     */
+    goToPly(ply) {
+        if (!Number.isInteger(ply) || ply < this.root.ply) {
+            throw new Error(`Invalid ply: ${ply}`);
+        }
+
+        let target = this.current;
+        while (target.ply > ply) {
+            target = target.parent;
+        }
+        while (target.ply < ply && target.children.length > 0) {
+            target = target.children[0];
+        }
+        if (target.ply !== ply) {
+            throw new Error(`Invalid ply: ${ply} is past the end of the line`);
+        }
+
+        return this.goToNode(target);
+    }
+
+    /**
+     * Go to the starting position.
+     * @returns {Object} The root node
+     */
+    goToStart() {
+        return this.goToNode(this.root);
+    }
+
+    /**
+     * Follow the main continuation of the current line to its end.
+     * @returns {Object} The last node of the line
+     */
+    goToEnd() {
+        while (this.next()) {
+            // keep stepping
+        }
+        return this.current;
+    }
+
+    /**
+     * Make a variation the main continuation of its parent; the former main
+     * continuation becomes the first variation.
+     * @param {Object} [node] - First node of the variation
+     * @returns {Object} The promoted node
+     */
+    promoteVariation(node = this.current) {
+        const siblings = node.parent ? node.parent.children : [];
+        const index = siblings.indexOf(node);
+        if (index === -1) {
+            throw new Error('Cannot promote the root of the game tree');
+        }
+
+        siblings.splice(index, 1);
+        siblings.unshift(node);
+        return node;
+    }
+
+    /**
+     * Delete a node and everything after it. If the current node is removed, the
+     * tree moves to the deleted node's parent.
+     * @param {Object} [node] - First node to delete
+     * @returns {Object} The parent of the deleted node
+     */
+    deleteFromHere(node = this.current) {
+        if (!node.parent) {
+            throw new Error('Cannot delete the root of the game tree');
+        }
+
+        if (this.getPath(this.current).includes(node)) {
+            this.goToNode(node.parent);
+        }
+
+        const parent = node.parent;
+        parent.children.splice(parent.children.indexOf(node), 1);
+        node.parent = null;
+        return parent;
+    }
+
+    /**
+     * Get the nodes from the root down to a node.
+     * @param {Object} [node] - Last node
+     * @returns {Object[]} Path, root first
+     */
+    getPath(node = this.current) {
+        const path = [];
+        for (let step = node; step; step = step.parent) {
+            path.unshift(step);
+        }
+        return path;
+    }
+
+    /**
+     * Get the moves played to reach a node.
+     * @param {Object} [node] - Last node
+     * @returns {Object[]} Move nodes, oldest first (the root is left out)
+     */
+    getLine(node = this.current) {
+        return this.getPath(node).slice(1);
+    }
+
+    /**
+     * Get the main line of the whole game.
+     * @returns {Object[]} Move nodes following the first child from the root
+     */
+    getMainLine() {
+        const line = [];
+        for (let node = this.root.children[0]; node; node = node.children[0]) {
+            line.push(node);
+        }
+        return line;
+    }
+
+    static commentText(node) {
+        const commands = Object.entries(node.commands).map(
+            ([name, value]) => `[%${name} ${value}]`
+        );
+        return [...commands, node.comment].filter(Boolean).join(' ') || null;
+    }
+
+    /**
+     * Export the tree as PGN, variations included.
+     * @param {Object} [tags] - PGN tags
+     * @param {string} [result] - Game result
+     * @returns {string} PGN text
+     */
+    toPGN(tags = {}, result = '*') {
+        const toEntries = (first) => {
+            const entries = [];
+            for (let node = first; node; node = node.children[0]) {
+                const [mainLine, ...variations] = node.parent.children;
+
+                // A node's alternatives are written once, after the main continuation
+                entries.push({
+                    move: node.move,
+                    comment: GameTree.commentText(node),
+                    startingComment: node.startingComment,
+                    nags: node.nags,
+                    variations: node === mainLine ? variations.map(toEntries) : [],
+                });
+            }
+            return entries;
+        };
+
+        return PGN.write({
+            moves: toEntries(this.root.children[0]),
+            tags,
+            result,
+            fen: this.startFEN,
+            comment: this.root.comment,
+        });
+    }
+}
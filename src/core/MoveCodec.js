@@ -0,0 +1,261 @@
+// src/core/MoveCodec.js
+
+import { MoveValidator } from './MoveValidator.js';
+import { SAN } from './SAN.js';
+import { algebraicToIndex, indexToAlgebraic } from '../utils/Coordinates.js';
+
+const PIECE_LETTERS = {
+    pawn: 'P',
+    knight: 'N',
+    bishop: 'B',
+    rook: 'R',
+    queen: 'Q',
+    king: 'K',
+};
+
+const PROMOTION_TYPES = {
+    q: 'queen',
+    r: 'rook',
+    b: 'bishop',
+    n: 'knight',
+};
+
+const UCI_PATTERN = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/;
+
+// Groups: castling, piece letter, from, separator, to, promotion
+const LAN_PATTERN =
+    /^(?:([O0]-[O0](?:-[O0])?)|([PNBRQK])?([a-h][1-8])([-x])([a-h][1-8])(?:=?([NBRQ]))?)[+#]?[!?]*$/;
+
+/**
+ * Move codec - conversion between move objects and text notations
+ *
+ * Formats:
+ * - 'index': {from, to, promotion?} with square indices, as used by Board and MoveGenerator
+ * - 'uci': coordinate notation used by UCI engines and perft tools ('e2e4', 'e7e8q')
+ * - 'lan': long algebraic notation ('Pe2-e4', 'Ng8xf6', 'Pe7-e8=Q', 'O-O')
+ * - 'san': standard algebraic notation ('e4', 'Nxf6', 'e8=Q+'), see SAN
+ *
+ * Formatting UCI and LAN only needs the move; SAN and all parsing need the position,
+ * and parsing always returns the matching legal move object.
+ */
+export class MoveCodec {
+    static FORMATS = ['index', 'uci', 'lan', 'san'];
+
+    /**
+     * Format a move in the given notation.
+     * @param {Object} move - Move object
+     * @param {string} format - 'index', 'uci', 'lan' or 'san'
+     * @param {Board} [board] - Board holding the position before the move (SAN only)
+     * @param {GameState} [gameState] - Game state of that position (SAN only)
+     * @returns {string|Object} Move text, or {from, to, promotion?} for 'index'
+     * @throws {Error} If the format is unknown or the move is illegal (SAN)
+     */
+    static format(move, format, board = null, gameState = null) {
+        switch (format) {
+            case 'index':
+                return MoveCodec.toIndex(move);
+            case 'uci':
+                return MoveCodec.toUCI(move);
+            case 'lan':
+                return MoveCodec.toLAN(move);
+            case 'san':
+                return SAN.fromMove(move, board, gameState);
+            default:
+                throw new Error(`Unknown move format: ${format}`);
+        }
+    }
+
+    /**
+     * Parse a move in the given notation into the legal move it denotes.
+     * With format 'auto', UCI, LAN and SAN are tried in that order.
+     * @param {string|Object} input - Move text, or {from, to, promotion?} for 'index'
+     * @param {Board} board - Board holding the position
+     * @param {GameState} gameState - Game state of the position
+     * @param {string} [format] - 'index', 'uci', 'lan', 'san' or 'auto'
+     * @returns {Object} Legal move object
+     * @throws {Error} If the input is malformed, illegal or ambiguous
+     */
+    static parse(input, board, gameState, format = 'auto') {
+        switch (format) {
+            case 'index':
+                return MoveCodec.fromIndex(input, board, gameState);
+            case 'uci':
+                return MoveCodec.fromUCI(input, board, gameState);
+            case 'lan':
+                return MoveCodec.fromLAN(input, board, gameState);
+            case 'san':
+                return SAN.toMove(input, board, gameState);
+            case 'auto':
+                return MoveCodec.parseAuto(input, board, gameState);
+            default:
+                throw new Error(`Unknown move format: ${format}`);
+        }
+    }
+
+    static parseAuto(input, board, gameState) {
+        if (typeof input === 'object' && input !== null) {
+            return MoveCodec.fromIndex(input, board, gameState);
+        }
+
+        const text = typeof input === 'string' ? input.trim() : '';
+        if (UCI_PATTERN.test(text)) {
+            return MoveCodec.fromUCI(text, board, gameState);
+        }
+        if (LAN_PATTERN.test(text)) {
+            return MoveCodec.fromLAN(text, board, gameState);
+        }
+        return SAN.toMove(text, board, gameState);
+    }
+
+    /**
+     * Reduce a move to its squares and promotion piece.
+     * @param {Object} move - Move object
+     * @returns {{from: number, to: number, promotion?: string}} Index move
+     */
+    static toIndex(move) {
+        const index = { from: move.from, to: move.to };
+        if (move.promotion) {
+            index.promotion = move.promotion;
+        }
+        return index;
+    }
+
+    /**
+     * Find the legal move with the given squares and promotion piece.
+     * @param {{from: number, to: number, promotion?: string}} index - Index move
+     * @param {Board} board - Board holding the position
+     * @param {GameState} gameState - Game state of the position
+     * @returns {Object} Legal move object
+     * @throws {Error} If no legal move matches
+     */
+    static fromIndex(index, board, gameState) {
+        const { from, to, promotion = null } = index || {};
+        const move = MoveCodec.legalMoves(board, gameState).find(
+            (candidate) =>
+                candidate.from === from &&
+                candidate.to === to &&
+                (candidate.promotion || null) === promotion
+        );
+
+        if (!move) {
+            throw new Error(`Illegal move: ${MoveCodec.describeIndex(index)} is not legal`);
+        }
+        return move;
+    }
+
+    /**
+     * Format a move in UCI coordinate notation.
+     * @param {Object} move - Move object
+     * @returns {string} UCI move (e.g. 'e2e4', 'e7e8q'; castling as the king move 'e1g1')
+     */
+    static toUCI(move) {
+        const promotion = move.promotion ? PIECE_LETTERS[move.promotion].toLowerCase() : '';
+        return indexToAlgebraic(move.from) + indexToAlgebraic(move.to) + promotion;
+    }
+
+    /**
+     * Parse a UCI coordinate move.
+     * @param {string} uci - UCI move (e.g. 'e2e4', 'e7e8q')
+     * @param {Board} board - Board holding the position
+     * @param {GameState} gameState - Game state of the position
+     * @returns {Object} Legal move object
+     * @throws {Error} If the text is not UCI or the move is illegal
+     */
+    static fromUCI(uci, board, gameState) {
+        const text = typeof uci === 'string' ? uci.trim() : '';
+        const match = UCI_PATTERN.exec(text);
+        if (!match) {
+            throw new Error(`Invalid UCI move: '${uci}'`);
+        }
+
+        const [, from, to, promotion] = match;
+        return MoveCodec.fromIndex(
+            {
+                from: algebraicToIndex(from),
+                to: algebraicToIndex(to),
+                promotion: promotion ? PROMOTION_TYPES[promotion] : null,
+            },
+            board,
+            gameState
+        );
+    }
+
+    /**
+     * Format a move in long algebraic notation.
+     * @param {Object} move - Move object
+     * @returns {string} LAN move (e.g. 'Pe2-e4', 'Ng8xf6', 'Pe7-e8=Q', 'O-O-O')
+     */
+    static toLAN(move) {
+        if (move.type === 'castle') {
+            return move.side === 'kingside' ? 'O-O' : 'O-O-O';
+        }
+
+        const separator = move.type === 'capture' || move.type === 'en_passant' ? 'x' : '-';
+        const promotion = move.promotion ? `=${PIECE_LETTERS[move.promotion]}` : '';
+
+        return (
+            PIECE_LETTERS[move.piece] +
+            indexToAlgebraic(move.from) +
+            separator +
+            indexToAlgebraic(move.to) +
+            promotion
+        );
+    }
+
+    /**
+     * Parse a long algebraic move. The piece letter may be omitted for pawns.
+     * @param {string} lan - LAN move (e.g. 'Pe2-e4', 'e2-e4', 'Ng8xf6', 'O-O')
+     * @param {Board} board - Board holding the position
+     * @param {GameState} gameState - Game state of the position
+     * @returns {Object} Legal move object
+     * @throws {Error} If the text is not LAN, or the move is illegal or does not match
+     *     the stated piece or capture
+     */
+    static fromLAN(lan, board, gameState) {
+        const text = typeof lan === 'string' ? lan.trim() : '';
+        const match = LAN_PATTERN.exec(text);
+        if (!match) {
+            throw new Error(`Invalid LAN move: '${lan}'`);
+        }
+
+        const [, castling, letter = 'P', from, separator, to, promotion] = match;
+        if (castling) {
+            return SAN.toMove(castling, board, gameState);
+        }
+
+        const move = MoveCodec.fromIndex(
+            {
+                from: algebraicToIndex(from),
+                to: algebraicToIndex(to),
+                promotion: promotion ? PROMOTION_TYPES[promotion.toLowerCase()] : null,
+            },
+            board,
+            gameState
+        );
+
+        if (PIECE_LETTERS[move.piece] !== letter) {
+            throw new Error(`Illegal move: ${text} - the piece on ${from} is a ${move.piece}`);
+        }
+
+        const isCapture = move.type === 'capture' || move.type === 'en_passant';
+        if (isCapture !== (separator === 'x')) {
+            throw new Error(
+                `Illegal move: ${text} - ${isCapture ? 'a capture must use x' : 'nothing to capture on ' + to}`
+            );
+        }
+
+        return move;
+    }
+
+    static legalMoves(board, gameState) {
+        return new MoveValidator(board, gameState).getAllLegalMoves(gameState.currentPlayer);
+    }
+
+    static describeIndex(index) {
+        try {
+            return MoveCodec.toUCI(index);
+        } catch {
+            return JSON.stringify(index);
+        }
+    }
+}
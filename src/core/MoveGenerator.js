@@ -1,6 +1,11 @@
+import { CASTLING_SQUARES } from '../utils/Constants.js';
+import { Rules } from './Rules.js';
+import { fileOf, isValidSquare, rankOf } from '../utils/Coordinates.js';
+
 export class MoveGenerator {
-    constructor(board) {
+    constructor(board, gameState = null) {
         this.board = board;
+        this.gameState = gameState;
     }
 
     generateMoves(piece, position) {
@@ -33,14 +38,11 @@ export class MoveGenerator {
         }
 
         const direction = color === 'white' ? -8 : 8;
-        const currentRank = Math.floor(position / 8);
-
-        const isOnStartingRank =
-            (color === 'white' && currentRank === 6) || (color === 'black' && currentRank === 1);
+        const isOnStartingRank = rankOf(position) === (color === 'white' ? 2 : 7);
 
         const oneSquareForward = position + direction;
         if (this.isValidSquare(oneSquareForward) && !this.board.squares[oneSquareForward]) {
-            moves.push({
+            this.addPawnMove(moves, {
                 from: position,
                 to: oneSquareForward,
                 type: 'normal',
@@ -77,7 +79,7 @@ export class MoveGenerator {
                 const targetPiece = this.board.squares[captureSquare];
 
                 if (targetPiece && targetPiece.getColor() !== color) {
-                    moves.push({
+                    this.addPawnMove(moves, {
                         from: position,
                         to: captureSquare,
                         type: 'capture',
@@ -85,6 +87,19 @@ export class MoveGenerator {
                         color: color,
                         captured: targetPiece.getType(),
                     });
+                } else if (
+                    !targetPiece &&
+                    this.isEnPassantCapture(piece, position, captureSquare)
+                ) {
+                    moves.push({
+                        from: position,
+                        to: captureSquare,
+                        type: 'en_passant',
+                        piece: piece.getType(),
+                        color: color,
+                        captured: 'pawn',
+                        capturedSquare: captureSquare - direction,
+                    });
                 }
             }
         }
@@ -92,6 +107,41 @@ export class MoveGenerator {
         return moves;
     }
 
+    /**
+     * Add a pawn move, expanding it into one move per promotion piece when the pawn
+     * reaches the back rank.
+     * @param {Array} moves - Move list to append to
+     * @param {Object} move - Pawn move without a promotion field
+     */
+    addPawnMove(moves, move) {
+        if (!Rules.isPromotionSquare(move.to, move.color)) {
+            moves.push(move);
+            return;
+        }
+
+        for (const promotion of Rules.PROMOTION_TYPES) {
+            moves.push({ ...move, promotion });
+        }
+    }
+
+    /**
+     * Check whether a diagonal pawn step onto an empty square is an en passant capture.
+     * @param {Piece} piece - The capturing pawn
+     * @param {number} position - Square index of the capturing pawn
+     * @param {number} targetSquare - Empty square the pawn would move to
+     * @returns {boolean} True if targetSquare is the en passant target and an enemy pawn sits behind it
+     */
+    isEnPassantCapture(piece, position, targetSquare) {
+        if (!this.gameState || this.gameState.enPassantTarget !== targetSquare) {
+            return false;
+        }
+
+        const direction = piece.getColor() === 'white' ? -8 : 8;
+        const victim = this.board.squares[targetSquare - direction];
+
+        return !!victim && victim.getType() === 'pawn' && victim.getColor() !== piece.getColor();
+    }
+
     generateRookMoves(piece, position) {
         const moves = [];
         const color = piece.getColor();
@@ -279,6 +329,58 @@ export class MoveGenerator {
             }
         }
 
+        moves.push(...this.generateCastlingMoves(piece, position));
+
+        return moves;
+    }
+
+    /**
+     * Generate pseudo-legal castling moves for a king on its home square.
+     * Only castling rights, rook presence and empty squares are checked here;
+     * MoveValidator.canCastle() rejects castling out of, through or into check.
+     * @param {Piece} piece - The king
+     * @param {number} position - Square index of the king
+     * @returns {Array} Castle moves (type 'castle') carrying side, rookFrom and rookTo
+     */
+    generateCastlingMoves(piece, position) {
+        const moves = [];
+        const color = piece.getColor();
+        const castling = CASTLING_SQUARES[color];
+
+        if (!this.gameState || position !== castling.kingFrom) {
+            return moves;
+        }
+
+        const rights = this.gameState.castlingRights[color];
+
+        for (const side of ['kingside', 'queenside']) {
+            if (!rights[side]) {
+                continue;
+            }
+
+            const { kingTo, rookFrom, rookTo, emptySquares } = castling[side];
+            const rook = this.board.squares[rookFrom];
+
+            if (!rook || rook.getType() !== 'rook' || rook.getColor() !== color) {
+                continue;
+            }
+
+            if (emptySquares.some((square) => this.board.squares[square])) {
+                continue;
+            }
+
+            moves.push({
+                from: position,
+                to: kingTo,
+                type: 'castle',
+                piece: piece.getType(),
+                color: color,
+                side: side,
+                rookFrom: rookFrom,
+                rookTo: rookTo,
+            });
+        }
+
         return moves;
     }
 
@@ -290,48 +392,31 @@ export class MoveGenerator {
     }
 
     isValidSquare(square) {
-        return square >= 0 && square < 64;
+        return isValidSquare(square);
     }
 
     isValidPawnCapture(fromSquare, toSquare) {
-        const fromFile = fromSquare % 8;
-        const toFile = toSquare % 8;
-
-        return Math.abs(fromFile - toFile) === 1;
+        return Math.abs(fileOf(fromSquare) - fileOf(toSquare)) === 1;
     }
 
     isValidHorizontalMove(fromSquare, toSquare) {
-        const fromRank = Math.floor(fromSquare / 8);
-        const toRank = Math.floor(toSquare / 8);
-
-        return fromRank === toRank;
+        return rankOf(fromSquare) === rankOf(toSquare);
     }
 
     isValidDiagonalMove(fromSquare, toSquare) {
-        const fromFile = fromSquare % 8;
-        const fromRank = Math.floor(fromSquare / 8);
-        const toFile = toSquare % 8;
-        const toRank = Math.floor(toSquare / 8);
-
-        const fileDiff = Math.abs(toFile - fromFile);
-        const rankDiff = Math.abs(toRank - fromRank);
+        const fileDiff = Math.abs(fileOf(toSquare) - fileOf(fromSquare));
+        const rankDiff = Math.abs(rankOf(toSquare) - rankOf(fromSquare));
 
         return fileDiff === rankDiff;
     }
 
     isValidKnightMove(fromSquare, toSquare) {
-        const fromFile = fromSquare % 8;
-        const toFile = toSquare % 8;
-        const fileDiff = Math.abs(fromFile - toFile);
+        const fileDiff = Math.abs(fileOf(fromSquare) - fileOf(toSquare));
 
         return fileDiff === 1 || fileDiff === 2;
     }
 
     isValidKingMove(fromSquare, toSquare) {
-        const fromFile = fromSquare % 8;
-        const toFile = toSquare % 8;
-        const fileDiff = Math.abs(fromFile - toFile);
-
-        return fileDiff <= 1;
+        return Math.abs(fileOf(fromSquare) - fileOf(toSquare)) <= 1;
     }
 }
@@ -1,12 +1,57 @@
+import { AttackMap } from './AttackMap.js';
 import { MoveGenerator } from './MoveGenerator.js';
+import { BitboardMoveGenerator } from './BitboardMoveGenerator.js';
 import { Board } from './Board.js';
+import { BitboardBoard } from './BitboardBoard.js';
 import { Piece } from './Piece.js';
+import { SQUARE_BITS, squaresOf } from './Bitboard.js';
+import { CASTLING_SQUARES } from '../utils/Constants.js';
+import { fileOf, isValidSquare, rankOf, squareAt } from '../utils/Coordinates.js';
+
+const KNIGHT_OFFSETS = [
+    [-2, -1],
+    [-2, 1],
+    [-1, -2],
+    [-1, 2],
+    [1, -2],
+    [1, 2],
+    [2, -1],
+    [2, 1],
+];
+
+const KING_OFFSETS = [
+    [-1, -1],
+    [-1, 0],
+    [-1, 1],
+    [0, -1],
+    [0, 1],
+    [1, -1],
+    [1, 0],
+    [1, 1],
+];
+
+const ROOK_RAYS = [
+    [-1, 0],
+    [1, 0],
+    [0, -1],
+    [0, 1],
+];
+
+const BISHOP_RAYS = [
+    [-1, -1],
+    [-1, 1],
+    [1, -1],
+    [1, 1],
+];
 
 export class MoveValidator {
     constructor(board, gameState) {
         this.board = board;
         this.gameState = gameState;
-        this.moveGenerator = new MoveGenerator(board);
+        this.moveGenerator =
+            board instanceof BitboardBoard
+                ? new BitboardMoveGenerator(board, gameState)
+                : new MoveGenerator(board, gameState);
     }
 
     isValidMove(fromPosition, toPosition) {
@@ -25,15 +70,14 @@ export class MoveValidator {
                 return false;
             }
 
-            if (!this.isMovesPseudoLegal(fromPosition, toPosition)) {
+            const move = this.moveGenerator
+                .generateMoves(piece, fromPosition)
+                .find((candidate) => candidate.to === toPosition);
+            if (!move) {
                 return false;
             }
 
-            if (this.wouldMoveResultInCheck(fromPosition, toPosition, piece.getColor())) {
-                return false;
-            }
-
-            return true;
+            return this.isLegalMove(move, piece.getColor());
         } catch {
             return false;
         }
@@ -61,23 +105,77 @@ export class MoveValidator {
             }
 
             const opponentColor = color === 'white' ? 'black' : 'white';
-            const opponentPieces = this.getAllPiecesOfColor(opponentColor);
+            return this.isSquareAttacked(kingPosition, opponentColor);
+        } catch {
+            return false;
+        }
+    }
 
-            for (const { piece, position } of opponentPieces) {
-                try {
-                    const possibleMoves = this.moveGenerator.generateMoves(piece, position);
-                    if (possibleMoves.some((move) => move.to === kingPosition)) {
-                        return true;
-                    }
-                } catch {
-                    continue;
-                }
+    /**
+     * Check whether any piece of the given color attacks a square.
+     * Works on empty squares too, so it can be used for castling transit checks.
+     * @param {number} square - Target square index (0-63)
+     * @param {string} attackerColor - Color of the attacking side
+     * @returns {boolean} True if the square is attacked
+     */
+    isSquareAttacked(square, attackerColor) {
+        if (this.board instanceof BitboardBoard) {
+            return this.board.isSquareAttacked(square, attackerColor);
+        }
+
+        const rank = rankOf(square);
+        const file = fileOf(square);
+
+        const pieceAt = (r, f) => {
+            const index = squareAt(f, r);
+            return index === -1 ? undefined : this.board.squares[index];
+        };
+        const isAttacker = (target, types) =>
+            target && target.getColor() === attackerColor && types.includes(target.getType());
+
+        // White pawns attack toward rank 8, so an attacking white pawn sits one rank below
+        const pawnRank = attackerColor === 'white' ? rank - 1 : rank + 1;
+        if (
+            isAttacker(pieceAt(pawnRank, file - 1), ['pawn']) ||
+            isAttacker(pieceAt(pawnRank, file + 1), ['pawn'])
+        ) {
+            return true;
+        }
+
+        for (const [dr, df] of KNIGHT_OFFSETS) {
+            if (isAttacker(pieceAt(rank + dr, file + df), ['knight'])) {
+                return true;
             }
+        }
 
-            return false;
-        } catch {
-            return false;
+        for (const [dr, df] of KING_OFFSETS) {
+            if (isAttacker(pieceAt(rank + dr, file + df), ['king'])) {
+                return true;
+            }
         }
+
+        const rays = [
+            ...ROOK_RAYS.map((ray) => [ray, ['rook', 'queen']]),
+            ...BISHOP_RAYS.map((ray) => [ray, ['bishop', 'queen']]),
+        ];
+
+        for (const [[dr, df], types] of rays) {
+            let r = rank + dr;
+            let f = file + df;
+            let target = pieceAt(r, f);
+
+            while (target === null) {
+                r += dr;
+                f += df;
+                target = pieceAt(r, f);
+            }
+
+            if (isAttacker(target, types)) {
+                return true;
+            }
+        }
+
+        return false;
     }
 
     isCheckmate(color) {
@@ -117,15 +215,143 @@ export class MoveValidator {
         }
     }
 
-    canCastle(_color, _side) {
-        return false;
+    /**
+     * Check whether the given side may castle right now.
+     * Requires the castling right, king and rook on their home squares, empty squares
+     * between them, and that the king is not in check and does not cross or land on
+     * an attacked square.
+     * @param {string} color - 'white' or 'black'
+     * @param {string} side - 'kingside' or 'queenside'
+     * @returns {boolean} True if castling is legal
+     */
+    canCastle(color, side) {
+        const castling = CASTLING_SQUARES[color];
+        if (!this.gameState || !castling || !castling[side]) {
+            return false;
+        }
+
+        if (!this.gameState.castlingRights[color][side]) {
+            return false;
+        }
+
+        const { rookFrom, emptySquares, kingPath } = castling[side];
+        const king = this.board.squares[castling.kingFrom];
+        const rook = this.board.squares[rookFrom];
+
+        if (!king || king.getType() !== 'king' || king.getColor() !== color) {
+            return false;
+        }
+
+        if (!rook || rook.getType() !== 'rook' || rook.getColor() !== color) {
+            return false;
+        }
+
+        if (emptySquares.some((square) => this.board.squares[square])) {
+            return false;
+        }
+
+        const opponentColor = color === 'white' ? 'black' : 'white';
+        if (this.isSquareAttacked(castling.kingFrom, opponentColor)) {
+            return false;
+        }
+
+        return !kingPath.some((square) => this.isSquareAttacked(square, opponentColor));
+    }
+
+    /**
+     * Check whether a pseudo-legal move is fully legal.
+     * King moves must land on a square the opponent does not attack, pinned pieces must
+     * stay on their pin ray, and in check the move must capture or block the checker.
+     * En passant can expose the king along the rank it clears, so it is played out.
+     * Without an attack map, a BitboardBoard answers from its bitboard checks and pins.
+     * @param {Object} move - Move object produced by MoveGenerator
+     * @param {string} color - Color of the moving side
+     * @param {AttackMap} [attackMap] - Opponent's attack map, when already computed
+     * @returns {boolean} True if the move does not leave the king in check
+     */
+    isLegalMove(move, color = move.color, attackMap = null) {
+        if (move.type === 'castle') {
+            return this.canCastle(color, move.side);
+        }
+
+        if (move.type === 'en_passant') {
+            return !this.wouldMoveResultInCheck(move.from, move.to, color, move);
+        }
+
+        if (this.board instanceof BitboardBoard && !attackMap) {
+            return this.isLegalBitboardMove(move, color, this.board.getChecksAndPins(color));
+        }
+
+        const map = attackMap || this.getAttackMap(color === 'white' ? 'black' : 'white');
+
+        if (move.from === map.king) {
+            return map.isSafeForKing(move.to);
+        }
+
+        const checkers = map.getCheckers();
+        if (checkers.length > 1) {
+            return false;
+        }
+        if (checkers.length === 1 && !checkers[0].ray.includes(move.to)) {
+            return false;
+        }
+
+        const pinRay = map.getPinRay(move.from);
+        return !pinRay || pinRay.includes(move.to);
+    }
+
+    /**
+     * Check whether a pseudo-legal move on a BitboardBoard is fully legal, with the
+     * bitboard checks and pins instead of an AttackMap.
+     * @param {Object} move - Move object produced by BitboardMoveGenerator
+     * @param {string} color - Color of the moving side
+     * @param {Object} checks - The mover's checks and pins, from getChecksAndPins()
+     * @returns {boolean} True if the move does not leave the king in check
+     */
+    isLegalBitboardMove(move, color, checks) {
+        if (move.type === 'castle') {
+            return this.canCastle(color, move.side);
+        }
+
+        if (move.type === 'en_passant') {
+            return !this.board.leavesKingInCheck(move, color);
+        }
+
+        if (move.from === checks.king) {
+            // Without the king in the way, checking sliders also cover the squares behind it
+            const occupied = this.board.getOccupied() ^ SQUARE_BITS[checks.king];
+            const opponentColor = color === 'white' ? 'black' : 'white';
+            return !this.board.isSquareAttacked(move.to, opponentColor, occupied);
+        }
+
+        const to = SQUARE_BITS[move.to];
+        if ((checks.checkMask & to) === 0n) {
+            return false;
+        }
+        return (
+            (checks.pinned & SQUARE_BITS[move.from]) === 0n ||
+            (checks.pinRays[move.from] & to) !== 0n
+        );
+    }
+
+    /**
+     * Build the attack map of one side: attacked squares, checks and pins.
+     * @param {string} color - Attacking side, 'white' or 'black'
+     * @returns {AttackMap} Attack map of the current position
+     */
+    getAttackMap(color) {
+        return new AttackMap(this.board, color);
     }
 
     isValidPosition(position) {
-        return position >= 0 && position < 64;
+        return isValidSquare(position);
     }
 
     findKing(color) {
+        if (this.board instanceof BitboardBoard) {
+            return this.board.findKing(color);
+        }
+
         for (let i = 0; i < 64; i++) {
             const piece = this.board.squares[i];
             if (piece && piece.getType() === 'king' && piece.getColor() === color) {
@@ -147,6 +373,10 @@ export class MoveValidator {
     }
 
     getAllLegalMoves(color) {
+        if (this.board instanceof BitboardBoard) {
+            return this.getAllBitboardLegalMoves(color);
+        }
+
         const legalMoves = [];
         const pieces = this.getAllPiecesOfColor(color);
 
@@ -154,13 +384,21 @@ export class MoveValidator {
             return [];
         }
 
+        const attackMap = this.getAttackMap(color === 'white' ? 'black' : 'white');
+        const doubleCheck = attackMap.getCheckers().length > 1;
+
         for (const { piece, position } of pieces) {
+            // Only the king can answer a double check
+            if (doubleCheck && position !== attackMap.king) {
+                continue;
+            }
+
             try {
                 const pseudoLegalMoves = this.moveGenerator.generateMoves(piece, position);
 
                 for (const move of pseudoLegalMoves) {
                     try {
-                        if (!this.wouldMoveResultInCheck(move.from, move.to, color)) {
+                        if (this.isLegalMove(move, color, attackMap)) {
                             legalMoves.push(move);
                         }
                     } catch {
@@ -175,7 +413,68 @@ export class MoveValidator {
         return legalMoves;
     }
 
-    wouldMoveResultInCheck(fromPosition, toPosition, color) {
+    /**
+     * Get all legal moves on a BitboardBoard, filtered with its bitboard checks and pins.
+     * @param {string} color - Side to move
+     * @returns {Object[]} Legal move objects
+     */
+    getAllBitboardLegalMoves(color) {
+        const checks = this.board.getChecksAndPins(color);
+        if (checks.king === -1) {
+            return [];
+        }
+
+        // Only the king can answer a double check
+        const doubleCheck = checks.checkMask === 0n;
+        const squares = doubleCheck ? [checks.king] : squaresOf(this.board.occupied[color]);
+        const legalMoves = [];
+
+        for (const square of squares) {
+            const moves = this.moveGenerator.generateMoves(this.board.squares[square], square);
+            for (const move of moves) {
+                if (this.isLegalBitboardMove(move, color, checks)) {
+                    legalMoves.push(move);
+                }
+            }
+        }
+
+        return legalMoves;
+    }
+
+    /**
+     * Get the legal moves of the piece on a square, whichever side is to move.
+     * @param {number} square - Square index (0-63)
+     * @returns {Object[]} Legal move objects; empty for an empty or invalid square
+     */
+    getLegalMovesFromSquare(square) {
+        const piece = this.isValidPosition(square) ? this.board.squares[square] : null;
+        if (!piece) {
+            return [];
+        }
+
+        const color = piece.getColor();
+        if (this.board instanceof BitboardBoard) {
+            const checks = this.board.getChecksAndPins(color);
+            return this.moveGenerator
+                .generateMoves(piece, square)
+                .filter((move) => this.isLegalBitboardMove(move, color, checks));
+        }
+
+        const attackMap = this.getAttackMap(color === 'white' ? 'black' : 'white');
+        return this.moveGenerator
+            .generateMoves(piece, square)
+            .filter((move) => this.isLegalMove(move, color, attackMap));
+    }
+
+    wouldMoveResultInCheck(fromPosition, toPosition, color, move = null) {
+        if (this.board instanceof BitboardBoard) {
+            if (!this.board.squares[fromPosition]) {
+                return false;
+            }
+            const candidate = move || { from: fromPosition, to: toPosition, type: 'normal' };
+            return this.board.leavesKingInCheck(candidate, color);
+        }
+
         try {
             const boardCopy = this.createBoardCopy();
 
@@ -184,8 +483,13 @@ export class MoveValidator {
                 return false;
             }
 
-            boardCopy.squares[toPosition] = piece;
-            boardCopy.squares[fromPosition] = null;
+            if (move) {
+                // Apply special moves (en passant removes a pawn off the target square)
+                boardCopy.makeMove(move);
+            } else {
+                boardCopy.squares[toPosition] = piece;
+                boardCopy.squares[fromPosition] = null;
+            }
 
             const tempValidator = new MoveValidator(boardCopy, this.gameState);
 
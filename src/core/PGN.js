@@ -0,0 +1,596 @@
+// src/core/PGN.js
+
+import { FEN } from './FEN.js';
+import { MoveCodec } from './MoveCodec.js';
+import { SAN } from './SAN.js';
+
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+const TAG_DEFAULTS = {
+    Event: '?',
+    Site: '?',
+    Date: '????.??.??',
+    Round: '?',
+    White: '?',
+    Black: '?',
+};
+
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Move suffix annotations and the NAGs they stand for
+const NAG_GLYPHS = {
+    '!': 1,
+    '?': 2,
+    '!!': 3,
+    '??': 4,
+    '!?': 5,
+    '?!': 6,
+};
+
+const TAG_PATTERN = /\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/y;
+const COMMAND_PATTERN = /\[%(\w+)\s+([^\]]*)\]/g;
+const WORD_END = /[\s{}()[\];$]/;
+
+/**
+ * Split PGN text into tokens: tag pairs, comments, NAGs, variation brackets, results
+ * and move words. Move numbers and escaped ('%') lines are dropped here.
+ * @param {string} text - PGN text
+ * @returns {Array<{type: string, value: *}>} Tokens in order
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    let lineStart = true;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '\n') {
+            lineStart = true;
+            i++;
+            continue;
+        }
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        if (char === '%' && lineStart) {
+            i = lineEnd(text, i);
+            continue;
+        }
+        lineStart = false;
+
+        if (char === '[') {
+            TAG_PATTERN.lastIndex = i;
+            const match = TAG_PATTERN.exec(text);
+            if (match) {
+                const value = match[2].replace(/\\(.)/g, '$1');
+                tokens.push({ type: 'tag', value: { name: match[1], value } });
+                i = TAG_PATTERN.lastIndex;
+            } else {
+                // Malformed tag pair: skip it
+                const end = text.indexOf(']', i);
+                i = end === -1 ? text.length : end + 1;
+            }
+            continue;
+        }
+
+        if (char === '{') {
+            const end = text.indexOf('}', i);
+            const close = end === -1 ? text.length : end;
+            tokens.push({ type: 'comment', value: text.slice(i + 1, close) });
+            i = close + 1;
+            continue;
+        }
+
+        if (char === ';') {
+            const end = lineEnd(text, i);
+            tokens.push({ type: 'comment', value: text.slice(i + 1, end) });
+            i = end;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'open' : 'close' });
+            i++;
+            continue;
+        }
+
+        if (char === '$') {
+            const match = /^\$(\d+)/.exec(text.slice(i, i + 5));
+            if (match) {
+                tokens.push({ type: 'nag', value: Number(match[1]) });
+                i += match[0].length;
+            } else {
+                i++;
+            }
+            continue;
+        }
+
+        let end = i;
+        while (end < text.length && !WORD_END.test(text[end])) {
+            end++;
+        }
+        if (end === i) {
+            // A stray ']' or '}'
+            i++;
+            continue;
+        }
+        tokens.push(...wordTokens(text.slice(i, end)));
+        i = end;
+    }
+
+    return tokens;
+}
+
+function lineEnd(text, index) {
+    const end = text.indexOf('\n', index);
+    return end === -1 ? text.length : end;
+}
+
+function wordTokens(word) {
+    // Move numbers may be attached to the move ('12.Nf3', '12...Nf6')
+    const text = word.replace(/^\d*\.+/, '');
+
+    if (text === '') {
+        return [];
+    }
+    if (RESULTS.includes(text)) {
+        return [{ type: 'result', value: text }];
+    }
+    if (NAG_GLYPHS[text]) {
+        return [{ type: 'nag', value: NAG_GLYPHS[text] }];
+    }
+
+    const [, san, glyph] = /^(.*?)([!?]*)$/.exec(text);
+    const tokens = [{ type: 'move', value: san }];
+    if (NAG_GLYPHS[glyph]) {
+        tokens.push({ type: 'nag', value: NAG_GLYPHS[glyph] });
+    }
+    return tokens;
+}
+
+/**
+ * Split comment text into its [%command value] annotations and the remaining text.
+ * @param {string} text - Comment text without braces
+ * @returns {{text: string, commands: Object}} Comment text and commands by name
+ */
+function parseComment(text) {
+    const commands = {};
+    const rest = text.replace(COMMAND_PATTERN, (_, name, value) => {
+        commands[name] = value.trim();
+        return ' ';
+    });
+
+    return { text: rest.replace(/\s+/g, ' ').trim(), commands };
+}
+
+/**
+ * PGN (Portable Game Notation) import and export
+ * Writes games in PGN export format: the Seven Tag Roster followed by any custom tags,
+ * SetUp/FEN tags for games that do not start from the initial position, and numbered
+ * SAN movetext with NAGs, comments, variations and the result, wrapped at 80 columns.
+ * Reads PGN leniently: multi-game files, variations, comments, NAGs and
+ * [%clk]/[%eval]-style commands, replaying every move against the position.
+ */
+export class PGN {
+    static LINE_WIDTH = 80;
+
+    /**
+     * Write a game as PGN.
+     * @param {Object} game - Game to write
+     * @param {Array<Object|string>} game.moves - Moves in order: move objects, index moves or
+     *     move strings in any MoveCodec notation, or {move, nags, comment, startingComment,
+     *     variations} entries to annotate a move; startingComment is written before the
+     *     move and each variation is a list of moves replacing it
+     * @param {Object} [game.tags] - Tag values by name; roster tags default to '?'
+     * @param {string} [game.result] - '1-0', '0-1', '1/2-1/2' or '*'
+     * @param {string} [game.fen] - Starting position, when not the initial position
+     * @param {string} [game.comment] - Comment before the first move
+     * @returns {string} PGN text ending in a newline
+     * @throws {Error} If the result is invalid or a move is illegal in its position
+     */
+    static write({ moves = [], tags = {}, result = '*', fen = FEN.STARTING_FEN, comment = null }) {
+        if (!RESULTS.includes(result)) {
+            throw new Error(`Invalid PGN result: ${result}`);
+        }
+
+        const tagSection = PGN.writeTags(tags, result, fen);
+        const movetext = PGN.writeMovetext(moves, result, fen, comment);
+
+        return `${tagSection}\n\n${movetext}\n`;
+    }
+
+    /**
+     * Write the tag pair section.
+     * @param {Object} tags - Tag values by name
+     * @param {string} result - Game result
+     * @param {string} fen - Starting position
+     * @returns {string} Tag pairs, one per line
+     */
+    static writeTags(tags, result, fen) {
+        const values = { ...TAG_DEFAULTS, ...tags, Result: result };
+        const custom = Object.keys(tags).filter(
+            (name) => !SEVEN_TAG_ROSTER.includes(name) && name !== 'SetUp' && name !== 'FEN'
+        );
+
+        if (fen !== FEN.STARTING_FEN) {
+            values.SetUp = '1';
+            values.FEN = fen;
+            custom.unshift('SetUp', 'FEN');
+        }
+
+        return [...SEVEN_TAG_ROSTER, ...custom]
+            .map((name) => `[${name} "${PGN.escapeTagValue(values[name])}"]`)
+            .join('\n');
+    }
+
+    /**
+     * Write the movetext section: numbered SAN moves, NAGs, comments, variations and
+     * the result.
+     * @param {Array<Object|string>} moves - Moves, as accepted by write()
+     * @param {string} result - Game result
+     * @param {string} fen - Starting position
+     * @param {string|null} comment - Comment before the first move
+     * @returns {string} Movetext wrapped at LINE_WIDTH columns
+     */
+    static writeMovetext(moves, result, fen, comment) {
+        const { board, gameState } = FEN.parse(fen);
+        const tokens = [];
+
+        if (comment) {
+            tokens.push(...PGN.commentTokens(comment));
+        }
+
+        PGN.writeLine(moves, board, gameState, tokens, 0);
+        tokens.push(result);
+        return PGN.wrap(tokens, PGN.LINE_WIDTH);
+    }
+
+    /**
+     * Write a line of moves, recursing into variations. The position is restored once
+     * the line is written.
+     * @param {Array<Object|string>} moves - Moves, as accepted by write()
+     * @param {Board} board - Board holding the position before the line
+     * @param {GameState} gameState - Game state of that position
+     * @param {string[]} tokens - Movetext tokens to append to
+     * @param {number} offset - Moves played from the start before this line, for errors
+     */
+    static writeLine(moves, board, gameState, tokens, offset) {
+        const records = [];
+        let needsNumber = true;
+
+        moves.forEach((entry, index) => {
+            const annotated = typeof entry === 'object' && entry !== null && 'move' in entry;
+            const input = annotated ? entry.move : entry;
+
+            let move;
+            try {
+                move = MoveCodec.parse(input, board, gameState);
+            } catch (error) {
+                throw new Error(`Invalid PGN move ${offset + index + 1}: ${error.message}`);
+            }
+
+            // Black moves are numbered only at the start or after a comment or variation
+            if (annotated && entry.startingComment) {
+                tokens.push(...PGN.commentTokens(entry.startingComment));
+                needsNumber = true;
+            }
+
+            const number = gameState.fullmoveNumber;
+            if (gameState.currentPlayer === 'white') {
+                tokens.push(`${number}.`);
+            } else if (needsNumber) {
+                tokens.push(`${number}...`);
+            }
+
+            tokens.push(MoveCodec.format(move, 'san', board, gameState));
+            let record = board.makeMove(move, gameState);
+            needsNumber = false;
+
+            if (!annotated) {
+                records.push(record);
+                return;
+            }
+
+            (entry.nags || []).forEach((nag) => tokens.push(`$${nag}`));
+            if (entry.comment) {
+                tokens.push(...PGN.commentTokens(entry.comment));
+                needsNumber = true;
+            }
+
+            // Variations replace this move, so they are written from the position before it
+            (entry.variations || []).forEach((variation) => {
+                if (variation.length === 0) {
+                    return;
+                }
+
+                board.unmakeMove(record, gameState);
+                const start = tokens.length;
+                PGN.writeLine(variation, board, gameState, tokens, offset + index);
+                tokens[start] = `(${tokens[start]}`;
+                tokens[tokens.length - 1] = `${tokens[tokens.length - 1]})`;
+                record = board.makeMove(move, gameState);
+                needsNumber = true;
+            });
+
+            records.push(record);
+        });
+
+        for (let i = records.length - 1; i >= 0; i--) {
+            board.unmakeMove(records[i], gameState);
+        }
+    }
+
+    /**
+     * Split a comment into tokens so long comments can wrap.
+     * @param {string} comment - Comment text
+     * @returns {string[]} Tokens of the braced comment
+     */
+    static commentTokens(comment) {
+        // '}' would end the comment early
+        const words = String(comment).replace(/}/g, ')').trim().split(/\s+/);
+        words[0] = `{${words[0]}`;
+        words[words.length - 1] = `${words[words.length - 1]}}`;
+        return words;
+    }
+
+    /**
+     * Join tokens with spaces into lines of at most width characters.
+     * @param {string[]} tokens - Tokens to join
+     * @param {number} width - Maximum line length
+     * @returns {string} Wrapped text
+     */
+    static wrap(tokens, width) {
+        const lines = [];
+        let line = '';
+
+        for (const token of tokens) {
+            if (line && line.length + 1 + token.length > width) {
+                lines.push(line);
+                line = token;
+            } else {
+                line = line ? `${line} ${token}` : token;
+            }
+        }
+
+        if (line) {
+            lines.push(line);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Format a date as a PGN Date tag value.
+     * @param {Date} date - Date to format
+     * @returns {string} Date as 'YYYY.MM.DD'
+     */
+    static formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+    }
+
+    static escapeTagValue(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+
+    /**
+     * Parse PGN text holding one or more games.
+     *
+     * Each game is {tags, fen, comment, moves, result, errors}. moves is the main line;
+     * each move node is {ply, san, move, nags, comment, startingComment, commands,
+     * variations}, where move is the legal move object, san is normalized SAN, commands
+     * holds [%name value] annotations from its comments (e.g. {clk: '0:03:00', eval:
+     * '0.17'}) and each variation is a list of nodes replacing this move.
+     * startingComment is the comment before the first move of a variation, as in
+     * (1... {comment} e5). A comment before the first move of a line keeps its commands
+     * in its text, as there is no move to hold them.
+     *
+     * Problems do not stop the file: an unmatched ')' is skipped, and an illegal or
+     * ambiguous move ends its line, with a message naming the game and ply added to the
+     * game's errors. The other games are parsed as usual.
+     * @param {string} text - PGN text
+     * @returns {Object[]} Parsed games
+     * @throws {Error} If the text is not a string
+     */
+    static parse(text) {
+        if (typeof text !== 'string') {
+            throw new Error('Invalid PGN: expected a string');
+        }
+
+        const games = [];
+        const tokens = tokenize(text);
+        let index = 0;
+
+        while (index < tokens.length) {
+            const tags = {};
+            while (index < tokens.length && tokens[index].type === 'tag') {
+                tags[tokens[index].value.name] = tokens[index].value.value;
+                index++;
+            }
+
+            // Movetext runs up to the result or the next game's tags
+            const start = index;
+            while (
+                index < tokens.length &&
+                tokens[index].type !== 'result' &&
+                tokens[index].type !== 'tag'
+            ) {
+                index++;
+            }
+            const movetext = tokens.slice(start, index);
+            const resultToken = tokens[index] && tokens[index].type === 'result';
+            const result = resultToken ? tokens[index++].value : tags.Result || '*';
+
+            if (Object.keys(tags).length > 0 || movetext.length > 0 || resultToken) {
+                games.push(PGN.parseGame(tags, movetext, result, games.length + 1));
+            }
+        }
+
+        return games;
+    }
+
+    /**
+     * Replay one game's movetext.
+     * @param {Object} tags - Tag values by name
+     * @param {Object[]} tokens - Movetext tokens without the result
+     * @param {string} result - Game result
+     * @param {number} number - Game number in the file, for error messages
+     * @returns {Object} Parsed game
+     */
+    static parseGame(tags, tokens, result, number) {
+        const fen = tags.FEN || FEN.STARTING_FEN;
+        const errors = [];
+
+        let position;
+        try {
+            position = FEN.parse(fen);
+        } catch (error) {
+            errors.push(`Invalid PGN game ${number}: ${error.message}`);
+            return { tags, fen, comment: null, moves: [], result, errors };
+        }
+
+        // Drop each ')' that closes no variation, so the rest of the game still parses
+        let depth = 0;
+        const balanced = tokens.filter((token) => {
+            if (token.type === 'open') {
+                depth++;
+            } else if (token.type === 'close') {
+                if (depth === 0) {
+                    return false;
+                }
+                depth--;
+            }
+            return true;
+        });
+
+        const line = PGN.parseLine(balanced, 0, position.board, position.gameState, {
+            number,
+            errors,
+        });
+
+        return { tags, fen, comment: line.comment, moves: line.moves, result, errors };
+    }
+
+    /**
+     * Replay a line of moves, recursing into variations, and restore the position it
+     * started from. Variations still open at the end of the game are closed there.
+     * A move that cannot be played ends the line, and the rest of it is skipped.
+     * @param {Object[]} tokens - Movetext tokens
+     * @param {number} index - Index of the first token of the line
+     * @param {Board} board - Board holding the position before the line
+     * @param {GameState} gameState - Game state of that position
+     * @param {Object} game - The game being parsed
+     * @param {number} game.number - Game number, for error messages
+     * @param {string[]} game.errors - Errors found so far, appended to
+     * @returns {{moves: Object[], comment: string|null, index: number}} Move nodes, the
+     *     comment before the first move, and the index after the line
+     */
+    static parseLine(tokens, index, board, gameState, game) {
+        const { number, errors } = game;
+        const moves = [];
+        const records = [];
+        let comment = null;
+
+        while (index < tokens.length) {
+            const token = tokens[index];
+            const last = moves[moves.length - 1];
+
+            if (token.type === 'close') {
+                break;
+            }
+
+            if (token.type === 'move') {
+                const white = gameState.currentPlayer === 'white';
+                const ply = (gameState.fullmoveNumber - 1) * 2 + (white ? 1 : 2);
+                const label = `${gameState.fullmoveNumber}${white ? '.' : '...'} ${token.value}`;
+
+                let move;
+                let san;
+                try {
+                    move = SAN.toMove(token.value, board, gameState);
+                    san = SAN.fromMove(move, board, gameState);
+                } catch (error) {
+                    errors.push(
+                        `Invalid PGN game ${number}, ply ${ply} (${label}): ${error.message}`
+                    );
+                    index = PGN.skipLine(tokens, index);
+                    break;
+                }
+
+                moves.push({
+                    ply,
+                    san,
+                    move,
+                    nags: [],
+                    comment: null,
+                    startingComment: null,
+                    commands: {},
+                    variations: [],
+                });
+                records.push(board.makeMove(move, gameState));
+            } else if (token.type === 'nag') {
+                if (last) {
+                    last.nags.push(token.value);
+                }
+            } else if (token.type === 'comment') {
+                if (last) {
+                    const parsed = parseComment(token.value);
+                    last.comment = [last.comment, parsed.text].filter(Boolean).join(' ') || null;
+                    Object.assign(last.commands, parsed.commands);
+                } else {
+                    // No move holds the commands yet, so they stay in the comment text
+                    const text = token.value.replace(/\s+/g, ' ').trim();
+                    comment = [comment, text].filter(Boolean).join(' ') || null;
+                }
+            } else if (token.type === 'open') {
+                if (!last) {
+                    errors.push(`Invalid PGN game ${number}: variation before any move`);
+                    index = PGN.skipLine(tokens, index + 1) + 1;
+                    continue;
+                }
+
+                // A variation replaces the move before it
+                board.unmakeMove(records.pop(), gameState);
+                const variation = PGN.parseLine(tokens, index + 1, board, gameState, game);
+                if (variation.moves.length > 0) {
+                    variation.moves[0].startingComment = variation.comment;
+                }
+                last.variations.push(variation.moves);
+                records.push(board.makeMove(last.move, gameState));
+                index = variation.index;
+            }
+
+            index++;
+        }
+
+        while (records.length > 0) {
+            board.unmakeMove(records.pop(), gameState);
+        }
+
+        return { moves, comment, index };
+    }
+
+    /**
+     * Find the end of a line, stepping over its variations.
+     * @param {Object[]} tokens - Movetext tokens
+     * @param {number} index - Index of a token in the line
+     * @returns {number} Index of the ')' closing the line, or the number of tokens
+     */
+    static skipLine(tokens, index) {
+        let depth = 0;
+
+        for (; index < tokens.length; index++) {
+            if (tokens[index].type === 'open') {
+                depth++;
+            } else if (tokens[index].type === 'close') {
+                if (depth === 0) {
+                    break;
+                }
+                depth--;
+            }
+        }
+
+        return index;
+    }
+}
@@ -0,0 +1,104 @@
+// src/core/Perft.js
+
+import { Board } from './Board.js';
+import { BitboardBoard } from './BitboardBoard.js';
+import { FEN } from './FEN.js';
+import { GameState } from './GameState.js';
+import { MoveCodec } from './MoveCodec.js';
+import { MoveValidator } from './MoveValidator.js';
+
+/**
+ * Perft (performance test) move-path enumeration
+ * Counts leaf nodes of the legal move tree to verify MoveGenerator and
+ * MoveValidator against published node counts. Moves are applied in place with
+ * Board.makeMove()/unmakeMove(), so the position is unchanged afterwards.
+ */
+export class Perft {
+    static BACKENDS = ['bitboard', 'mailbox'];
+
+    /**
+     * @param {Board} board - Board to search (restored after every call)
+     * @param {GameState} gameState - Game state belonging to the board
+     */
+    constructor(board, gameState) {
+        this.board = board;
+        this.gameState = gameState;
+        this.moveValidator = new MoveValidator(board, gameState);
+    }
+
+    /**
+     * Create a Perft instance for a FEN position.
+     * @param {string} fen - FEN string
+     * @param {string} [backend] - Board representation: 'mailbox' (the default, faster in
+     *     npm run benchmark) or 'bitboard'
+     * @returns {Perft} Perft instance over a freshly parsed position
+     * @throws {Error} If the FEN or backend is invalid
+     */
+    static fromFEN(fen, backend = 'mailbox') {
+        if (!Perft.BACKENDS.includes(backend)) {
+            throw new Error(`Unknown board backend: ${backend}`);
+        }
+
+        const board = backend === 'bitboard' ? new BitboardBoard() : new Board();
+        const gameState = new GameState();
+        FEN.load(fen, board, gameState);
+
+        return new Perft(board, gameState);
+    }
+
+    /**
+     * Count leaf nodes at the given depth.
+     * @param {number} depth - Search depth in plies (0 returns 1)
+     * @returns {number} Number of leaf nodes
+     */
+    perft(depth) {
+        if (!Number.isInteger(depth) || depth < 0) {
+            throw new Error(`Invalid perft depth: ${depth} must be a non-negative integer`);
+        }
+
+        if (depth === 0) {
+            return 1;
+        }
+
+        const moves = this.moveValidator.getAllLegalMoves(this.gameState.currentPlayer);
+        if (depth === 1) {
+            return moves.length;
+        }
+
+        let nodes = 0;
+        for (const move of moves) {
+            const record = this.board.makeMove(move, this.gameState);
+            nodes += this.perft(depth - 1);
+            this.board.unmakeMove(record, this.gameState);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Count leaf nodes below each root move, for locating generator bugs.
+     * @param {number} depth - Search depth in plies (at least 1)
+     * @returns {{moves: Array<{move: string, nodes: number}>, total: number}} Per-move counts
+     */
+    divide(depth) {
+        if (!Number.isInteger(depth) || depth < 1) {
+            throw new Error(`Invalid divide depth: ${depth} must be a positive integer`);
+        }
+
+        const moves = this.moveValidator
+            .getAllLegalMoves(this.gameState.currentPlayer)
+            .map((move) => {
+                const record = this.board.makeMove(move, this.gameState);
+                const nodes = this.perft(depth - 1);
+                this.board.unmakeMove(record, this.gameState);
+
+                return { move: MoveCodec.toUCI(move), nodes };
+            })
+            .sort((a, b) => a.move.localeCompare(b.move));
+
+        return {
+            moves,
+            total: moves.reduce((sum, entry) => sum + entry.nodes, 0),
+        };
+    }
+}
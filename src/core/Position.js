@@ -0,0 +1,159 @@
+// src/core/Position.js
+
+import { FEN } from './FEN.js';
+import { MoveCodec } from './MoveCodec.js';
+import { MoveValidator } from './MoveValidator.js';
+import { algebraicToIndex } from '../utils/Coordinates.js';
+
+/**
+ * Position - immutable chess position
+ *
+ * A value object for code that passes positions around instead of mutating a shared
+ * Board: UI state, workers and the MCP server. Pieces are frozen {type, color}
+ * records and every field is read-only; play() returns a new Position and leaves
+ * this one untouched. Two positions are equal when their FEN is, which covers the
+ * pieces, side to move, castling rights, en passant square and both clocks.
+ *
+ * A Position knows nothing of the positions before it, so repetition draws are left
+ * to ChessGame.
+ */
+export class Position {
+    /**
+     * Use the static factories; the constructor takes a Board and GameState that are
+     * not kept.
+     * @param {Board} board - Board holding the position
+     * @param {GameState} gameState - Game state of the position
+     */
+    constructor(board, gameState) {
+        this.squares = Object.freeze(
+            board.squares.map((piece) =>
+                piece ? Object.freeze({ type: piece.getType(), color: piece.getColor() }) : null
+            )
+        );
+        this.turn = gameState.currentPlayer;
+        this.castlingRights = Object.freeze({
+            white: Object.freeze({ ...gameState.castlingRights.white }),
+            black: Object.freeze({ ...gameState.castlingRights.black }),
+        });
+        this.enPassantTarget = gameState.enPassantTarget;
+        this.halfmoveClock = gameState.halfmoveClock;
+        this.fullmoveNumber = gameState.fullmoveNumber;
+        this.hash = gameState.hash;
+        this.fen = FEN.toFEN(board, gameState);
+
+        Object.freeze(this);
+    }
+
+    /**
+     * The initial position.
+     * @returns {Position} Starting position
+     */
+    static initial() {
+        return Position.fromFEN(FEN.STARTING_FEN);
+    }
+
+    /**
+     * Read a position from FEN.
+     * @param {string} fen - FEN string
+     * @returns {Position} Position
+     * @throws {Error} If the FEN string is malformed
+     */
+    static fromFEN(fen) {
+        const { board, gameState } = FEN.parse(fen);
+        return new Position(board, gameState);
+    }
+
+    /**
+     * Take a snapshot of a mutable board and game state.
+     * @param {Board} board - Board holding the position
+     * @param {GameState} gameState - Game state of the position
+     * @returns {Position} Position; later changes to the board do not affect it
+     */
+    static fromBoard(board, gameState) {
+        return new Position(board, gameState);
+    }
+
+    /**
+     * Build a mutable copy of the position, e.g. to search it.
+     * @returns {{board: Board, gameState: GameState}} Fresh board and game state
+     */
+    toBoard() {
+        return FEN.parse(this.fen);
+    }
+
+    /**
+     * @returns {string} FEN of the position
+     */
+    toFEN() {
+        return this.fen;
+    }
+
+    /**
+     * Get the piece on a square.
+     * @param {number|string} square - Square index (0-63) or algebraic name ('e4')
+     * @returns {{type: string, color: string}|null} Piece, or null for an empty square
+     */
+    pieceAt(square) {
+        const index = typeof square === 'string' ? algebraicToIndex(square) : square;
+        return this.squares[index] || null;
+    }
+
+    /**
+     * List the legal moves of the side to move.
+     * @param {string} [format] - Return notation strings instead: 'uci', 'lan' or 'san'
+     * @returns {Array} Legal move objects, or move strings when a format is given
+     */
+    legalMoves(format = null) {
+        const { board, gameState } = this.toBoard();
+        const moves = new MoveValidator(board, gameState).getAllLegalMoves(this.turn);
+        if (!format) {
+            return moves;
+        }
+        return moves.map((move) => MoveCodec.format(move, format, board, gameState));
+    }
+
+    /**
+     * Play a move.
+     * @param {Object|string} move - Move object or a move in any MoveCodec notation
+     * @returns {Position} The position after the move
+     * @throws {Error} If the move is not legal in this position
+     */
+    play(move) {
+        const { board, gameState } = this.toBoard();
+        board.makeMove(MoveCodec.parse(move, board, gameState), gameState);
+        return new Position(board, gameState);
+    }
+
+    /**
+     * @returns {boolean} True if the side to move is in check
+     */
+    isCheck() {
+        const { board, gameState } = this.toBoard();
+        return new MoveValidator(board, gameState).isInCheck(this.turn);
+    }
+
+    /**
+     * @returns {boolean} True if the side to move is checkmated
+     */
+    isCheckmate() {
+        const { board, gameState } = this.toBoard();
+        return new MoveValidator(board, gameState).isCheckmate(this.turn);
+    }
+
+    /**
+     * @returns {boolean} True if the side to move has no legal move and is not in check
+     */
+    isStalemate() {
+        const { board, gameState } = this.toBoard();
+        return new MoveValidator(board, gameState).isStalemate(this.turn);
+    }
+
+    /**
+     * Compare positions by value.
+     * @param {Position} other - Position to compare with
+     * @returns {boolean} True if both positions have the same FEN
+     */
+    equals(other) {
+        return other instanceof Position && other.fen === this.fen;
+    }
+}
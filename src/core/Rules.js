@@ -1,5 +1,8 @@
 // src/core/Rules.js
 
+import { STARTING_POSITIONS, STARTING_POSITION_KEYS } from '../utils/Constants.js';
+import { algebraicToIndex, indexToAlgebraic, rankOf, squareColor } from '../utils/Coordinates.js';
+
 /**
  * Rules class containing chess game rules and constants
  * Defines standard chess rules, special moves, and game conditions
@@ -7,25 +10,20 @@
 export class Rules {
     static PIECE_TYPES = ['pawn', 'rook', 'knight', 'bishop', 'queen', 'king'];
     static COLORS = ['white', 'black'];
-
-    static INITIAL_POSITIONS = {
-        white: {
-            rook: [0, 7],
-            knight: [1, 6],
-            bishop: [2, 5],
-            queen: [3],
-            king: [4],
-            pawn: [8, 9, 10, 11, 12, 13, 14, 15],
-        },
-        black: {
-            rook: [56, 63],
-            knight: [57, 62],
-            bishop: [58, 61],
-            queen: [59],
-            king: [60],
-            pawn: [48, 49, 50, 51, 52, 53, 54, 55],
-        },
-    };
+    static PROMOTION_TYPES = ['queen', 'rook', 'knight', 'bishop'];
+
+    // Derived from Constants.STARTING_POSITIONS so both always agree with Board
+    static INITIAL_POSITIONS = Object.fromEntries(
+        Object.entries(STARTING_POSITIONS).map(([color, positions]) => [
+            color,
+            Object.fromEntries(
+                Object.entries(STARTING_POSITION_KEYS).map(([type, key]) => [
+                    type,
+                    [...positions[key]],
+                ])
+            ),
+        ])
+    );
 
     // TODO: Implement rule checking methods
     static isValidPieceType(type) {
@@ -41,28 +39,18 @@ export class Rules {
     }
 
     static isPromotionSquare(position, color) {
-        if (color === 'white') {
-            return position >= 56 && position <= 63; // 8th rank
-        } else {
-            return position >= 0 && position <= 7; // 1st rank
-        }
+        return rankOf(position) === (color === 'white' ? 8 : 1);
     }
 
     static getSquareColor(position) {
-        const row = Math.floor(position / 8);
-        const col = position % 8;
-        return (row + col) % 2 === 0 ? 'dark' : 'light';
+        return squareColor(position);
     }
 
     static positionToAlgebraic(position) {
-        const file = String.fromCharCode(97 + (position % 8)); // a-h
-        const rank = Math.floor(position / 8) + 1; // 1-8
-        return file + rank;
+        return indexToAlgebraic(position);
     }
 
     static algebraicToPosition(algebraic) {
-        const file = algebraic.charCodeAt(0) - 97; // a=0, b=1, etc.
-        const rank = parseInt(algebraic[1]) - 1; // 1=0, 2=1, etc.
-        return rank * 8 + file;
+        return algebraicToIndex(algebraic);
     }
 }
@@ -0,0 +1,208 @@
+// src/core/SAN.js
+
+import { MoveValidator } from './MoveValidator.js';
+import { Rules } from './Rules.js';
+import { FILES, algebraicToIndex, fileOf, indexToAlgebraic, rankOf } from '../utils/Coordinates.js';
+
+const PIECE_LETTERS = {
+    knight: 'N',
+    bishop: 'B',
+    rook: 'R',
+    queen: 'Q',
+    king: 'K',
+};
+
+const LETTER_TYPES = Object.fromEntries(
+    Object.entries(PIECE_LETTERS).map(([type, letter]) => [letter, type])
+);
+
+// Groups: castling, piece letter, from file, from rank, capture, target, promotion
+const SAN_PATTERN =
+    /^(?:([O0]-[O0](?:-[O0])?)|([NBRQK])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([NBRQ]))?)[+#]?[!?]*$/;
+
+/**
+ * SAN (Standard Algebraic Notation) encoding and decoding
+ * Formats legal moves as SAN ('Nbd7', 'exd6', 'e8=Q+', 'O-O-O') and parses SAN back
+ * into legal move objects. Both directions work against a position - Board plus
+ * GameState - because disambiguation and check marks depend on the other legal moves.
+ * Parse errors say whether the input is malformed, illegal or ambiguous.
+ */
+export class SAN {
+    /**
+     * Format a legal move as SAN.
+     * @param {Object} move - Move object, or at least {from, to, promotion?}
+     * @param {Board} board - Board holding the position before the move
+     * @param {GameState} gameState - Game state of that position
+     * @returns {string} SAN string, including '+' or '#'
+     * @throws {Error} If the move is not legal in the position
+     */
+    static fromMove(move, board, gameState) {
+        const validator = new MoveValidator(board, gameState);
+        const legalMoves = validator.getAllLegalMoves(gameState.currentPlayer);
+        const legal = legalMoves.find(
+            (candidate) =>
+                candidate.from === move.from &&
+                candidate.to === move.to &&
+                (candidate.promotion || null) === (move.promotion || null)
+        );
+
+        if (!legal) {
+            throw new Error(
+                `Illegal move: ${indexToAlgebraic(move.from)}${indexToAlgebraic(move.to)} is not legal in this position`
+            );
+        }
+
+        return SAN.formatMove(legal, legalMoves) + SAN.checkSuffix(legal, board, gameState);
+    }
+
+    /**
+     * Format a legal move as SAN without the check suffix.
+     * @param {Object} move - Legal move object
+     * @param {Object[]} legalMoves - All legal moves of the position, for disambiguation
+     * @returns {string} SAN string
+     */
+    static formatMove(move, legalMoves) {
+        if (move.type === 'castle') {
+            return move.side === 'kingside' ? 'O-O' : 'O-O-O';
+        }
+
+        const isCapture = move.type === 'capture' || move.type === 'en_passant';
+        const target = indexToAlgebraic(move.to);
+
+        if (move.piece === 'pawn') {
+            const from = isCapture ? `${FILES[fileOf(move.from)]}x` : '';
+            const promotion = move.promotion ? `=${PIECE_LETTERS[move.promotion]}` : '';
+            return `${from}${target}${promotion}`;
+        }
+
+        return (
+            PIECE_LETTERS[move.piece] +
+            SAN.disambiguation(move, legalMoves) +
+            (isCapture ? 'x' : '') +
+            target
+        );
+    }
+
+    /**
+     * Get the origin file and/or rank needed to tell a move apart from moves of
+     * other pieces of the same type to the same square.
+     * @param {Object} move - Legal move object
+     * @param {Object[]} legalMoves - All legal moves of the position
+     * @returns {string} '', a file letter, a rank digit, or a full square
+     */
+    static disambiguation(move, legalMoves) {
+        const rivals = legalMoves.filter(
+            (candidate) =>
+                candidate.piece === move.piece &&
+                candidate.to === move.to &&
+                candidate.from !== move.from
+        );
+
+        if (rivals.length === 0) {
+            return '';
+        }
+
+        const from = indexToAlgebraic(move.from);
+        if (rivals.every((rival) => fileOf(rival.from) !== fileOf(move.from))) {
+            return from[0];
+        }
+        if (rivals.every((rival) => rankOf(rival.from) !== rankOf(move.from))) {
+            return from[1];
+        }
+        return from;
+    }
+
+    /**
+     * Play a move out to see whether it gives check or mate.
+     * @param {Object} move - Legal move object
+     * @param {Board} board - Board holding the position before the move
+     * @param {GameState} gameState - Game state of that position
+     * @returns {string} '#', '+' or ''
+     */
+    static checkSuffix(move, board, gameState) {
+        const record = board.makeMove(move, gameState);
+
+        try {
+            const opponent = gameState.currentPlayer;
+            const validator = new MoveValidator(board, gameState);
+
+            if (!validator.isInCheck(opponent)) {
+                return '';
+            }
+            return validator.getAllLegalMoves(opponent).length === 0 ? '#' : '+';
+        } finally {
+            board.unmakeMove(record, gameState);
+        }
+    }
+
+    /**
+     * Parse a SAN string into the legal move it denotes.
+     * Check marks and annotations ('+', '#', '!', '?') are accepted but not verified;
+     * '0-0' is accepted for castling and the '=' before a promotion piece is optional.
+     * @param {string} san - SAN string (e.g. 'Nbd7', 'exd6', 'e8=Q+', 'O-O-O')
+     * @param {Board} board - Board holding the position
+     * @param {GameState} gameState - Game state of the position
+     * @returns {Object} Legal move object, as produced by MoveValidator
+     * @throws {Error} If the SAN is malformed, illegal or ambiguous
+     */
+    static toMove(san, board, gameState) {
+        const text = typeof san === 'string' ? san.trim() : '';
+        const match = SAN_PATTERN.exec(text);
+        if (!match) {
+            throw new Error(`Invalid SAN: '${san}' is not a move in algebraic notation`);
+        }
+
+        const [, castling, letter, fromFile, fromRank, capture, target, promotionLetter] = match;
+        const color = gameState.currentPlayer;
+        const legalMoves = new MoveValidator(board, gameState).getAllLegalMoves(color);
+
+        if (castling) {
+            const side = castling.length === 3 ? 'kingside' : 'queenside';
+            const move = legalMoves.find(
+                (candidate) => candidate.type === 'castle' && candidate.side === side
+            );
+            if (!move) {
+                throw new Error(`Illegal move: ${text} - ${color} cannot castle ${side} now`);
+            }
+            return move;
+        }
+
+        const type = letter ? LETTER_TYPES[letter] : 'pawn';
+        const to = algebraicToIndex(target);
+        const promotion = promotionLetter ? LETTER_TYPES[promotionLetter] : null;
+
+        if (type === 'pawn') {
+            if (capture && !fromFile) {
+                throw new Error(`Invalid SAN: '${text}' - a pawn capture must name its file`);
+            }
+            if (Rules.isPromotionSquare(to, color) && !promotion) {
+                throw new Error(`Invalid SAN: '${text}' - a pawn reaching ${target} must promote`);
+            }
+        }
+        if (promotion && (type !== 'pawn' || !Rules.isPromotionSquare(to, color))) {
+            throw new Error(`Invalid SAN: '${text}' - only a pawn reaching the last rank promotes`);
+        }
+
+        const candidates = legalMoves.filter(
+            (move) =>
+                move.piece === type &&
+                move.to === to &&
+                (!fromFile || FILES[fileOf(move.from)] === fromFile) &&
+                (!fromRank || rankOf(move.from) === Number(fromRank)) &&
+                (move.promotion || null) === promotion
+        );
+
+        if (candidates.length === 0) {
+            throw new Error(`Illegal move: ${text} - no ${color} ${type} can move to ${target}`);
+        }
+
+        if (candidates.length > 1) {
+            const origins = candidates.map((move) => indexToAlgebraic(move.from)).join(', ');
+            throw new Error(
+                `Ambiguous move: ${text} - ${color} ${type}s on ${origins} can all move to ${target}`
+            );
+        }
+
+        return candidates[0];
+    }
+}
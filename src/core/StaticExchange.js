@@ -0,0 +1,193 @@
+// src/core/StaticExchange.js
+
+import { BitboardBoard } from './BitboardBoard.js';
+import {
+    SQUARE_BITS,
+    KNIGHT_ATTACKS,
+    KING_ATTACKS,
+    PAWN_ATTACKS,
+    bishopAttacks,
+    rookAttacks,
+    squaresOf,
+} from './Bitboard.js';
+import { PIECE_VALUES } from '../utils/Constants.js';
+
+// Cheapest first: the order attackers join an exchange
+const EXCHANGE_ORDER = ['pawn', 'knight', 'bishop', 'rook', 'queen', 'king'];
+
+/**
+ * StaticExchange - static exchange evaluation (SEE)
+ *
+ * Plays out the captures on one square, each side always recapturing with its cheapest
+ * attacker and free to stop when going on would lose material, and returns the
+ * material the side starting the exchange wins. Sliders behind a capturing piece join
+ * in as the piece leaves (x-rays). Pins and checks are ignored, as usual for SEE.
+ *
+ * Attacks come from the bitboards of a BitboardBoard, or from bitboards built from a
+ * mailbox Board's squares on each call, so one instance follows its board through
+ * make/unmake.
+ */
+export class StaticExchange {
+    // Centipawns
+    static VALUES = Object.fromEntries(
+        Object.entries(PIECE_VALUES).map(([type, value]) => [type, value * 100])
+    );
+
+    /**
+     * @param {Board} board - Board to analyse
+     */
+    constructor(board) {
+        this.board = board;
+    }
+
+    /**
+     * Evaluate the exchange a move starts.
+     * @param {Object} move - Move object from MoveGenerator
+     * @returns {number} Material won by the moving side in centipawns: negative if the
+     *     exchange loses material, 0 for an even trade or a safe quiet move
+     */
+    evaluate(move) {
+        if (move.type === 'castle') {
+            return 0;
+        }
+
+        const values = StaticExchange.VALUES;
+        const pieces = this.getPieces();
+        let occupied = pieces.occupied;
+
+        // gains[n]: material for the side making capture n, if the exchange ends there
+        const gains = [move.captured ? values[move.captured] : 0];
+        let onSquare = move.piece;
+        if (move.promotion) {
+            gains[0] += values[move.promotion] - values.pawn;
+            onSquare = move.promotion;
+        }
+
+        occupied &= ~SQUARE_BITS[move.from];
+        if (move.capturedSquare !== undefined) {
+            occupied &= ~SQUARE_BITS[move.capturedSquare];
+        }
+
+        let color = move.color === 'white' ? 'black' : 'white';
+
+        for (;;) {
+            const attackers = this.getAttackers(move.to, color, pieces, occupied);
+            const attacker = EXCHANGE_ORDER.find((type) => attackers[type] !== 0n);
+            if (!attacker) {
+                break;
+            }
+
+            // The king may only capture last
+            const other = color === 'white' ? 'black' : 'white';
+            if (attacker === 'king' && this.isAttacked(move.to, other, pieces, occupied)) {
+                break;
+            }
+
+            gains.push(values[onSquare] - gains[gains.length - 1]);
+            onSquare = attacker;
+
+            const from = squaresOf(attackers[attacker])[0];
+            occupied &= ~SQUARE_BITS[from];
+            color = other;
+        }
+
+        // Each side stops capturing as soon as continuing would not pay
+        for (let index = gains.length - 1; index > 0; index--) {
+            gains[index - 1] = Math.min(gains[index - 1], -gains[index]);
+        }
+
+        // An even exchange comes out as -0
+        return gains[0] || 0;
+    }
+
+    /**
+     * Find the pieces of one side that the opponent can win material from.
+     * @param {string} color - Side whose pieces to check, 'white' or 'black'
+     * @returns {number[]} Squares of the hanging pieces, in index order
+     */
+    getHangingPieces(color) {
+        const opponent = color === 'white' ? 'black' : 'white';
+        const pieces = this.getPieces();
+        const hanging = [];
+
+        for (let square = 0; square < 64; square++) {
+            const target = this.board.squares[square];
+            if (!target || target.getColor() !== color || target.getType() === 'king') {
+                continue;
+            }
+
+            const attackers = this.getAttackers(square, opponent, pieces, pieces.occupied);
+            const wins = EXCHANGE_ORDER.some((type) =>
+                squaresOf(attackers[type]).some(
+                    (from) =>
+                        this.evaluate({
+                            from,
+                            to: square,
+                            piece: type,
+                            color: opponent,
+                            captured: target.getType(),
+                        }) > 0
+                )
+            );
+            if (wins) {
+                hanging.push(square);
+            }
+        }
+
+        return hanging;
+    }
+
+    /**
+     * Get one side's attackers of a square, by piece type.
+     * @param {number} square - Target square (0-63)
+     * @param {string} color - Attacking side
+     * @param {Object} pieces - Piece bitboards from getPieces()
+     * @param {bigint} occupied - Pieces still on the board
+     * @returns {Object<string, bigint>} Attacker bitboard per piece type
+     */
+    getAttackers(square, color, pieces, occupied) {
+        const own = pieces[color];
+        const other = color === 'white' ? 'black' : 'white';
+        const diagonal = bishopAttacks(square, occupied);
+        const straight = rookAttacks(square, occupied);
+
+        return {
+            pawn: PAWN_ATTACKS[other][square] & own.pawn & occupied,
+            knight: KNIGHT_ATTACKS[square] & own.knight & occupied,
+            bishop: diagonal & own.bishop & occupied,
+            rook: straight & own.rook & occupied,
+            queen: (diagonal | straight) & own.queen & occupied,
+            king: KING_ATTACKS[square] & own.king & occupied,
+        };
+    }
+
+    isAttacked(square, color, pieces, occupied) {
+        const attackers = this.getAttackers(square, color, pieces, occupied);
+        return EXCHANGE_ORDER.some((type) => attackers[type] !== 0n);
+    }
+
+    /**
+     * Piece bitboards of the board: live for a BitboardBoard, built from the squares
+     * otherwise.
+     * @returns {{white: Object, black: Object, occupied: bigint}} Bitboards per color
+     *     and piece type, and all occupied squares
+     */
+    getPieces() {
+        if (this.board instanceof BitboardBoard) {
+            return { ...this.board.pieces, occupied: this.board.getOccupied() };
+        }
+
+        const pieces = {
+            white: Object.fromEntries(EXCHANGE_ORDER.map((type) => [type, 0n])),
+            black: Object.fromEntries(EXCHANGE_ORDER.map((type) => [type, 0n])),
+            occupied: 0n,
+        };
+        this.board.squares.forEach((piece, square) => {
+            if (piece) {
+                pieces[piece.getColor()][piece.getType()] |= SQUARE_BITS[square];
+                pieces.occupied |= SQUARE_BITS[square];
+            }
+        });
+        return pieces;
+    }
+}
@@ -0,0 +1,143 @@
+// src/core/Zobrist.js
+
+import { POLYGLOT_RANDOM64 } from '../utils/PolyglotRandom64.js';
+import { fileOf, rankOf, squareAt } from '../utils/Coordinates.js';
+
+const PIECE_ORDER = ['pawn', 'knight', 'bishop', 'rook', 'queen', 'king'];
+
+const CASTLING_OFFSET = 768;
+const EN_PASSANT_OFFSET = 772;
+const TURN_OFFSET = 780;
+
+const CASTLING_KEYS = [
+    ['white', 'kingside'],
+    ['white', 'queenside'],
+    ['black', 'kingside'],
+    ['black', 'queenside'],
+];
+
+/**
+ * Zobrist hashing with the Polyglot key layout
+ * Hashes are 64-bit BigInts equal to the keys used by Polyglot opening books, so a
+ * position's hash can be looked up in a .bin book directly. GameState keeps the hash
+ * up to date incrementally; the static helpers here compute keys and full hashes.
+ */
+export class Zobrist {
+    /**
+     * Get the key for a piece on a square.
+     * @param {string} type - Piece type
+     * @param {string} color - 'white' or 'black'
+     * @param {number} square - Square index (0-63)
+     * @returns {bigint} Piece-square key
+     */
+    static pieceKey(type, color, square) {
+        const kind = PIECE_ORDER.indexOf(type) * 2 + (color === 'white' ? 1 : 0);
+        return POLYGLOT_RANDOM64[kind * 64 + (rankOf(square) - 1) * 8 + fileOf(square)];
+    }
+
+    /**
+     * Hash the piece placement of a board.
+     * @param {Board} board - Board to hash
+     * @returns {bigint} XOR of the keys of every piece
+     */
+    static hashPieces(board) {
+        let hash = 0n;
+
+        for (let square = 0; square < 64; square++) {
+            const piece = board.squares[square];
+            if (piece) {
+                hash ^= Zobrist.pieceKey(piece.getType(), piece.getColor(), square);
+            }
+        }
+
+        return hash;
+    }
+
+    /**
+     * Hash everything except the pieces: castling rights, en passant file and side to move.
+     * The en passant file only counts when the side to move has a pawn that could capture.
+     * @param {Board} board - Board the state belongs to
+     * @param {GameState} gameState - Game state to hash
+     * @returns {bigint} State key
+     */
+    static hashState(board, gameState) {
+        let hash = 0n;
+
+        CASTLING_KEYS.forEach(([color, side], index) => {
+            if (gameState.castlingRights[color][side]) {
+                hash ^= POLYGLOT_RANDOM64[CASTLING_OFFSET + index];
+            }
+        });
+
+        if (Zobrist.canCaptureEnPassant(board, gameState)) {
+            hash ^= POLYGLOT_RANDOM64[EN_PASSANT_OFFSET + fileOf(gameState.enPassantTarget)];
+        }
+
+        if (gameState.currentPlayer === 'white') {
+            hash ^= POLYGLOT_RANDOM64[TURN_OFFSET];
+        }
+
+        return hash;
+    }
+
+    /**
+     * Hash a complete position from scratch.
+     * @param {Board} board - Board to hash
+     * @param {GameState} gameState - Game state belonging to the board
+     * @returns {bigint} Polyglot position key
+     */
+    static hashPosition(board, gameState) {
+        return Zobrist.hashPieces(board) ^ Zobrist.hashState(board, gameState);
+    }
+
+    /**
+     * Get the change in piece hash caused by a move.
+     * XOR it into the piece hash of the position before the move to get the piece hash after it.
+     * @param {Object} record - Undo record from Board.makeMove()
+     * @returns {bigint} Piece hash delta
+     */
+    static moveKey(record) {
+        const { move, piece, captured } = record;
+        const color = piece.getColor();
+
+        let key =
+            Zobrist.pieceKey(piece.getType(), color, move.from) ^
+            Zobrist.pieceKey(record.promotion || piece.getType(), color, move.to);
+
+        if (captured) {
+            const square = move.type === 'en_passant' ? move.capturedSquare : move.to;
+            key ^= Zobrist.pieceKey(captured.getType(), captured.getColor(), square);
+        }
+
+        if (move.type === 'castle') {
+            key ^=
+                Zobrist.pieceKey('rook', color, move.rookFrom) ^
+                Zobrist.pieceKey('rook', color, move.rookTo);
+        }
+
+        return key;
+    }
+
+    /**
+     * Check whether the side to move has a pawn next to the pawn that just double-pushed.
+     * @param {Board} board - Board to inspect
+     * @param {GameState} gameState - State holding side to move and en passant target
+     * @returns {boolean} True if an en passant capture is pseudo-legal
+     */
+    static canCaptureEnPassant(board, gameState) {
+        const target = gameState.enPassantTarget;
+        if (target === null) {
+            return false;
+        }
+
+        // The capturing pawn stands on the rank the enemy pawn landed on
+        const color = gameState.currentPlayer;
+        const captureRank = rankOf(target) + (color === 'white' ? -1 : 1);
+
+        return [-1, 1].some((offset) => {
+            const square = squareAt(fileOf(target) + offset, captureRank);
+            const piece = square === -1 ? null : board.squares[square];
+            return piece !== null && piece.getType() === 'pawn' && piece.getColor() === color;
+        });
+    }
+}
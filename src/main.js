@@ -2,7 +2,7 @@
 
 import { Game } from './core/Game.js';
 
-const game = new Game();
+const game = new Game('board');
 game.startGame();
 
 console.log('Game initialized and started!');
@@ -1,5 +1,7 @@
 // src/ui/BoardRenderer.js
 
+import { squareColor } from '../utils/Coordinates.js';
+
 export class BoardRenderer {
     constructor(boardElementId) {
         this.boardElement = document.getElementById(boardElementId);
@@ -14,13 +16,7 @@ export class BoardRenderer {
         for (let i = 0; i < 64; i++) {
             const square = document.createElement('div');
             square.classList.add('square');
-            const row = Math.floor(i / 8);
-            const col = i % 8;
-            if ((row + col) % 2 === 0) {
-                square.classList.add('light');
-            } else {
-                square.classList.add('dark');
-            }
+            square.classList.add(squareColor(i));
             square.dataset.index = i; // Store index for easy access
             this.boardElement.appendChild(square);
         }
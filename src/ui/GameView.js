@@ -0,0 +1,165 @@
+// src/ui/GameView.js
+
+/**
+ * GameView - browser view of a ChessGame
+ *
+ * A UI adapter that subscribes to ChessGame events and keeps the DOM in step: the
+ * board, the last-move and selection highlights, the status line, the move counter
+ * and the move list. It never changes the game; moves go through the controller,
+ * which plays them on the ChessGame.
+ */
+export class GameView {
+    /**
+     * @param {ChessGame} game - Game to display
+     * @param {BoardRenderer} boardRenderer - Renderer for the board squares
+     */
+    constructor(game, boardRenderer) {
+        this.game = game;
+        this.boardRenderer = boardRenderer;
+
+        this.handlers = {
+            move: (record) => {
+                this.render();
+                this.highlightLastMove(record.move.from, record.move.to);
+            },
+            undoMove: () => this.render(),
+            reset: () => this.render(),
+            positionLoaded: () => this.render(),
+            pgnLoaded: () => this.render(),
+            gameOver: () => this.updateStatus(),
+        };
+
+        for (const [event, handler] of Object.entries(this.handlers)) {
+            this.game.on(event, handler);
+        }
+    }
+
+    /**
+     * Stop following the game.
+     */
+    destroy() {
+        for (const [event, handler] of Object.entries(this.handlers)) {
+            this.game.off(event, handler);
+        }
+    }
+
+    /**
+     * Redraw the board and every text display.
+     */
+    render() {
+        this.boardRenderer.render(this.game.board.squares);
+        this.clearHighlights();
+        this.updateStatus();
+        this.updateMoveList();
+    }
+
+    /**
+     * Describe the game situation, e.g. 'White to move', 'Black to move - check' or
+     * 'Checkmate - 1-0'.
+     * @returns {string} Status text
+     */
+    getStatusText() {
+        const result = this.game.getGameResult();
+        if (result) {
+            const reason = result.reason.charAt(0).toUpperCase() + result.reason.slice(1);
+            return `${reason.replace(/_/g, ' ')} - ${result.result}`;
+        }
+
+        const player = this.game.getCurrentPlayer();
+        const status = `${player.charAt(0).toUpperCase() + player.slice(1)} to move`;
+        return this.game.isInCheck() ? `${status} - check` : status;
+    }
+
+    /**
+     * Update the status line and move counter.
+     */
+    updateStatus() {
+        const statusElement = document.getElementById('game-status');
+        if (statusElement) {
+            statusElement.textContent = this.getStatusText();
+        }
+
+        const moveElement = document.getElementById('move-counter');
+        if (moveElement) {
+            moveElement.textContent = `Move: ${this.game.gameState.fullmoveNumber}`;
+        }
+    }
+
+    /**
+     * Show a message, such as why a move was rejected, in the status line until the
+     * next update.
+     * @param {string} message - Message to show
+     */
+    showMessage(message) {
+        const statusElement = document.getElementById('game-status');
+        if (statusElement) {
+            statusElement.textContent = `${this.getStatusText()} - ${message}`;
+        }
+    }
+
+    /**
+     * Write the moves of the current line, numbered SAN, into the move list.
+     */
+    updateMoveList() {
+        const listElement = document.getElementById('move-list');
+        if (!listElement) {
+            return;
+        }
+
+        const tree = this.game.getGameTree();
+        listElement.textContent = tree
+            .getLine()
+            .map((node, index) => {
+                const number = Math.ceil(node.ply / 2);
+                if (node.ply % 2 === 1) {
+                    return `${number}. ${node.san}`;
+                }
+                // A line starting with black's move still needs its number
+                return index === 0 ? `${number}... ${node.san}` : node.san;
+            })
+            .join(' ');
+    }
+
+    /**
+     * Highlight a selected square and the squares its piece can move to.
+     * @param {number} squareIndex - Selected square
+     * @param {number[]} [targets] - Squares to mark as valid moves
+     */
+    highlightSelectedSquare(squareIndex, targets = []) {
+        this.clearHighlights();
+
+        const squares = document.querySelectorAll('.square');
+        if (squares[squareIndex]) {
+            squares[squareIndex].classList.add('selected');
+        }
+        targets.forEach((target) => {
+            if (squares[target]) {
+                squares[target].classList.add('valid-move');
+            }
+        });
+    }
+
+    /**
+     * Highlight the squares of the last move.
+     * @param {number} from - Source square
+     * @param {number} to - Target square
+     */
+    highlightLastMove(from, to) {
+        const squares = document.querySelectorAll('.square');
+        [from, to].forEach((square) => {
+            if (squares[square]) {
+                squares[square].classList.add('last-move');
+            }
+        });
+    }
+
+    /**
+     * Clear all highlights.
+     */
+    clearHighlights() {
+        const squares = document.querySelectorAll('.square');
+        squares.forEach((square) => {
+            square.classList.remove('selected', 'valid-move', 'last-move');
+        });
+    }
+}
@@ -1,3 +1,5 @@
+import { algebraicToIndex } from './Coordinates.js';
+
 export const PIECE_VALUES = {
     pawn: 1,
     knight: 3,
@@ -78,25 +80,89 @@ export const PIECE_COLORS = {
     BLACK: 'black',
 };
 
+const squares = (...names) => names.map(algebraicToIndex);
+
 export const STARTING_POSITIONS = {
     white: {
-        rooks: [56, 63],
-        knights: [57, 62],
-        bishops: [58, 61],
-        queen: [59],
-        king: [60],
-        pawns: [48, 49, 50, 51, 52, 53, 54, 55],
+        rooks: squares('a1', 'h1'),
+        knights: squares('b1', 'g1'),
+        bishops: squares('c1', 'f1'),
+        queen: squares('d1'),
+        king: squares('e1'),
+        pawns: squares('a2', 'b2', 'c2', 'd2', 'e2', 'f2', 'g2', 'h2'),
     },
     black: {
-        rooks: [0, 7],
-        knights: [1, 6],
-        bishops: [2, 5],
-        queen: [3],
-        king: [4],
-        pawns: [8, 9, 10, 11, 12, 13, 14, 15],
+        rooks: squares('a8', 'h8'),
+        knights: squares('b8', 'g8'),
+        bishops: squares('c8', 'f8'),
+        queen: squares('d8'),
+        king: squares('e8'),
+        pawns: squares('a7', 'b7', 'c7', 'd7', 'e7', 'f7', 'g7', 'h7'),
     },
 };
 
+/**
+ * Maps piece types to their STARTING_POSITIONS keys.
+ */
+export const STARTING_POSITION_KEYS = {
+    pawn: 'pawns',
+    knight: 'knights',
+    bishop: 'bishops',
+    rook: 'rooks',
+    queen: 'queen',
+    king: 'king',
+};
+
+/**
+ * Squares involved in castling, per color and side.
+ * `emptySquares` must be vacant between king and rook; `kingPath` lists the squares
+ * the king crosses (including its destination), none of which may be attacked.
+ */
+export const CASTLING_SQUARES = {
+    white: {
+        kingFrom: algebraicToIndex('e1'),
+        kingside: {
+            kingTo: algebraicToIndex('g1'),
+            rookFrom: algebraicToIndex('h1'),
+            rookTo: algebraicToIndex('f1'),
+            emptySquares: squares('f1', 'g1'),
+            kingPath: squares('f1', 'g1'),
+        },
+        queenside: {
+            kingTo: algebraicToIndex('c1'),
+            rookFrom: algebraicToIndex('a1'),
+            rookTo: algebraicToIndex('d1'),
+            emptySquares: squares('b1', 'c1', 'd1'),
+            kingPath: squares('d1', 'c1'),
+        },
+    },
+    black: {
+        kingFrom: algebraicToIndex('e8'),
+        kingside: {
+            kingTo: algebraicToIndex('g8'),
+            rookFrom: algebraicToIndex('h8'),
+            rookTo: algebraicToIndex('f8'),
+            emptySquares: squares('f8', 'g8'),
+            kingPath: squares('f8', 'g8'),
+        },
+        queenside: {
+            kingTo: algebraicToIndex('c8'),
+            rookFrom: algebraicToIndex('a8'),
+            rookTo: algebraicToIndex('d8'),
+            emptySquares: squares('b8', 'c8', 'd8'),
+            kingPath: squares('d8', 'c8'),
+        },
+    },
+};
+
+/**
+ * Search score of being mated at the root, in centipawns. Mate scores count down by
+ * one per ply, and no mate is searched deeper than MATE_BOUND plies, so any score
+ * beyond MATE_SCORE - MATE_BOUND is a mate.
+ */
+export const MATE_SCORE = 100000;
+export const MATE_BOUND = 1000;
+
 export function getPieceSymbol(type, color, useAlt = false) {
     const symbolSet = useAlt ? PIECE_SYMBOLS_ALT : PIECE_SYMBOLS;
 
@@ -0,0 +1,106 @@
+// src/utils/Coordinates.js
+
+/**
+ * Board coordinate helpers - the single authority on square indexing.
+ *
+ * Squares are indexed 0-63 in the order the board is rendered: index 0 is a8,
+ * index 7 is h8, index 56 is a1 and index 63 is h1. White starts on indices 48-63
+ * and moves toward lower indices; black starts on 0-15.
+ *
+ * Files are numbered 0-7 (a-h) and ranks use chess numbering 1-8.
+ */
+
+export const FILES = 'abcdefgh';
+
+/**
+ * Checks whether a value is a valid square index.
+ * @param {number} index - Candidate square index
+ * @returns {boolean} True for integers 0-63
+ */
+export function isValidSquare(index) {
+    return Number.isInteger(index) && index >= 0 && index < 64;
+}
+
+/**
+ * Gets the file of a square.
+ * @param {number} index - Square index (0-63)
+ * @returns {number} File number, 0 (a) to 7 (h)
+ */
+export function fileOf(index) {
+    return index % 8;
+}
+
+/**
+ * Gets the chess rank of a square.
+ * @param {number} index - Square index (0-63)
+ * @returns {number} Rank number, 1 to 8
+ */
+export function rankOf(index) {
+    return 8 - Math.floor(index / 8);
+}
+
+/**
+ * Builds a square index from file and rank.
+ * @param {number} file - File number, 0 (a) to 7 (h)
+ * @param {number} rank - Rank number, 1 to 8
+ * @returns {number} Square index, or -1 if off the board
+ */
+export function squareAt(file, rank) {
+    if (file < 0 || file > 7 || rank < 1 || rank > 8) {
+        return -1;
+    }
+    return (8 - rank) * 8 + file;
+}
+
+/**
+ * Converts a square index to algebraic notation.
+ * @param {number} index - Square index (0-63)
+ * @returns {string} Algebraic square (e.g. 'e4')
+ * @throws {Error} If the index is not a valid square
+ */
+export function indexToAlgebraic(index) {
+    if (!isValidSquare(index)) {
+        throw new Error(`Invalid square index: ${index}`);
+    }
+    return FILES[fileOf(index)] + rankOf(index);
+}
+
+/**
+ * Converts algebraic notation to a square index.
+ * @param {string} square - Algebraic square (e.g. 'e4')
+ * @returns {number} Square index (0-63)
+ * @throws {Error} If the square is not valid algebraic notation
+ */
+export function algebraicToIndex(square) {
+    if (typeof square !== 'string' || !/^[a-h][1-8]$/.test(square)) {
+        throw new Error(`Invalid algebraic square: ${square}`);
+    }
+    return squareAt(FILES.indexOf(square[0]), Number(square[1]));
+}
+
+/**
+ * Mirrors a square vertically (a1 <-> a8), e.g. to view the board from black's side.
+ * @param {number} index - Square index (0-63)
+ * @returns {number} Mirrored square index
+ */
+export function mirrorSquare(index) {
+    return index ^ 56;
+}
+
+/**
+ * Mirrors a square horizontally (a1 <-> h1).
+ * @param {number} index - Square index (0-63)
+ * @returns {number} Mirrored square index
+ */
+export function mirrorFile(index) {
+    return index ^ 7;
+}
+
+/**
+ * Gets the color of a square (a1 is dark, h1 is light).
+ * @param {number} index - Square index (0-63)
+ * @returns {string} 'light' or 'dark'
+ */
+export function squareColor(index) {
+    return (fileOf(index) + rankOf(index)) % 2 === 0 ? 'light' : 'dark';
+}
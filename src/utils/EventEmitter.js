@@ -0,0 +1,114 @@
+// src/utils/EventEmitter.js
+
+/**
+ * EventEmitter - minimal DOM-free event emitter
+ *
+ * Works the same in browsers, workers and Node. Listeners run synchronously in the
+ * order they were added; a listener removed while an event is being emitted still
+ * runs for that event.
+ */
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Add a listener for an event.
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event's arguments
+     * @returns {EventEmitter} This emitter, for chaining
+     * @throws {Error} If the listener is not a function
+     */
+    on(event, listener) {
+        if (typeof listener !== 'function') {
+            throw new Error(`Invalid listener for '${event}': expected a function`);
+        }
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+        return this;
+    }
+
+    /**
+     * Add a listener that is removed after its first call.
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event's arguments
+     * @returns {EventEmitter} This emitter, for chaining
+     */
+    once(event, listener) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            listener.apply(this, args);
+        };
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Remove a listener added with on() or once().
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener to remove
+     * @returns {EventEmitter} This emitter, for chaining
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            return this;
+        }
+
+        const index = listeners.findIndex(
+            (candidate) => candidate === listener || candidate.listener === listener
+        );
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+        if (listeners.length === 0) {
+            this.listeners.delete(event);
+        }
+        return this;
+    }
+
+    /**
+     * Remove every listener of an event, or of all events.
+     * @param {string} [event] - Event name; all events when omitted
+     * @returns {EventEmitter} This emitter, for chaining
+     */
+    removeAllListeners(event) {
+        if (event === undefined) {
+            this.listeners.clear();
+        } else {
+            this.listeners.delete(event);
+        }
+        return this;
+    }
+
+    /**
+     * Call every listener of an event with the given arguments.
+     * @param {string} event - Event name
+     * @param {...*} args - Arguments passed to the listeners
+     * @returns {boolean} True if the event had listeners
+     */
+    emit(event, ...args) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            return false;
+        }
+
+        for (const listener of [...listeners]) {
+            listener.apply(this, args);
+        }
+        return true;
+    }
+
+    /**
+     * Count the listeners of an event.
+     * @param {string} event - Event name
+     * @returns {number} Number of listeners
+     */
+    listenerCount(event) {
+        const listeners = this.listeners.get(event);
+        return listeners ? listeners.length : 0;
+    }
+}
@@ -0,0 +1,74 @@
+// tests/ai/AIPlayer.test.js
+
+import { jest } from '@jest/globals';
+import { AIPlayer } from '../../src/ai/AIPlayer.js';
+import { ChessGame } from '../../src/core/ChessGame.js';
+import { FEN } from '../../src/core/FEN.js';
+import { MoveCodec } from '../../src/core/MoveCodec.js';
+
+describe('AIPlayer', () => {
+    let game;
+
+    beforeEach(() => {
+        game = new ChessGame();
+    });
+
+    test('should play its move through ChessGame.makeMove()', () => {
+        const ai = new AIPlayer(game, 'easy');
+        const makeMove = jest.spyOn(game, 'makeMove');
+
+        const result = ai.makeMove();
+
+        expect(makeMove).toHaveBeenCalledWith(result.move);
+        expect(game.getMoveHistory()).toHaveLength(1);
+        expect(game.getCurrentPlayer()).toBe('black');
+        expect(result).toEqual(
+            expect.objectContaining({
+                score: expect.any(Number),
+                pv: expect.any(Array),
+                nodes: expect.any(Number),
+            })
+        );
+    });
+
+    test('should not touch the game while searching', () => {
+        const ai = new AIPlayer(game);
+        const listener = jest.fn();
+        game.on('move', listener);
+
+        ai.search({ depth: 2 });
+
+        expect(listener).not.toHaveBeenCalled();
+        expect(game.toFEN()).toBe(FEN.STARTING_FEN);
+    });
+
+    test('should deliver mate when it can', () => {
+        ['f3', 'e5', 'g4'].forEach((move) => game.makeMove(move));
+        const ai = new AIPlayer(game, 'medium');
+
+        const result = ai.makeMove();
+
+        expect(MoveCodec.toUCI(result.move)).toBe('d8h4');
+        expect(game.getGameResult()).toEqual({ result: '0-1', reason: 'checkmate' });
+        expect(ai.makeMove()).toBeNull();
+    });
+
+    test('should let limits override the difficulty', () => {
+        const result = new AIPlayer(game, 'hard').search({ depth: 1 });
+
+        expect(result.depth).toBe(1);
+        expect(result.nodes).toBe(21);
+    });
+
+    test('should set difficulty levels', () => {
+        const ai = new AIPlayer(game);
+        expect(ai.difficulty).toBe('medium');
+
+        ai.setDifficulty('hard');
+        expect(ai.limits).toEqual(AIPlayer.DIFFICULTIES.hard);
+        expect(() => ai.setDifficulty('grandmaster')).toThrow(
+            'Unknown difficulty: grandmaster (expected easy, medium, hard)'
+        );
+        expect(ai.difficulty).toBe('hard');
+    });
+});
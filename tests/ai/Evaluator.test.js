@@ -0,0 +1,121 @@
+// tests/ai/Evaluator.test.js
+
+import { Evaluator } from '../../src/ai/Evaluator.js';
+import { FEN } from '../../src/core/FEN.js';
+
+const evaluate = (fen) => new Evaluator(FEN.parse(fen).board).evaluate();
+
+// The same position with the colors swapped and the board flipped
+const flip = (fen) => {
+    const [placement, turn] = fen.split(' ');
+    const swapped = placement
+        .split('/')
+        .reverse()
+        .join('/')
+        .replace(/[a-z]/gi, (c) => (c === c.toLowerCase() ? c.toUpperCase() : c.toLowerCase()));
+    return `${swapped} ${turn === 'w' ? 'b' : 'w'} - - 0 1`;
+};
+
+const MIDDLEGAME = 'r1bq1rk1/pp2bppp/2n1pn2/3p4/2PP4/2N1PN2/PP3PPP/R2QKB1R w KQ - 0 8';
+
+describe('Evaluator', () => {
+    test('should score the initial position as even', () => {
+        const result = evaluate(FEN.STARTING_FEN);
+
+        expect(result.total).toBe(0);
+        expect(result.phase).toBe(Evaluator.MAX_PHASE);
+        expect(Object.keys(result.terms)).toEqual(Evaluator.TERMS);
+        Object.values(result.terms).forEach((score) => expect(score).toBe(0));
+    });
+
+    test('should add the terms up to the total', () => {
+        const { total, terms } = evaluate(MIDDLEGAME);
+
+        expect(Object.values(terms).reduce((sum, score) => sum + score, 0)).toBe(total);
+    });
+
+    test('should score mirrored positions with opposite signs', () => {
+        const fens = [
+            MIDDLEGAME,
+            'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+            '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+        ];
+
+        for (const fen of fens) {
+            const original = evaluate(fen);
+            const mirrored = evaluate(flip(fen));
+
+            expect(mirrored.total).toBe(-original.total);
+            expect(mirrored.phase).toBe(original.phase);
+        }
+    });
+
+    test('should score from either side with score()', () => {
+        const { board } = FEN.parse(MIDDLEGAME);
+        const evaluator = new Evaluator(board);
+
+        expect(evaluator.score('white')).toBe(evaluator.evaluate().total);
+        expect(evaluator.score('black')).toBe(-evaluator.evaluate().total);
+    });
+
+    test('should count material from PIECE_VALUES', () => {
+        expect(evaluate('4k3/8/8/8/8/8/8/3QK3 w - - 0 1').terms.material).toBe(900);
+        expect(evaluate('4k3/8/8/3n4/8/8/8/4K3 w - - 0 1').terms.material).toBe(-300);
+    });
+
+    test('should taper from middlegame to endgame tables by phase', () => {
+        const bareKings = evaluate('8/8/8/3K4/8/8/8/k7 w - - 0 1');
+        expect(bareKings.phase).toBe(0);
+        // A central king is good in the endgame, a cornered one bad
+        expect(bareKings.terms.pieceSquares).toBe(40 - -50);
+
+        const queens = evaluate('3qk3/8/8/8/8/8/8/3QK3 w - - 0 1');
+        expect(queens.phase).toBe(8);
+    });
+
+    test('should penalise doubled and isolated pawns', () => {
+        const { terms } = evaluate('4k3/2pp4/8/8/8/2P5/2P5/4K3 w - - 0 1');
+
+        // Doubled (-20) and two isolated pawns (-15 each), endgame weights
+        expect(terms.pawnStructure).toBe(-50);
+    });
+
+    test('should reward passed pawns by rank', () => {
+        const sixth = evaluate('4k3/8/4P3/8/8/8/8/4K3 w - - 0 1');
+        const third = evaluate('4k3/8/8/8/8/4P3/8/4K3 w - - 0 1');
+        const blocked = evaluate('4k3/3p4/4P3/8/8/8/8/4K3 w - - 0 1');
+
+        // Passed on the sixth (+65), isolated (-15)
+        expect(sixth.terms.pawnStructure).toBe(50);
+        expect(third.terms.pawnStructure).toBeLessThan(sixth.terms.pawnStructure);
+        expect(blocked.terms.pawnStructure).toBeLessThan(sixth.terms.pawnStructure);
+    });
+
+    test('should reward the pawn shield and punish attackers of the king', () => {
+        const shielded = evaluate('rnbqkbnr/pppppppp/8/8/8/8/5PPP/RNBQKBNR w KQkq - 0 1');
+        expect(shielded.terms.kingSafety).toBeLessThan(0);
+
+        const attacked = evaluate('4k3/8/8/8/6nq/8/5PPP/6K1 w - - 0 1');
+        const safe = evaluate('4k3/8/8/n7/q7/8/5PPP/6K1 w - - 0 1');
+        expect(attacked.terms.kingSafety).toBeLessThan(safe.terms.kingSafety);
+    });
+
+    test('should reward mobility', () => {
+        const { terms } = evaluate('4k2n/8/8/8/3N4/8/8/4K3 w - - 0 1');
+
+        expect(terms.mobility).toBeGreaterThan(0);
+    });
+
+    test('should reward the bishop pair', () => {
+        // Phase 4: (30 * 4 + 50 * 20) / 24
+        expect(evaluate('2bnk3/8/8/8/8/8/8/2B1KB2 w - - 0 1').terms.bishopPair).toBe(47);
+    });
+
+    test('should reward rooks on open and semi-open files', () => {
+        const open = evaluate('4k2r/7p/8/8/8/8/8/3RK3 w - - 0 1').terms.rookFiles;
+        const semiOpen = evaluate('3rk3/3p4/8/8/8/8/8/3RK3 w - - 0 1').terms.rookFiles;
+
+        expect(open).toBe(17);
+        expect(semiOpen).toBe(9);
+    });
+});
@@ -0,0 +1,110 @@
+// tests/ai/MoveOrdering.test.js
+
+import { MoveOrdering } from '../../src/ai/MoveOrdering.js';
+import { FEN } from '../../src/core/FEN.js';
+import { MoveCodec } from '../../src/core/MoveCodec.js';
+import { MoveValidator } from '../../src/core/MoveValidator.js';
+
+// White can take the queen with a bishop or rook, the rook with a pawn (promoting) and
+// a pawn with a knight, and promote on b8 or h8
+const TACTICAL = 'r3k3/1P5P/8/3q4/4p3/1B6/5N2/3RK3 w - - 0 1';
+
+const legalMoves = (fen) => {
+    const { board, gameState } = FEN.parse(fen);
+    const moves = new MoveValidator(board, gameState).getAllLegalMoves(gameState.currentPlayer);
+    return { moves, board, gameState };
+};
+
+const find = (moves, board, gameState, san) => {
+    const target = MoveCodec.parse(san, board, gameState);
+    return moves.find((move) => MoveOrdering.sameMove(move, target));
+};
+
+describe('MoveOrdering', () => {
+    let ordering;
+
+    beforeEach(() => {
+        ordering = new MoveOrdering();
+    });
+
+    test('should put the transposition table move first', () => {
+        const { moves, board, gameState } = legalMoves(TACTICAL);
+        const quiet = find(moves, board, gameState, 'Kf1');
+
+        ordering.order(moves, { from: quiet.from, to: quiet.to, promotion: null }, 0);
+
+        expect(moves[0]).toBe(quiet);
+    });
+
+    test('should order captures by MVV-LVA, then promotions, then quiet moves', () => {
+        const { moves } = legalMoves(TACTICAL);
+        ordering.order(moves, null, 0);
+
+        const captures = moves.slice(0, 7);
+        expect(captures.map((move) => [move.piece, move.captured])).toEqual([
+            ['bishop', 'queen'],
+            ['rook', 'queen'],
+            ['pawn', 'rook'],
+            ['pawn', 'rook'],
+            ['pawn', 'rook'],
+            ['pawn', 'rook'],
+            ['knight', 'pawn'],
+        ]);
+        expect(moves.filter((move) => move.captured)).toHaveLength(7);
+
+        const promotions = moves.slice(7, 15);
+        expect(promotions.every((move) => move.promotion && !move.captured)).toBe(true);
+        expect(promotions.slice(0, 2).map((move) => move.promotion)).toEqual(['queen', 'queen']);
+        expect(moves.slice(15).some((move) => move.promotion)).toBe(false);
+    });
+
+    test('should try killer moves before other quiet moves', () => {
+        const { moves, board, gameState } = legalMoves(FEN.STARTING_FEN);
+        const nf3 = find(moves, board, gameState, 'Nf3');
+        const e4 = find(moves, board, gameState, 'e4');
+
+        ordering.recordCutoff(nf3, 1, 3);
+        ordering.recordCutoff(e4, 1, 3);
+        ordering.order(moves, null, 3);
+
+        expect(moves.slice(0, 2)).toEqual([e4, nf3]);
+        expect(ordering.killers[4]).toEqual([null, null]);
+    });
+
+    test('should rank quiet moves by history', () => {
+        const { moves, board, gameState } = legalMoves(FEN.STARTING_FEN);
+        const d4 = find(moves, board, gameState, 'd4');
+        const c4 = find(moves, board, gameState, 'c4');
+
+        ordering.recordCutoff(c4, 2, 10);
+        ordering.recordCutoff(d4, 4, 11);
+        ordering.order(moves, null, 0);
+
+        expect(moves.slice(0, 2)).toEqual([d4, c4]);
+        expect(ordering.score(d4, null, 0)).toBe(16);
+    });
+
+    test('should not record captures and promotions as killers', () => {
+        const { moves } = legalMoves(TACTICAL);
+        const capture = moves.find((move) => move.captured === 'pawn');
+
+        ordering.recordCutoff(capture, 3, 0);
+
+        expect(ordering.killers[0]).toEqual([null, null]);
+        expect(ordering.score({ ...capture, captured: undefined }, null, 0)).toBe(0);
+    });
+
+    test('should fade history between searches and forget it on clear()', () => {
+        const { moves, board, gameState } = legalMoves(FEN.STARTING_FEN);
+        const e4 = find(moves, board, gameState, 'e4');
+
+        ordering.recordCutoff(e4, 4, 0);
+        ordering.newSearch();
+
+        expect(ordering.killers[0]).toEqual([null, null]);
+        expect(ordering.score(e4, null, 0)).toBe(8);
+
+        ordering.clear();
+        expect(ordering.score(e4, null, 0)).toBe(0);
+    });
+});
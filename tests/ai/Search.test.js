@@ -0,0 +1,176 @@
+// tests/ai/Search.test.js
+
+import { jest } from '@jest/globals';
+import { Search } from '../../src/ai/Search.js';
+import { TranspositionTable } from '../../src/ai/TranspositionTable.js';
+import { FEN } from '../../src/core/FEN.js';
+import { MoveCodec } from '../../src/core/MoveCodec.js';
+import { Position } from '../../src/core/Position.js';
+
+const FOOLS_MATE = 'rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq g3 0 2';
+const HANGING_QUEEN = '4k3/8/8/3q4/8/8/3R4/4K3 w - - 0 1';
+const POISONED_PAWN = '4k3/8/2p5/3p4/8/8/8/3QK3 w - - 0 1';
+const ROOK_ENDGAME = '8/8/3k4/8/8/3K4/3R4/8 w - - 0 1';
+
+const best = (fen, limits) => {
+    const result = Search.fromFEN(fen).search(limits);
+    return { ...result, uci: result.move && MoveCodec.toUCI(result.move) };
+};
+
+// Plain negamax without pruning, to check alpha-beta returns the same score
+const minimax = (search, depth) => {
+    const { board, gameState, moveValidator } = search;
+    if (depth === 0) {
+        return search.quiesce(-Infinity, Infinity, 0);
+    }
+    const moves = moveValidator.getAllLegalMoves(gameState.currentPlayer);
+    if (moves.length === 0) {
+        return moveValidator.isInCheck(gameState.currentPlayer) ? -Search.MATE_SCORE : 0;
+    }
+
+    let bestScore = -Infinity;
+    for (const move of moves) {
+        const record = board.makeMove(move, gameState);
+        bestScore = Math.max(bestScore, -minimax(search, depth - 1));
+        board.unmakeMove(record, gameState);
+    }
+    return bestScore;
+};
+
+describe('Search', () => {
+    test('should find mate in one', () => {
+        const result = best(FOOLS_MATE, { depth: 3 });
+
+        expect(result.uci).toBe('d8h4');
+        expect(result.score).toBe(Search.MATE_SCORE - 1);
+        expect(result.depth).toBe(1);
+    });
+
+    test('should win material and avoid losing it', () => {
+        expect(best(HANGING_QUEEN, { depth: 2 }).uci).toBe('d2d5');
+
+        const deeper = best(POISONED_PAWN, { depth: 2 });
+        expect(deeper.uci).not.toBe('d1d5');
+        expect(deeper.score).toBeGreaterThan(600);
+    });
+
+    test('should resolve captures beyond the horizon', () => {
+        const result = best(POISONED_PAWN, { depth: 1 });
+
+        expect(result.uci).not.toBe('d1d5');
+        expect(result.score).toBeGreaterThan(600);
+    });
+
+    test('should search checks through quiescence', () => {
+        const search = Search.fromFEN('4k3/8/8/8/8/8/8/r3K3 w - - 0 1');
+
+        const score = search.quiesce(-Infinity, Infinity, 0);
+        expect(score).toBeLessThan(-400);
+        expect(score).toBeGreaterThan(-600);
+    });
+
+    test('should skip captures that lose material in quiescence', () => {
+        const search = Search.fromFEN(POISONED_PAWN);
+        const makeMove = jest.spyOn(search.board, 'makeMove');
+
+        expect(search.quiesce(-Infinity, Infinity, 0)).toBe(search.evaluate());
+        expect(makeMove).not.toHaveBeenCalled();
+    });
+
+    test('should return the same score as a search without pruning', () => {
+        const search = Search.fromFEN(ROOK_ENDGAME, 'mailbox');
+        const result = search.search({ depth: 3 });
+
+        expect(result.score).toBe(minimax(search, 3));
+    });
+
+    test('should return a legal principal variation', () => {
+        const result = best(FEN.STARTING_FEN, { depth: 3 });
+
+        expect(result.pv).toHaveLength(3);
+        expect(result.pv[0]).toBe(result.move);
+        const end = result.pv.reduce((position, move) => position.play(move), Position.initial());
+        expect(end.fullmoveNumber).toBe(2);
+    });
+
+    test('should report positions without moves', () => {
+        const mated = best('rnb1kbnr/pppp1ppp/8/4p3/6Pq/5P2/PPPPP2P/RNBQKBNR w KQkq - 1 3');
+        const stalemate = best('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1');
+
+        expect(mated).toMatchObject({ move: null, score: -Search.MATE_SCORE, pv: [] });
+        expect(stalemate).toMatchObject({ move: null, score: 0 });
+    });
+
+    test('should leave the position unchanged', () => {
+        const search = Search.fromFEN(POISONED_PAWN);
+        const hash = search.gameState.hash;
+
+        search.search({ depth: 3 });
+
+        expect(FEN.toFEN(search.board, search.gameState)).toBe(POISONED_PAWN);
+        expect(search.gameState.hash).toBe(hash);
+    });
+
+    test('should stop at the node limit and keep the last full iteration', () => {
+        const result = best(FEN.STARTING_FEN, { depth: 20, nodeLimit: 2000 });
+
+        expect(result.nodes).toBeLessThanOrEqual(2000);
+        expect(result.depth).toBeGreaterThanOrEqual(1);
+        expect(result.depth).toBeLessThan(20);
+        expect(result.move).not.toBeNull();
+    });
+
+    test('should stop at the time limit', () => {
+        const started = Date.now();
+        const result = best(FEN.STARTING_FEN, { depth: 20, timeLimit: 50 });
+
+        expect(Date.now() - started).toBeLessThan(2000);
+        expect(result.depth).toBeLessThan(20);
+        expect(result.move).not.toBeNull();
+    });
+
+    test('should report transposition table statistics', () => {
+        const result = best(ROOK_ENDGAME, { depth: 4 });
+
+        expect(result.tt.probes).toBeGreaterThan(0);
+        expect(result.tt.hits).toBeGreaterThan(0);
+        expect(result.tt.hitRate).toBeCloseTo(result.tt.hits / result.tt.probes);
+    });
+
+    test('should search fewer nodes with a table kept from an earlier search', () => {
+        const tt = new TranspositionTable(1);
+        const first = Search.fromFEN(ROOK_ENDGAME, 'bitboard', { tt }).search({ depth: 4 });
+        const second = Search.fromFEN(ROOK_ENDGAME, 'bitboard', { tt }).search({ depth: 4 });
+
+        expect(second.nodes).toBeLessThan(first.nodes);
+        expect(second.score).toBe(first.score);
+    });
+
+    test('should search fewer nodes with move ordering', () => {
+        const fen = '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1';
+        const ordered = Search.fromFEN(fen).search({ depth: 4 });
+        const unordered = Search.fromFEN(fen, 'bitboard', { moveOrdering: false }).search({
+            depth: 4,
+        });
+
+        expect(ordered.nodes).toBeLessThan(unordered.nodes / 2);
+        expect(ordered.score).toBe(unordered.score);
+    });
+
+    test('should count draws by repetition as zero', () => {
+        const search = Search.fromFEN(ROOK_ENDGAME);
+        search.gameState.positionHistory.unshift(search.gameState.hash, search.gameState.hash);
+        search.gameState.halfmoveClock = 4;
+
+        expect(search.isDraw()).toBe(true);
+    });
+
+    test('should reject invalid depths and backends', () => {
+        expect(() => Search.fromFEN(FEN.STARTING_FEN).search({ depth: 0 })).toThrow(
+            'Invalid search depth: 0 must be a positive integer'
+        );
+        expect(() => Search.fromFEN(FEN.STARTING_FEN, 'array')).toThrow(
+            'Unknown board backend: array'
+        );
+    });
+});
@@ -0,0 +1,127 @@
+// tests/ai/TranspositionTable.test.js
+
+import { TranspositionTable } from '../../src/ai/TranspositionTable.js';
+import { Search } from '../../src/ai/Search.js';
+
+const { EXACT, LOWER, UPPER } = TranspositionTable;
+
+describe('TranspositionTable', () => {
+    let tt;
+
+    beforeEach(() => {
+        tt = new TranspositionTable(1);
+    });
+
+    test('should size itself from megabytes as a power of two', () => {
+        expect(tt.size).toBe(32768);
+        expect(tt.keys).toBeInstanceOf(BigUint64Array);
+        expect(new TranspositionTable(0.001).size).toBe(32);
+        expect(() => new TranspositionTable(0)).toThrow('Invalid transposition table size: 0 MB');
+        expect(() => new TranspositionTable('16')).toThrow('Invalid transposition table size');
+    });
+
+    test('should store and probe entries', () => {
+        const hash = 0x123456789abcdef0n;
+        const move = { from: 52, to: 36, promotion: undefined };
+
+        expect(tt.probe(hash, 0)).toBeNull();
+        tt.store(hash, 5, EXACT, 42, move, 0);
+
+        expect(tt.probe(hash, 0)).toEqual({
+            depth: 5,
+            bound: EXACT,
+            score: 42,
+            move: { from: 52, to: 36, promotion: null },
+        });
+    });
+
+    test('should tell colliding positions apart by the full hash', () => {
+        const hash = 0x10n;
+        const collision = hash + BigInt(tt.size);
+
+        tt.store(hash, 3, LOWER, 10, null, 0);
+
+        expect(tt.probe(collision, 0)).toBeNull();
+        expect(tt.probe(hash, 0)).toMatchObject({ bound: LOWER, move: null });
+    });
+
+    test('should encode promotions in the best move', () => {
+        tt.store(1n, 1, EXACT, 0, { from: 12, to: 4, promotion: 'knight' }, 0);
+
+        expect(tt.probe(1n, 0).move).toEqual({ from: 12, to: 4, promotion: 'knight' });
+    });
+
+    test('should prefer deeper entries within a search and replace older ones', () => {
+        const hash = 0x20n;
+        const collision = hash + BigInt(tt.size);
+
+        tt.store(hash, 6, EXACT, 1, null, 0);
+        tt.store(collision, 2, UPPER, 2, null, 0);
+        expect(tt.probe(hash, 0).score).toBe(1);
+        expect(tt.probe(collision, 0)).toBeNull();
+
+        tt.store(collision, 6, UPPER, 2, null, 0);
+        expect(tt.probe(collision, 0).score).toBe(2);
+
+        tt.newSearch();
+        tt.store(hash, 1, EXACT, 3, null, 0);
+        expect(tt.probe(hash, 0)).toMatchObject({ depth: 1, score: 3 });
+    });
+
+    test('should keep the best move of a position when a new result has none', () => {
+        tt.store(7n, 2, LOWER, 50, { from: 1, to: 18 }, 0);
+        tt.store(7n, 3, UPPER, 20, null, 0);
+
+        expect(tt.probe(7n, 0)).toMatchObject({
+            depth: 3,
+            bound: UPPER,
+            move: { from: 1, to: 18 },
+        });
+    });
+
+    test('should store mate scores relative to the node', () => {
+        const mateIn3FromRoot = Search.MATE_SCORE - 3;
+
+        tt.store(9n, 4, EXACT, mateIn3FromRoot, null, 2);
+
+        expect(tt.probe(9n, 2).score).toBe(mateIn3FromRoot);
+        expect(tt.probe(9n, 0).score).toBe(Search.MATE_SCORE - 1);
+
+        tt.store(10n, 4, EXACT, -mateIn3FromRoot, null, 2);
+        expect(tt.probe(10n, 4).score).toBe(-(Search.MATE_SCORE - 5));
+
+        tt.store(11n, 4, EXACT, 350, null, 2);
+        expect(tt.probe(11n, 6).score).toBe(350);
+    });
+
+    test('should treat the longest mate Search reports as a mate', () => {
+        const longestMate = Search.MATE_SCORE - TranspositionTable.MATE_THRESHOLD - 1;
+
+        tt.store(12n, 4, EXACT, Search.MATE_SCORE - longestMate, null, 2);
+        expect(tt.probe(12n, 0).score).toBe(Search.MATE_SCORE - longestMate + 2);
+    });
+
+    test('should count probes and hits until the next search', () => {
+        tt.store(3n, 1, EXACT, 0, null, 0);
+        tt.probe(3n, 0);
+        tt.probe(4n, 0);
+
+        expect(tt.getStats()).toEqual({
+            probes: 2,
+            hits: 1,
+            hitRate: 0.5,
+            stores: 1,
+            size: 32768,
+        });
+
+        tt.newSearch();
+        expect(tt.getStats()).toMatchObject({ probes: 0, hits: 0, hitRate: 0 });
+    });
+
+    test('should empty the table on clear()', () => {
+        tt.store(5n, 1, EXACT, 0, null, 0);
+        tt.clear();
+
+        expect(tt.probe(5n, 0)).toBeNull();
+    });
+});
@@ -0,0 +1,176 @@
+// tests/core/AttackMap.test.js
+
+import { jest } from '@jest/globals';
+import { AttackMap } from '../../src/core/AttackMap.js';
+import { BitboardBoard } from '../../src/core/BitboardBoard.js';
+import { Board } from '../../src/core/Board.js';
+import { FEN } from '../../src/core/FEN.js';
+import { GameState } from '../../src/core/GameState.js';
+import { MoveValidator } from '../../src/core/MoveValidator.js';
+import { algebraicToIndex, indexToAlgebraic } from '../../src/utils/Coordinates.js';
+
+const load = (fen, board = new Board()) => {
+    const gameState = new GameState();
+    FEN.load(fen, board, gameState);
+    return { board, gameState };
+};
+
+const names = (squares) => squares.map(indexToAlgebraic).sort();
+const sq = algebraicToIndex;
+
+describe('AttackMap', () => {
+    describe('attacked squares', () => {
+        test('should list attackers of a square, including defended pieces', () => {
+            const { board } = load(FEN.STARTING_FEN);
+            const map = new AttackMap(board, 'white');
+
+            expect(names(map.getAttackers(sq('f3')))).toEqual(['e2', 'g1', 'g2']);
+            expect(map.getAttackCount(sq('f3'))).toBe(3);
+            expect(names(map.getAttackers(sq('e2')))).toEqual(['d1', 'e1', 'f1', 'g1']);
+            expect(map.isAttacked(sq('e4'))).toBe(false);
+            expect(map.getAttackedSquares()).toHaveLength(22);
+        });
+
+        test('should stop sliders at the first blocker', () => {
+            const { board } = load('4k3/8/8/8/1p6/8/8/R3K3 w - - 0 1');
+            const map = new AttackMap(board, 'white');
+
+            expect(map.isAttacked(sq('a7'))).toBe(true);
+            expect(map.isAttacked(sq('b1'))).toBe(true);
+            expect(map.isAttacked(sq('f1'))).toBe(true);
+            expect(map.isAttacked(sq('g1'))).toBe(false);
+            expect(map.isAttacked(sq('a8'))).toBe(true);
+
+            const blocked = new AttackMap(load('4k3/8/8/8/8/8/8/R1N1K3 w - - 0 1').board, 'white');
+            expect(blocked.isAttacked(sq('d1'))).toBe(true);
+            expect(names(blocked.getAttackers(sq('d1')))).toEqual(['e1']);
+        });
+
+        test('should agree with isSquareAttacked on both board backends', () => {
+            const fen = 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1';
+
+            for (const board of [new Board(), new BitboardBoard()]) {
+                const { gameState } = load(fen, board);
+                const validator = new MoveValidator(board, gameState);
+
+                for (const color of ['white', 'black']) {
+                    const map = new AttackMap(board, color);
+                    for (let square = 0; square < 64; square++) {
+                        expect(map.isAttacked(square)).toBe(
+                            validator.isSquareAttacked(square, color)
+                        );
+                    }
+                }
+            }
+        });
+    });
+
+    describe('checks', () => {
+        test('should report a slider check with the squares that resolve it', () => {
+            const { board } = load('4k3/8/8/8/8/8/8/4R1K1 b - - 0 1');
+            const map = new AttackMap(board, 'white');
+            const [checker] = map.getCheckers();
+
+            expect(map.isCheck()).toBe(true);
+            expect(indexToAlgebraic(checker.square)).toBe('e1');
+            expect(names(checker.ray)).toEqual(['e1', 'e2', 'e3', 'e4', 'e5', 'e6', 'e7']);
+        });
+
+        test('should report knight and pawn checks as the checker square only', () => {
+            const { board } = load('4k3/8/3N4/8/8/8/8/4K3 b - - 0 1');
+            const [knight] = new AttackMap(board, 'white').getCheckers();
+            expect(names(knight.ray)).toEqual(['d6']);
+
+            const pawn = new AttackMap(load('4k3/3P4/8/8/8/8/8/4K3 b - - 0 1').board, 'white');
+            expect(names(pawn.getCheckers()[0].ray)).toEqual(['d7']);
+        });
+
+        test('should report double check', () => {
+            const { board } = load('4k3/8/3N4/8/8/8/8/4R1K1 b - - 0 1');
+            const map = new AttackMap(board, 'white');
+
+            expect(names(map.getCheckers().map((checker) => checker.square))).toEqual(['d6', 'e1']);
+        });
+
+        test('should not let the king retreat along the checking line', () => {
+            const { board } = load('4r3/8/8/4K3/8/8/8/k7 w - - 0 1');
+            const map = new AttackMap(board, 'black');
+
+            expect(map.isCheck()).toBe(true);
+            expect(map.isAttacked(sq('e4'))).toBe(false);
+            expect(map.isSafeForKing(sq('e4'))).toBe(false);
+            expect(map.isSafeForKing(sq('d4'))).toBe(true);
+        });
+    });
+
+    describe('pins', () => {
+        test('should find absolutely pinned pieces and their pin rays', () => {
+            const { board } = load('4k3/4r3/8/8/b7/8/4B3/4K3 w - - 0 1');
+            const map = new AttackMap(board, 'black');
+
+            expect(map.getPins()).toHaveLength(1);
+            expect(indexToAlgebraic(map.getPins()[0].pinner)).toBe('e7');
+            expect(names(map.getPinRay(sq('e2')))).toEqual(['e2', 'e3', 'e4', 'e5', 'e6', 'e7']);
+            expect(map.isCheck()).toBe(false);
+        });
+
+        test('should ignore pieces that are not alone on the ray', () => {
+            const { board } = load('4k3/4r3/8/8/4P3/8/4B3/4K3 w - - 0 1');
+            const map = new AttackMap(board, 'black');
+
+            expect(map.getPins()).toEqual([]);
+            expect(map.getPinRay(sq('e2'))).toBeNull();
+        });
+
+        test('should find diagonal pins', () => {
+            const { board } = load('4k3/8/8/b7/8/2N5/8/4K3 w - - 0 1');
+            const map = new AttackMap(board, 'black');
+
+            expect(names(map.getPinRay(sq('c3')))).toEqual(['a5', 'b4', 'c3', 'd2']);
+        });
+    });
+});
+
+describe('MoveValidator legal move generation', () => {
+    const legalMoves = (fen) => {
+        const { board, gameState } = load(fen);
+        const validator = new MoveValidator(board, gameState);
+        return names(
+            validator
+                .getAllLegalMoves(gameState.currentPlayer)
+                .filter((move) => move.from !== validator.findKing(gameState.currentPlayer))
+                .map((move) => move.to)
+        );
+    };
+
+    test('should keep pinned pieces on their pin ray', () => {
+        expect(legalMoves('4k3/4r3/8/8/8/8/4R3/4K3 w - - 0 1')).toEqual([
+            'e3',
+            'e4',
+            'e5',
+            'e6',
+            'e7',
+        ]);
+        expect(legalMoves('4k3/8/8/b7/8/2N5/8/4K3 w - - 0 1')).toEqual([]);
+    });
+
+    test('should only capture or block a single checker', () => {
+        expect(legalMoves('4k3/8/8/8/8/8/R7/r5K1 w - - 0 1')).toEqual(['a1']);
+        expect(legalMoves('4k3/8/8/8/8/8/1B6/r5K1 w - - 0 1')).toEqual(['a1', 'c1']);
+    });
+
+    test('should only allow king moves in double check', () => {
+        expect(legalMoves('4k3/8/8/8/8/5n2/R7/4r1K1 w - - 0 1')).toEqual([]);
+    });
+
+    test('should not copy the board outside en passant', () => {
+        const { board, gameState } = load(
+            'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1'
+        );
+        const validator = new MoveValidator(board, gameState);
+        const copy = jest.spyOn(validator, 'createBoardCopy');
+
+        expect(validator.getAllLegalMoves('white')).toHaveLength(48);
+        expect(copy).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,106 @@
+// tests/core/Bitboard.test.js
+
+import {
+    SQUARE_BITS,
+    KING_ATTACKS,
+    KNIGHT_ATTACKS,
+    PAWN_ATTACKS,
+    bishopAttacks,
+    popCount,
+    queenAttacks,
+    rookAttacks,
+    squaresOf,
+} from '../../src/core/Bitboard.js';
+import { algebraicToIndex, indexToAlgebraic } from '../../src/utils/Coordinates.js';
+
+const toBitboard = (...names) =>
+    names.reduce((bitboard, name) => bitboard | SQUARE_BITS[algebraicToIndex(name)], 0n);
+const names = (bitboard) => squaresOf(bitboard).map(indexToAlgebraic).sort();
+
+describe('Bitboard', () => {
+    describe('squaresOf()/popCount()', () => {
+        test('should list set bits in index order across both 32-bit halves', () => {
+            expect(squaresOf(0n)).toEqual([]);
+            expect(squaresOf(SQUARE_BITS[0] | SQUARE_BITS[31] | SQUARE_BITS[32])).toEqual([
+                0, 31, 32,
+            ]);
+            expect(squaresOf(SQUARE_BITS[63])).toEqual([63]);
+            expect(squaresOf((1n << 64n) - 1n)).toEqual(Array.from({ length: 64 }, (_, i) => i));
+        });
+
+        test('should count bits', () => {
+            expect(popCount(0n)).toBe(0);
+            expect(popCount(toBitboard('a1', 'h8', 'e4'))).toBe(3);
+            expect(popCount((1n << 64n) - 1n)).toBe(64);
+        });
+    });
+
+    describe('leaper attacks', () => {
+        test('knight attacks should stay on the board', () => {
+            expect(names(KNIGHT_ATTACKS[algebraicToIndex('a1')])).toEqual(['b3', 'c2']);
+            expect(popCount(KNIGHT_ATTACKS[algebraicToIndex('d4')])).toBe(8);
+            expect(names(KNIGHT_ATTACKS[algebraicToIndex('h8')])).toEqual(['f7', 'g6']);
+        });
+
+        test('king attacks should cover neighbouring squares', () => {
+            expect(names(KING_ATTACKS[algebraicToIndex('a8')])).toEqual(['a7', 'b7', 'b8']);
+            expect(popCount(KING_ATTACKS[algebraicToIndex('e4')])).toBe(8);
+        });
+
+        test('pawn attacks should point toward the opponent', () => {
+            expect(names(PAWN_ATTACKS.white[algebraicToIndex('e4')])).toEqual(['d5', 'f5']);
+            expect(names(PAWN_ATTACKS.black[algebraicToIndex('e4')])).toEqual(['d3', 'f3']);
+            expect(names(PAWN_ATTACKS.white[algebraicToIndex('a2')])).toEqual(['b3']);
+            expect(PAWN_ATTACKS.white[algebraicToIndex('c8')]).toBe(0n);
+        });
+    });
+
+    describe('sliding attacks', () => {
+        test('rook attacks should stop at and include the first blocker', () => {
+            const occupied = toBitboard('d4', 'd6', 'b4', 'd1');
+
+            expect(names(rookAttacks(algebraicToIndex('d4'), occupied))).toEqual([
+                'b4',
+                'c4',
+                'd1',
+                'd2',
+                'd3',
+                'd5',
+                'd6',
+                'e4',
+                'f4',
+                'g4',
+                'h4',
+            ]);
+        });
+
+        test('bishop attacks should stop at and include the first blocker', () => {
+            const occupied = toBitboard('c1', 'e3', 'a3');
+
+            expect(names(bishopAttacks(algebraicToIndex('c1'), occupied))).toEqual([
+                'a3',
+                'b2',
+                'd2',
+                'e3',
+            ]);
+        });
+
+        test('edge squares should not change the attack set', () => {
+            const a1 = algebraicToIndex('a1');
+
+            expect(rookAttacks(a1, toBitboard('a8', 'h1'))).toBe(rookAttacks(a1, 0n));
+            expect(popCount(rookAttacks(a1, 0n))).toBe(14);
+            expect(popCount(bishopAttacks(a1, 0n))).toBe(7);
+        });
+
+        test('queen attacks should combine rook and bishop attacks', () => {
+            const d4 = algebraicToIndex('d4');
+            const occupied = toBitboard('d4', 'f6', 'd7', 'a4');
+
+            expect(queenAttacks(d4, occupied)).toBe(
+                rookAttacks(d4, occupied) | bishopAttacks(d4, occupied)
+            );
+            expect(popCount(queenAttacks(d4, 0n))).toBe(27);
+        });
+    });
+});
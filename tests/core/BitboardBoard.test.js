@@ -0,0 +1,267 @@
+// tests/core/BitboardBoard.test.js
+
+import { BitboardBoard } from '../../src/core/BitboardBoard.js';
+import { BitboardMoveGenerator } from '../../src/core/BitboardMoveGenerator.js';
+import { Board } from '../../src/core/Board.js';
+import { FEN } from '../../src/core/FEN.js';
+import { GameState } from '../../src/core/GameState.js';
+import { MoveGenerator } from '../../src/core/MoveGenerator.js';
+import { MoveValidator } from '../../src/core/MoveValidator.js';
+import { Piece } from '../../src/core/Piece.js';
+import { popCount } from '../../src/core/Bitboard.js';
+import { algebraicToIndex } from '../../src/utils/Coordinates.js';
+
+const POSITIONS = [
+    FEN.STARTING_FEN,
+    'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3',
+];
+
+const load = (fen, board) => {
+    const gameState = new GameState();
+    FEN.load(fen, board, gameState);
+    return gameState;
+};
+
+// Bitboards rebuilt from scratch, to compare against incrementally maintained ones
+const freshBitboards = (board) => {
+    const copy = new BitboardBoard();
+    copy.squares = [...board.squares];
+    copy.sync();
+    return { pieces: copy.pieces, occupied: copy.occupied };
+};
+
+const moveKey = (move) => `${move.from}-${move.to}-${move.type}-${move.promotion || ''}`;
+const sortMoves = (moves) => moves.map(moveKey).sort();
+
+describe('BitboardBoard', () => {
+    test('setupInitialBoard should fill the bitboards', () => {
+        const board = new BitboardBoard();
+        board.setupInitialBoard();
+
+        expect(popCount(board.pieces.white.pawn)).toBe(8);
+        expect(popCount(board.pieces.black.knight)).toBe(2);
+        expect(popCount(board.getOccupied())).toBe(32);
+        expect(board.findKing('white')).toBe(algebraicToIndex('e1'));
+        expect(board.findKing('black')).toBe(algebraicToIndex('e8'));
+    });
+
+    test('FEN.load should sync the bitboards', () => {
+        const board = new BitboardBoard();
+        load(POSITIONS[1], board);
+
+        expect(board.pieces).toEqual(freshBitboards(board).pieces);
+        expect(popCount(board.getOccupied())).toBe(32);
+    });
+
+    test('sync should pick up direct square edits', () => {
+        const board = new BitboardBoard();
+        board.squares[algebraicToIndex('d4')] = new Piece('queen', 'black', 9, '♛');
+
+        expect(board.findKing('white')).toBe(-1);
+        board.sync();
+
+        expect(board.pieces.black.queen).not.toBe(0n);
+        expect(board.isSquareAttacked(algebraicToIndex('d8'), 'black')).toBe(true);
+    });
+
+    test('movePiece should keep the bitboards in step', () => {
+        const board = new BitboardBoard();
+        board.setupInitialBoard();
+
+        board.movePiece(algebraicToIndex('g1'), algebraicToIndex('f3'));
+        board.movePiece(algebraicToIndex('f3'), algebraicToIndex('e5'));
+        board.movePiece(algebraicToIndex('e5'), algebraicToIndex('d7'));
+
+        expect(board.pieces).toEqual(freshBitboards(board).pieces);
+        expect(board.occupied).toEqual(freshBitboards(board).occupied);
+        expect(popCount(board.getOccupied())).toBe(31);
+    });
+
+    test('makeMove/unmakeMove should keep the bitboards in step for every move type', () => {
+        POSITIONS.forEach((fen) => {
+            const board = new BitboardBoard();
+            const gameState = load(fen, board);
+            const validator = new MoveValidator(board, gameState);
+            const initial = freshBitboards(board);
+
+            const walk = (depth) => {
+                validator.getAllLegalMoves(gameState.currentPlayer).forEach((move) => {
+                    const record = board.makeMove(move, gameState);
+                    expect(board.pieces).toEqual(freshBitboards(board).pieces);
+
+                    if (depth > 1) {
+                        walk(depth - 1);
+                    }
+
+                    board.unmakeMove(record, gameState);
+                });
+            };
+
+            walk(2);
+
+            expect(board.pieces).toEqual(initial.pieces);
+            expect(board.occupied).toEqual(initial.occupied);
+        });
+    });
+
+    test('isSquareAttacked should agree with the mailbox implementation', () => {
+        POSITIONS.forEach((fen) => {
+            const bitboardBoard = new BitboardBoard();
+            const mailboxBoard = new Board();
+            const bitboardValidator = new MoveValidator(bitboardBoard, load(fen, bitboardBoard));
+            const mailboxValidator = new MoveValidator(mailboxBoard, load(fen, mailboxBoard));
+
+            for (let square = 0; square < 64; square++) {
+                for (const color of ['white', 'black']) {
+                    expect(bitboardValidator.isSquareAttacked(square, color)).toBe(
+                        mailboxValidator.isSquareAttacked(square, color)
+                    );
+                }
+            }
+        });
+    });
+
+    test('leavesKingInCheck should see discovered attacks, pawn attacks and en passant', () => {
+        const board = new BitboardBoard();
+        load('4k3/8/8/KPp4r/8/8/8/8 w - c6 0 1', board);
+        const b5 = algebraicToIndex('b5');
+
+        // Capturing en passant removes both pawns from the fifth rank and exposes the king
+        expect(
+            board.leavesKingInCheck(
+                {
+                    from: b5,
+                    to: algebraicToIndex('c6'),
+                    type: 'en_passant',
+                    capturedSquare: algebraicToIndex('c5'),
+                },
+                'white'
+            )
+        ).toBe(true);
+        expect(
+            board.leavesKingInCheck(
+                { from: b5, to: algebraicToIndex('b6'), type: 'normal' },
+                'white'
+            )
+        ).toBe(false);
+        expect(
+            board.leavesKingInCheck(
+                { from: algebraicToIndex('a5'), to: algebraicToIndex('b4'), type: 'normal' },
+                'white'
+            )
+        ).toBe(true);
+        expect(
+            board.leavesKingInCheck(
+                { from: algebraicToIndex('a5'), to: algebraicToIndex('a4'), type: 'normal' },
+                'white'
+            )
+        ).toBe(false);
+    });
+
+    test('getChecksAndPins should find checkers, blocking squares and pin rays', () => {
+        const board = new BitboardBoard();
+        load('4k3/8/8/8/1b6/8/3N4/r3K2R w - - 0 1', board);
+        const bits = (...squares) =>
+            squares.reduce(
+                (bitboard, square) => bitboard | (1n << BigInt(algebraicToIndex(square))),
+                0n
+            );
+
+        const checks = board.getChecksAndPins('white');
+        expect(checks.king).toBe(algebraicToIndex('e1'));
+        expect(checks.checkers).toBe(bits('a1'));
+        expect(checks.checkMask).toBe(bits('a1', 'b1', 'c1', 'd1'));
+        expect(checks.pinned).toBe(bits('d2'));
+        expect(checks.pinRays[algebraicToIndex('d2')]).toBe(bits('b4', 'c3', 'd2'));
+
+        load('4k3/8/8/8/1b6/8/8/r3K2R w - - 0 1', board);
+        const doubleCheck = board.getChecksAndPins('white');
+        expect(popCount(doubleCheck.checkers)).toBe(2);
+        expect(doubleCheck.checkMask).toBe(0n);
+    });
+
+    test('MoveValidator should find the same legal moves with bitboard checks and pins', () => {
+        [
+            ...POSITIONS,
+            '4k3/8/8/8/1b6/8/3N4/r3K2R w - - 0 1',
+            '4k3/8/8/8/1b6/8/8/r3K2R w - - 0 1',
+            '4k3/8/8/KPp4r/8/8/8/8 w - c6 0 1',
+            '8/8/8/8/k2Pp2Q/8/8/4K3 b - d3 0 1',
+            '4k3/4r3/8/8/8/8/4R3/4K3 w - - 0 1',
+        ].forEach((fen) => {
+            const bitboardBoard = new BitboardBoard();
+            const mailboxBoard = new Board();
+            const bitboardState = load(fen, bitboardBoard);
+            const bitboardValidator = new MoveValidator(bitboardBoard, bitboardState);
+            const mailboxValidator = new MoveValidator(mailboxBoard, load(fen, mailboxBoard));
+            const color = bitboardState.currentPlayer;
+
+            expect(sortMoves(bitboardValidator.getAllLegalMoves(color))).toEqual(
+                sortMoves(mailboxValidator.getAllLegalMoves(color))
+            );
+            for (let square = 0; square < 64; square++) {
+                expect(sortMoves(bitboardValidator.getLegalMovesFromSquare(square))).toEqual(
+                    sortMoves(mailboxValidator.getLegalMovesFromSquare(square))
+                );
+            }
+        });
+    });
+});
+
+describe('BitboardMoveGenerator', () => {
+    test('should generate the same pseudo-legal moves as MoveGenerator', () => {
+        POSITIONS.forEach((fen) => {
+            const bitboardBoard = new BitboardBoard();
+            const mailboxBoard = new Board();
+            const bitboardGenerator = new BitboardMoveGenerator(
+                bitboardBoard,
+                load(fen, bitboardBoard)
+            );
+            const mailboxGenerator = new MoveGenerator(mailboxBoard, load(fen, mailboxBoard));
+
+            for (let square = 0; square < 64; square++) {
+                const piece = mailboxBoard.squares[square];
+                if (!piece) {
+                    continue;
+                }
+
+                expect(
+                    sortMoves(
+                        bitboardGenerator.generateMoves(bitboardBoard.squares[square], square)
+                    )
+                ).toEqual(sortMoves(mailboxGenerator.generateMoves(piece, square)));
+            }
+        });
+    });
+
+    test('should reject invalid positions like MoveGenerator', () => {
+        const board = new BitboardBoard();
+        const generator = new BitboardMoveGenerator(board);
+        const knight = new Piece('knight', 'white', 3, '♘');
+
+        expect(() => generator.generateKnightMoves(knight, 64)).toThrow(
+            'Invalid position: 64 must be between 0 and 63'
+        );
+    });
+
+    test('MoveValidator should use the bitboard generator for a BitboardBoard', () => {
+        const board = new BitboardBoard();
+        const gameState = load(POSITIONS[1], board);
+        const validator = new MoveValidator(board, gameState);
+
+        expect(validator.moveGenerator).toBeInstanceOf(BitboardMoveGenerator);
+        expect(new MoveValidator(new Board(), gameState).moveGenerator).not.toBeInstanceOf(
+            BitboardMoveGenerator
+        );
+
+        const mailboxBoard = new Board();
+        const mailboxValidator = new MoveValidator(mailboxBoard, load(POSITIONS[1], mailboxBoard));
+        expect(sortMoves(validator.getAllLegalMoves('white'))).toEqual(
+            sortMoves(mailboxValidator.getAllLegalMoves('white'))
+        );
+    });
+});
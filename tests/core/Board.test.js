@@ -1,6 +1,10 @@
 // tests/core/Board.test.js
 
 import { Board } from '../../src/core/Board.js';
+import { GameState } from '../../src/core/GameState.js';
+import { Piece } from '../../src/core/Piece.js';
+import { FEN } from '../../src/core/FEN.js';
+import { MoveValidator } from '../../src/core/MoveValidator.js';
 
 describe('Board', () => {
     let board;
@@ -183,4 +187,333 @@ describe('Board', () => {
         expect(moveResult.pieceMoved).toBe('pawn');
         expect(blackPawn.getHasMoved()).toBe(true);
     });
+
+    describe('makeMove() castling', () => {
+        let gameState;
+
+        beforeEach(() => {
+            gameState = new GameState();
+            board.squares[60] = new Piece('king', 'white', 1000, '♔'); // e1
+            board.squares[56] = new Piece('rook', 'white', 5, '♖'); // a1
+            board.squares[63] = new Piece('rook', 'white', 5, '♖'); // h1
+            board.squares[4] = new Piece('king', 'black', 1000, '♚'); // e8
+            board.squares[0] = new Piece('rook', 'black', 5, '♜'); // a8
+            board.squares[7] = new Piece('rook', 'black', 5, '♜'); // h8
+        });
+
+        test('should relocate the rook when castling kingside', () => {
+            const king = board.squares[60];
+            const rook = board.squares[63];
+
+            board.makeMove(
+                { from: 60, to: 62, type: 'castle', side: 'kingside', rookFrom: 63, rookTo: 61 },
+                gameState
+            );
+
+            expect(board.squares[62]).toBe(king);
+            expect(board.squares[61]).toBe(rook);
+            expect(board.squares[60]).toBeNull();
+            expect(board.squares[63]).toBeNull();
+            expect(rook.getHasMoved()).toBe(true);
+            expect(gameState.castlingRights.white).toEqual({ kingside: false, queenside: false });
+        });
+
+        test('should relocate the rook when castling queenside', () => {
+            const rook = board.squares[0];
+
+            board.makeMove(
+                { from: 4, to: 2, type: 'castle', side: 'queenside', rookFrom: 0, rookTo: 3 },
+                gameState
+            );
+
+            expect(board.squares[2].getType()).toBe('king');
+            expect(board.squares[3]).toBe(rook);
+            expect(board.squares[0]).toBeNull();
+            expect(gameState.castlingRights.black).toEqual({ kingside: false, queenside: false });
+            expect(gameState.castlingRights.white).toEqual({ kingside: true, queenside: true });
+        });
+
+        test('should revoke both rights when the king moves', () => {
+            board.makeMove({ from: 60, to: 52, type: 'normal' }, gameState);
+
+            expect(gameState.castlingRights.white).toEqual({ kingside: false, queenside: false });
+        });
+
+        test('should revoke one right when a rook leaves its home square', () => {
+            board.makeMove({ from: 56, to: 48, type: 'normal' }, gameState);
+
+            expect(gameState.castlingRights.white).toEqual({ kingside: true, queenside: false });
+        });
+
+        test('should revoke the opponent right when a rook is captured', () => {
+            board.squares[63] = null;
+            board.squares[15] = new Piece('rook', 'white', 5, '♖'); // h7
+
+            const record = board.makeMove({ from: 15, to: 7, type: 'capture' }, gameState);
+
+            expect(record.captured.getType()).toBe('rook');
+            expect(gameState.castlingRights.black).toEqual({ kingside: false, queenside: true });
+        });
+
+        test('should leave castling rights alone without a game state', () => {
+            const record = board.makeMove({ from: 60, to: 52, type: 'normal' });
+
+            expect(record.success).toBe(true);
+            expect(record.pieceMoved).toBe('king');
+            expect(gameState.castlingRights.white).toEqual({ kingside: true, queenside: true });
+        });
+    });
+
+    describe('makeMove() en passant', () => {
+        let gameState;
+
+        beforeEach(() => {
+            gameState = new GameState();
+        });
+
+        test('should set the en passant target after a double push', () => {
+            board.setupInitialBoard();
+
+            board.makeMove({ from: 52, to: 36, type: 'double' }, gameState); // e2-e4
+            expect(gameState.enPassantTarget).toBe(44); // e3
+
+            board.makeMove({ from: 12, to: 20, type: 'normal' }, gameState); // e7-e6
+            expect(gameState.enPassantTarget).toBeNull();
+        });
+
+        test('should remove the captured pawn from its own square', () => {
+            const whitePawn = new Piece('pawn', 'white', 1, '♙');
+            const blackPawn = new Piece('pawn', 'black', 1, '♟');
+            board.squares[28] = whitePawn; // e5
+            board.squares[27] = blackPawn; // d5
+            gameState.enPassantTarget = 19; // d6
+
+            const record = board.makeMove(
+                { from: 28, to: 19, type: 'en_passant', capturedSquare: 27 },
+                gameState
+            );
+
+            expect(board.squares[19]).toBe(whitePawn);
+            expect(board.squares[27]).toBeNull();
+            expect(board.squares[28]).toBeNull();
+            expect(record.captured).toBe(blackPawn);
+            expect(record.pieceCaptured).toBe('pawn');
+            expect(gameState.enPassantTarget).toBeNull();
+        });
+    });
+
+    describe('makeMove() promotion', () => {
+        test('should replace the pawn with the promoted piece', () => {
+            const pawn = new Piece('pawn', 'white', 1, '♙');
+            board.squares[12] = pawn; // e7
+
+            const record = board.makeMove({
+                from: 12,
+                to: 4,
+                type: 'normal',
+                piece: 'pawn',
+                color: 'white',
+                promotion: 'queen',
+            });
+
+            const promoted = board.squares[4];
+            expect(promoted).not.toBe(pawn);
+            expect(promoted.getType()).toBe('queen');
+            expect(promoted.getColor()).toBe('white');
+            expect(promoted.getPoints()).toBe(9);
+            expect(promoted.getSymbol()).toBe('♕');
+            expect(record.piece).toBe(pawn);
+            expect(record.promotion).toBe('queen');
+        });
+
+        test('should support under-promotion with capture', () => {
+            board.squares[49] = new Piece('pawn', 'black', 1, '♟'); // b2
+            board.squares[56] = new Piece('rook', 'white', 5, '♖'); // a1
+
+            const record = board.makeMove({
+                from: 49,
+                to: 56,
+                type: 'capture',
+                promotion: 'knight',
+            });
+
+            expect(board.squares[56].getType()).toBe('knight');
+            expect(board.squares[56].getSymbol()).toBe('♞');
+            expect(record.pieceCaptured).toBe('rook');
+        });
+    });
+
+    describe('unmakeMove()', () => {
+        test('should restore the pawn and captured piece after a promotion', () => {
+            const pawn = new Piece('pawn', 'black', 1, '♟');
+            const rook = new Piece('rook', 'white', 5, '♖');
+            board.squares[49] = pawn;
+            board.squares[56] = rook;
+
+            const record = board.makeMove({
+                from: 49,
+                to: 56,
+                type: 'capture',
+                promotion: 'queen',
+            });
+            board.unmakeMove(record);
+
+            expect(board.squares[49]).toBe(pawn);
+            expect(board.squares[56]).toBe(rook);
+        });
+
+        test('should put the rook back after castling', () => {
+            const king = new Piece('king', 'white', 1000, '♔');
+            const rook = new Piece('rook', 'white', 5, '♖');
+            board.squares[60] = king;
+            board.squares[63] = rook;
+
+            const record = board.makeMove({
+                from: 60,
+                to: 62,
+                type: 'castle',
+                side: 'kingside',
+                rookFrom: 63,
+                rookTo: 61,
+            });
+            board.unmakeMove(record);
+
+            expect(board.squares[60]).toBe(king);
+            expect(board.squares[63]).toBe(rook);
+            expect(board.squares[61]).toBeNull();
+            expect(board.squares[62]).toBeNull();
+        });
+
+        test('should restore the pawn captured en passant on its own square', () => {
+            const whitePawn = new Piece('pawn', 'white', 1, '♙');
+            const blackPawn = new Piece('pawn', 'black', 1, '♟');
+            board.squares[28] = whitePawn;
+            board.squares[27] = blackPawn;
+
+            const record = board.makeMove({
+                from: 28,
+                to: 19,
+                type: 'en_passant',
+                capturedSquare: 27,
+            });
+            board.unmakeMove(record);
+
+            expect(board.squares[28]).toBe(whitePawn);
+            expect(board.squares[27]).toBe(blackPawn);
+            expect(board.squares[19]).toBeNull();
+        });
+    });
+
+    describe('makeMove()/unmakeMove() undo records', () => {
+        const snapshotFlags = (target) =>
+            target.squares.map((piece) => (piece ? piece.getHasMoved() : null));
+
+        test('should record captured piece, hasMoved flags and previous game state', () => {
+            const { board: position, gameState } = FEN.parse(
+                'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 7 20'
+            );
+            const rook = position.squares[56];
+            const { hash, pieceHash } = gameState;
+
+            const record = position.makeMove(
+                { from: 56, to: 0, type: 'capture', piece: 'rook', color: 'white' },
+                gameState
+            );
+
+            expect(record.piece).toBe(rook);
+            expect(record.captured.getType()).toBe('rook');
+            expect(record.pieceHadMoved).toBe(false);
+            expect(record.previousState).toEqual({
+                currentPlayer: 'white',
+                castlingRights: {
+                    white: { kingside: true, queenside: true },
+                    black: { kingside: true, queenside: true },
+                },
+                enPassantTarget: null,
+                halfmoveClock: 7,
+                fullmoveNumber: 20,
+                hash,
+                pieceHash,
+                positionCount: 1,
+                insufficientMaterial: false,
+            });
+
+            expect(gameState.currentPlayer).toBe('black');
+            expect(gameState.halfmoveClock).toBe(0);
+            expect(gameState.castlingRights.white.queenside).toBe(false);
+            expect(gameState.castlingRights.black.queenside).toBe(false);
+        });
+
+        test('should restore the position exactly after unmakeMove', () => {
+            const { board: position, gameState } = FEN.parse(
+                'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1'
+            );
+            const fenBefore = FEN.toFEN(position, gameState);
+            const flagsBefore = snapshotFlags(position);
+            const moves = new MoveValidator(position, gameState).getAllLegalMoves('white');
+
+            expect(moves.length).toBe(48);
+
+            moves.forEach((move) => {
+                const record = position.makeMove(move, gameState);
+                expect(FEN.toFEN(position, gameState)).not.toBe(fenBefore);
+
+                position.unmakeMove(record, gameState);
+                expect(FEN.toFEN(position, gameState)).toBe(fenBefore);
+                expect(snapshotFlags(position)).toEqual(flagsBefore);
+            });
+        });
+
+        test('should undo promotion, en passant and castling sequences in reverse order', () => {
+            const { board: position, gameState } = FEN.parse(
+                'r3k3/6P1/8/3pP3/8/8/8/4K2R w Kq d6 0 30'
+            );
+            const fenBefore = FEN.toFEN(position, gameState);
+            const validator = new MoveValidator(position, gameState);
+            const pick = (predicate) =>
+                validator.getAllLegalMoves(gameState.currentPlayer).find(predicate);
+
+            const records = [];
+            records.push(
+                position.makeMove(
+                    pick((m) => m.type === 'en_passant'),
+                    gameState
+                )
+            );
+            records.push(
+                position.makeMove(
+                    pick((m) => m.type === 'castle'),
+                    gameState
+                )
+            );
+            records.push(
+                position.makeMove(
+                    pick((m) => m.from === 14 && m.promotion === 'knight'),
+                    gameState
+                )
+            );
+
+            expect(FEN.toFEN(position, gameState)).toBe('2kr2N1/8/3P4/8/8/8/8/4K2R b K - 0 31');
+
+            records.reverse().forEach((record) => position.unmakeMove(record, gameState));
+            expect(FEN.toFEN(position, gameState)).toBe(fenBefore);
+        });
+
+        test('should update the fullmove number after black moves', () => {
+            board.setupInitialBoard();
+            const gameState = new GameState();
+
+            board.makeMove({ from: 57, to: 42, type: 'normal' }, gameState); // Nb1-c3
+            expect(gameState.fullmoveNumber).toBe(1);
+            expect(gameState.halfmoveClock).toBe(1);
+
+            const record = board.makeMove({ from: 1, to: 18, type: 'normal' }, gameState);
+            expect(gameState.fullmoveNumber).toBe(2);
+            expect(gameState.currentPlayer).toBe('white');
+
+            board.unmakeMove(record, gameState);
+            expect(gameState.fullmoveNumber).toBe(1);
+            expect(gameState.currentPlayer).toBe('black');
+        });
+    });
 });
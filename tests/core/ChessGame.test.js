@@ -0,0 +1,186 @@
+// tests/core/ChessGame.test.js
+
+import { jest } from '@jest/globals';
+import { ChessGame } from '../../src/core/ChessGame.js';
+import { FEN } from '../../src/core/FEN.js';
+import { algebraicToIndex } from '../../src/utils/Coordinates.js';
+
+const FOOLS_MATE = ['f3', 'e5', 'g4', 'Qh4#'];
+
+describe('ChessGame', () => {
+    let game;
+
+    beforeEach(() => {
+        game = new ChessGame();
+    });
+
+    test('should start from the initial position without a DOM', () => {
+        expect(typeof document).toBe('undefined');
+        expect(game.toFEN()).toBe(FEN.STARTING_FEN);
+        expect(game.getCurrentPlayer()).toBe('white');
+        expect(game.getLegalMoves()).toHaveLength(20);
+        expect(game.canUndo()).toBe(false);
+        expect(game.isGameOver()).toBe(false);
+    });
+
+    test('should make moves given as objects or in any notation', () => {
+        expect(game.makeMove({ from: algebraicToIndex('e2'), to: algebraicToIndex('e4') })).toBe(
+            true
+        );
+        expect(game.makeMove('e7e5')).toBe(true);
+        expect(game.makeMove('Ng1-f3')).toBe(true);
+        expect(game.makeMove('Nc6')).toBe(true);
+
+        expect(game.toFEN()).toBe(
+            'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3'
+        );
+        expect(game.getMoveHistory().map((record) => record.move.piece)).toEqual([
+            'pawn',
+            'pawn',
+            'knight',
+            'knight',
+        ]);
+    });
+
+    test('should reject illegal and malformed moves', () => {
+        expect(game.makeMove('e2e5')).toBe(false);
+        expect(game.makeMove('Qh5')).toBe(false);
+        expect(game.makeMove({ from: algebraicToIndex('e7'), to: algebraicToIndex('e5') })).toBe(
+            false
+        );
+        expect(game.makeMove('not a move')).toBe(false);
+        expect(game.toFEN()).toBe(FEN.STARTING_FEN);
+    });
+
+    test('should emit move, check and gameOver events', () => {
+        const events = [];
+        game.on('move', (record) => events.push(['move', record.move.piece]));
+        game.on('check', (check) => events.push(['check', check.color]));
+        game.on('gameOver', (result) => events.push(['gameOver', result]));
+
+        FOOLS_MATE.forEach((move) => game.makeMove(move));
+
+        expect(events.slice(-3)).toEqual([
+            ['move', 'queen'],
+            ['check', 'white'],
+            ['gameOver', { result: '0-1', reason: 'checkmate' }],
+        ]);
+        expect(game.isGameOver()).toBe(true);
+        expect(game.makeMove('a3')).toBe(false);
+    });
+
+    test('should undo moves and emit undoMove', () => {
+        const listener = jest.fn();
+        game.on('undoMove', listener);
+        game.makeMove('e4');
+
+        expect(game.undoMove()).toBe(true);
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ pieceMoved: 'pawn' }));
+        expect(game.toFEN()).toBe(FEN.STARTING_FEN);
+        expect(game.undoMove()).toBe(false);
+    });
+
+    test('should reset to the initial position and emit reset', () => {
+        const listener = jest.fn();
+        game.on('reset', listener);
+        game.makeMove('e4');
+
+        game.reset();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(game.toFEN()).toBe(FEN.STARTING_FEN);
+        expect(game.canUndo()).toBe(false);
+        expect(game.getGameTree().getMainLine()).toEqual([]);
+    });
+
+    test('should let a player claim a draw by repetition without ending the game', () => {
+        const listener = jest.fn();
+        game.on('gameOver', listener);
+        const shuffle = ['Nf3', 'Nf6', 'Ng1', 'Ng8'];
+
+        expect(game.claimDraw()).toBe(false);
+        [...shuffle, ...shuffle].forEach((move) => game.makeMove(move));
+
+        expect(game.isGameOver()).toBe(false);
+        expect(game.canClaimDraw()).toBe(true);
+        expect(listener).not.toHaveBeenCalled();
+
+        expect(game.claimDraw()).toBe(true);
+        expect(listener).toHaveBeenCalledWith({
+            result: '1/2-1/2',
+            reason: 'threefold_repetition',
+        });
+        expect(game.isGameOver()).toBe(true);
+        expect(game.canClaimDraw()).toBe(false);
+        expect(game.makeMove('e4')).toBe(false);
+
+        game.undoMove();
+        game.makeMove('Ng8');
+        expect(game.isGameOver()).toBe(false);
+    });
+
+    test('should end the game by itself on fivefold repetition', () => {
+        const shuffle = ['Nf3', 'Nf6', 'Ng1', 'Ng8'];
+
+        for (let i = 0; i < 4; i++) {
+            shuffle.forEach((move) => expect(game.makeMove(move)).toBe(true));
+        }
+
+        expect(game.getGameResult()).toEqual({ result: '1/2-1/2', reason: 'fivefold_repetition' });
+        expect(game.makeMove('e4')).toBe(false);
+    });
+
+    test('should list legal moves from a square of the player to move', () => {
+        const moves = game.getLegalMovesFromSquare(algebraicToIndex('g1'));
+
+        expect(moves.map((move) => move.to).sort()).toEqual(
+            [algebraicToIndex('f3'), algebraicToIndex('h3')].sort()
+        );
+        expect(game.getLegalMovesFromSquare(algebraicToIndex('g8'))).toEqual([]);
+        expect(game.getLegalMovesFromSquare(algebraicToIndex('e4'))).toEqual([]);
+    });
+
+    test('should expose copies of the board and game state', () => {
+        const board = game.getBoard();
+        const state = game.getGameState();
+
+        expect(board).toHaveLength(64);
+        expect(board[algebraicToIndex('e1')].getType()).toBe('king');
+        board[0] = null;
+        state.castlingRights.white.kingside = false;
+
+        expect(game.board.squares[0]).not.toBeNull();
+        expect(game.getGameState()).toMatchObject({
+            currentPlayer: 'white',
+            castlingRights: { white: { kingside: true } },
+            fullmoveNumber: 1,
+            hash: game.getHash(),
+        });
+    });
+
+    test('should report check for the player to move', () => {
+        game.fromFEN('4k3/8/8/8/8/8/4r3/4K3 w - - 0 1');
+
+        expect(game.isInCheck()).toBe(true);
+        expect(game.getLegalMoves('san').sort()).toEqual(['Kd1', 'Kf1', 'Kxe2']);
+    });
+
+    test('should export and reload a game as PGN', () => {
+        FOOLS_MATE.forEach((move) => game.makeMove(move));
+        const pgn = game.toPGN({ White: 'Alice' });
+
+        const reloaded = new ChessGame();
+        reloaded.loadPGN(pgn);
+
+        expect(pgn).toContain('1. f3 e5 2. g4 Qh4# 0-1');
+        expect(reloaded.toFEN()).toBe(game.toFEN());
+        expect(reloaded.getMoveHistory()).toHaveLength(4);
+    });
+
+    test('should refuse to load a PGN game with an illegal move', () => {
+        expect(() => game.loadPGN('1. e4 e5 *\n\n1. e4 e5 2. Ke3 *', 1)).toThrow(
+            'Invalid PGN game 2, ply 3 (2. Ke3)'
+        );
+        expect(game.toFEN()).toBe(FEN.STARTING_FEN);
+    });
+});
@@ -0,0 +1,162 @@
+// tests/core/FEN.test.js
+
+import { FEN } from '../../src/core/FEN.js';
+import { Board } from '../../src/core/Board.js';
+import { GameState } from '../../src/core/GameState.js';
+
+const KIWIPETE = 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1';
+
+describe('FEN', () => {
+    describe('toFEN()', () => {
+        test('should serialize the initial position', () => {
+            const board = new Board();
+            board.setupInitialBoard();
+
+            expect(FEN.toFEN(board, new GameState())).toBe(FEN.STARTING_FEN);
+        });
+
+        test('should serialize side to move, rights, en passant and clocks', () => {
+            const board = new Board();
+            board.setupInitialBoard();
+            const gameState = new GameState();
+
+            board.makeMove({ from: 52, to: 36, type: 'double' }, gameState); // e2-e4
+            gameState.castlingRights.white.queenside = false;
+            gameState.castlingRights.black.kingside = false;
+
+            expect(FEN.toFEN(board, gameState)).toBe(
+                'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b Kq e3 0 1'
+            );
+        });
+
+        test('should write a dash when no castling rights remain', () => {
+            const board = new Board();
+            const gameState = new GameState();
+            gameState.castlingRights.white = { kingside: false, queenside: false };
+            gameState.castlingRights.black = { kingside: false, queenside: false };
+
+            expect(FEN.toFEN(board, gameState)).toBe('8/8/8/8/8/8/8/8 w - - 0 1');
+        });
+    });
+
+    describe('parse()', () => {
+        test('should parse the initial position onto the board layout', () => {
+            const { board, gameState } = FEN.parse(FEN.STARTING_FEN);
+
+            expect(board.squares[0].getType()).toBe('rook');
+            expect(board.squares[0].getColor()).toBe('black');
+            expect(board.squares[60].getType()).toBe('king');
+            expect(board.squares[60].getColor()).toBe('white');
+            expect(board.squares[60].getHasMoved()).toBe(false);
+            expect(board.squares[52].getSymbol()).toBe('♙');
+            expect(board.squares[36]).toBeNull();
+            expect(gameState.currentPlayer).toBe('white');
+            expect(gameState.castlingRights).toEqual({
+                white: { kingside: true, queenside: true },
+                black: { kingside: true, queenside: true },
+            });
+            expect(gameState.enPassantTarget).toBeNull();
+            expect(gameState.halfmoveClock).toBe(0);
+            expect(gameState.fullmoveNumber).toBe(1);
+        });
+
+        test('should round-trip complex positions', () => {
+            const positions = [
+                KIWIPETE,
+                '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+                'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3',
+                'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 b kq - 3 12',
+            ];
+
+            positions.forEach((fen) => {
+                const { board, gameState } = FEN.parse(fen);
+                expect(FEN.toFEN(board, gameState)).toBe(fen);
+            });
+        });
+
+        test('should parse the en passant target square', () => {
+            const { gameState } = FEN.parse(
+                'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3'
+            );
+
+            expect(gameState.enPassantTarget).toBe(21); // f6
+        });
+
+        test('should mark pieces off their starting squares as moved', () => {
+            const { board } = FEN.parse(KIWIPETE);
+
+            expect(board.squares[27].getHasMoved()).toBe(true); // white pawn d5
+            expect(board.squares[48].getHasMoved()).toBe(false); // white pawn a2
+            expect(board.squares[63].getHasMoved()).toBe(false); // white rook h1
+        });
+
+        test('should default the clocks when only four fields are given', () => {
+            const { gameState } = FEN.parse('8/8/8/8/8/8/8/K6k b - -');
+
+            expect(gameState.currentPlayer).toBe('black');
+            expect(gameState.halfmoveClock).toBe(0);
+            expect(gameState.fullmoveNumber).toBe(1);
+        });
+    });
+
+    describe('parse() errors', () => {
+        test.each([
+            ['', 'Invalid FEN: expected a non-empty string'],
+            ['8/8/8/8/8/8/8/8 w - - 0', 'Invalid FEN: expected 6 fields, got 5'],
+            ['8/8/8/8/8/8/8 w - - 0 1', 'Invalid FEN: piece placement has 7 ranks, expected 8'],
+            ['8/8/8/8/8/P8/8/8 w - - 0 1', 'Invalid FEN: rank 3 has 9 files'],
+            ['8/8/8/8/7/8/8/8 w - - 0 1', 'Invalid FEN: rank 4 has 7 files'],
+            ['8/8/8/3X4/8/8/8/8 w - - 0 1', "Invalid FEN: rank 5 has invalid piece 'X'"],
+            ['8/8/8/8/8/8/8/8 x - - 0 1', "Invalid FEN: side to move must be 'w' or 'b', got 'x'"],
+            [
+                '8/8/8/8/8/8/8/8 w KA - 0 1',
+                "Invalid FEN: castling availability has invalid flag 'A'",
+            ],
+            ['8/8/8/8/8/8/8/8 w KK - 0 1', "Invalid FEN: castling availability repeats flag 'K'"],
+            [
+                '8/8/8/8/8/8/8/8 w - e4 0 1',
+                "Invalid FEN: en passant square 'e4' is not on rank 3 or 6",
+            ],
+            [
+                '8/8/8/8/8/8/8/8 w - e3 0 1',
+                "Invalid FEN: en passant square 'e3' does not match side to move",
+            ],
+            [
+                '8/8/8/8/8/8/8/8 w - - -1 1',
+                "Invalid FEN: halfmove clock must be an integer >= 0, got '-1'",
+            ],
+            [
+                '8/8/8/8/8/8/8/8 w - - 0 0',
+                "Invalid FEN: fullmove number must be an integer >= 1, got '0'",
+            ],
+        ])('should reject %p', (fen, message) => {
+            expect(() => FEN.parse(fen)).toThrow(message);
+        });
+    });
+
+    describe('load()', () => {
+        test('should overwrite existing board and game state in place', () => {
+            const board = new Board();
+            board.setupInitialBoard();
+            const gameState = new GameState();
+            gameState.addMove({ from: 52, to: 36 });
+
+            FEN.load(KIWIPETE, board, gameState);
+
+            expect(board.squares[45].getType()).toBe('queen'); // f3
+            expect(FEN.toFEN(board, gameState)).toBe(KIWIPETE);
+            expect(gameState.moveHistory).toEqual([]);
+        });
+
+        test('should leave the position untouched when the FEN is invalid', () => {
+            const board = new Board();
+            board.setupInitialBoard();
+            const gameState = new GameState();
+
+            expect(() => FEN.load('8/8/8 w - - 0 1', board, gameState)).toThrow(
+                'Invalid FEN: piece placement has 3 ranks, expected 8'
+            );
+            expect(FEN.toFEN(board, gameState)).toBe(FEN.STARTING_FEN);
+        });
+    });
+});
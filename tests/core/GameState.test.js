@@ -0,0 +1,270 @@
+// tests/core/GameState.test.js
+
+import { GameState } from '../../src/core/GameState.js';
+import { FEN } from '../../src/core/FEN.js';
+import { MoveValidator } from '../../src/core/MoveValidator.js';
+import { algebraicToIndex } from '../../src/utils/Coordinates.js';
+
+// Play moves given as from-to pairs ('g1f3'), choosing the matching legal move
+const play = (board, gameState, ...moves) => {
+    const validator = new MoveValidator(board, gameState);
+
+    return moves.map((text) => {
+        const from = algebraicToIndex(text.slice(0, 2));
+        const to = algebraicToIndex(text.slice(2, 4));
+        const move = validator
+            .getAllLegalMoves(gameState.currentPlayer)
+            .find((candidate) => candidate.from === from && candidate.to === to);
+
+        if (!move) {
+            throw new Error(`Illegal move in test: ${text}`);
+        }
+        return board.makeMove(move, gameState);
+    });
+};
+
+const KNIGHT_SHUFFLE = ['g1f3', 'g8f6', 'f3g1', 'f6g8'];
+
+describe('GameState', () => {
+    let gameState;
+
+    beforeEach(() => {
+        gameState = new GameState();
+    });
+
+    test('should initialize with standard starting state', () => {
+        expect(gameState.getCurrentPlayer()).toBe('white');
+        expect(gameState.castlingRights).toEqual({
+            white: { kingside: true, queenside: true },
+            black: { kingside: true, queenside: true },
+        });
+        expect(gameState.enPassantTarget).toBeNull();
+        expect(gameState.halfmoveClock).toBe(0);
+        expect(gameState.fullmoveNumber).toBe(1);
+    });
+
+    describe('updateAfterMove()', () => {
+        test('should switch turn and count quiet moves', () => {
+            gameState.updateAfterMove({
+                move: { from: 62, to: 45, type: 'normal' },
+                pieceMoved: 'knight',
+                pieceCaptured: null,
+            });
+
+            expect(gameState.currentPlayer).toBe('black');
+            expect(gameState.halfmoveClock).toBe(1);
+            expect(gameState.fullmoveNumber).toBe(1);
+        });
+
+        test('should reset the halfmove clock on captures and pawn moves', () => {
+            gameState.halfmoveClock = 12;
+            gameState.updateAfterMove({
+                move: { from: 52, to: 36, type: 'double' },
+                pieceMoved: 'pawn',
+                pieceCaptured: null,
+            });
+            expect(gameState.halfmoveClock).toBe(0);
+            expect(gameState.enPassantTarget).toBe(44);
+
+            gameState.halfmoveClock = 5;
+            gameState.updateAfterMove({
+                move: { from: 6, to: 36, type: 'capture' },
+                pieceMoved: 'knight',
+                pieceCaptured: 'pawn',
+            });
+            expect(gameState.halfmoveClock).toBe(0);
+            expect(gameState.enPassantTarget).toBeNull();
+            expect(gameState.fullmoveNumber).toBe(2);
+        });
+    });
+
+    describe('updateCastlingRights()', () => {
+        test('should revoke rights for king and rook home squares', () => {
+            gameState.updateCastlingRights({ from: 4, to: 12 });
+            expect(gameState.castlingRights.black).toEqual({ kingside: false, queenside: false });
+
+            gameState.updateCastlingRights({ from: 63, to: 55 });
+            expect(gameState.castlingRights.white).toEqual({ kingside: false, queenside: true });
+
+            gameState.updateCastlingRights({ from: 20, to: 56 });
+            expect(gameState.castlingRights.white).toEqual({ kingside: false, queenside: false });
+        });
+
+        test('should ignore moves away from home squares', () => {
+            gameState.updateCastlingRights({ from: 28, to: 36 });
+
+            expect(gameState.castlingRights.white).toEqual({ kingside: true, queenside: true });
+            expect(gameState.castlingRights.black).toEqual({ kingside: true, queenside: true });
+        });
+    });
+
+    describe('createSnapshot()/restoreSnapshot()', () => {
+        test('should restore state without sharing castling objects', () => {
+            gameState.enPassantTarget = 20;
+            gameState.halfmoveClock = 3;
+            const snapshot = gameState.createSnapshot();
+
+            gameState.castlingRights.white.kingside = false;
+            gameState.switchPlayer();
+            gameState.enPassantTarget = null;
+            gameState.halfmoveClock = 9;
+            gameState.fullmoveNumber = 40;
+
+            expect(snapshot.castlingRights.white.kingside).toBe(true);
+
+            gameState.restoreSnapshot(snapshot);
+
+            expect(gameState.createSnapshot()).toEqual(snapshot);
+            expect(gameState.castlingRights.white).not.toBe(snapshot.castlingRights.white);
+        });
+    });
+
+    describe('draw detection', () => {
+        test('should record the starting position of a parsed FEN', () => {
+            const { gameState } = FEN.parse(FEN.STARTING_FEN);
+
+            expect(gameState.positionHistory).toHaveLength(1);
+            expect(gameState.getRepetitionCount()).toBe(1);
+            expect(gameState.getGameResult()).toBeNull();
+            expect(gameState.isGameOver()).toBe(false);
+        });
+
+        test('should detect threefold repetition', () => {
+            const { board, gameState } = FEN.parse(FEN.STARTING_FEN);
+
+            play(board, gameState, ...KNIGHT_SHUFFLE);
+            expect(gameState.getRepetitionCount()).toBe(2);
+            expect(gameState.isThreefoldRepetition()).toBe(false);
+
+            play(board, gameState, ...KNIGHT_SHUFFLE);
+            expect(gameState.getRepetitionCount()).toBe(3);
+            expect(gameState.getClaimableDraw()).toBe('threefold_repetition');
+            expect(gameState.canClaimDraw()).toBe(true);
+            expect(gameState.getGameResult()).toBeNull();
+        });
+
+        test('should detect fivefold repetition', () => {
+            const { board, gameState } = FEN.parse(FEN.STARTING_FEN);
+
+            for (let i = 0; i < 4; i++) {
+                play(board, gameState, ...KNIGHT_SHUFFLE);
+            }
+
+            expect(gameState.isFivefoldRepetition()).toBe(true);
+            expect(gameState.getGameResult().reason).toBe('fivefold_repetition');
+        });
+
+        test('should not count positions with different castling rights', () => {
+            const { board, gameState } = FEN.parse('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+
+            // The first rook shuffle loses castling rights, so only later positions repeat
+            play(board, gameState, 'h1g1', 'h8g8', 'g1h1', 'g8h8');
+            expect(gameState.getRepetitionCount()).toBe(1);
+
+            play(board, gameState, 'h1g1', 'h8g8', 'g1h1', 'g8h8');
+            play(board, gameState, 'h1g1', 'h8g8', 'g1h1', 'g8h8');
+            expect(gameState.getRepetitionCount()).toBe(3);
+        });
+
+        test('should ignore an en passant square no pawn can capture on', () => {
+            const { board, gameState } = FEN.parse('4k3/8/8/8/8/8/4P3/4K1N1 w - - 0 1');
+
+            // e2e4 sets an en passant target, but no black pawn can use it
+            play(board, gameState, 'e2e4', 'e8d8', 'g1f3', 'd8e8', 'f3g1');
+            expect(gameState.getRepetitionCount()).toBe(2);
+        });
+
+        test('should distinguish a capturable en passant square', () => {
+            const { board, gameState } = FEN.parse('4k3/8/8/8/3p4/8/4P3/4K1N1 w - - 0 1');
+
+            play(board, gameState, 'e2e4', 'e8d8', 'g1f3', 'd8e8', 'f3g1');
+
+            // Black could capture en passant after e2e4, so that position differs
+            expect(gameState.getRepetitionCount()).toBe(1);
+            play(board, gameState, 'e8d8', 'g1f3', 'd8e8', 'f3g1');
+            expect(gameState.getRepetitionCount()).toBe(2);
+        });
+
+        test('should only count repetitions since the last pawn move or capture', () => {
+            const { board, gameState } = FEN.parse(FEN.STARTING_FEN);
+
+            play(board, gameState, ...KNIGHT_SHUFFLE, ...KNIGHT_SHUFFLE, 'e2e4', 'e7e5');
+
+            expect(gameState.getRepetitionCount()).toBe(1);
+            expect(gameState.isGameOver()).toBe(false);
+        });
+
+        test('should apply the fifty- and seventy-five-move rules', () => {
+            const { gameState } = FEN.parse('4k3/8/8/8/8/8/4R3/4K3 w - - 99 80');
+            expect(gameState.canClaimDraw()).toBe(false);
+
+            gameState.halfmoveClock = 100;
+            expect(gameState.isFiftyMoveRule()).toBe(true);
+            expect(gameState.getClaimableDraw()).toBe('fifty_move_rule');
+            expect(gameState.getGameResult()).toBeNull();
+
+            gameState.halfmoveClock = 150;
+            expect(gameState.isSeventyFiveMoveRule()).toBe(true);
+            expect(gameState.getGameResult().reason).toBe('seventy_five_move_rule');
+        });
+
+        test.each([
+            ['K vs K', '4k3/8/8/8/8/8/8/4K3 w - - 0 1', true],
+            ['K+N vs K', '4k3/8/8/8/8/8/8/4KN2 w - - 0 1', true],
+            ['K vs K+B', '4kb2/8/8/8/8/8/8/4K3 w - - 0 1', true],
+            ['same-color bishops', '2b1k3/8/8/8/8/8/8/4KB2 w - - 0 1', true],
+            ['opposite-color bishops', '3bk3/8/8/8/8/8/8/4KB2 w - - 0 1', false],
+            ['K+N vs K+N', '4kn2/8/8/8/8/8/8/4KN2 w - - 0 1', false],
+            ['K+B+N vs K', '4k3/8/8/8/8/8/8/4KBN1 w - - 0 1', false],
+            ['K+P vs K', '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1', false],
+            ['K+R vs K', '4k3/8/8/8/8/8/8/4K2R w - - 0 1', false],
+        ])('insufficient material: %s', (_, fen, expected) => {
+            const { gameState } = FEN.parse(fen);
+
+            expect(gameState.isInsufficientMaterial()).toBe(expected);
+            expect(gameState.getGameResult()?.reason ?? null).toBe(
+                expected ? 'insufficient_material' : null
+            );
+        });
+
+        test('should detect insufficient material after a capture and restore it on undo', () => {
+            const { board, gameState } = FEN.parse('4k3/8/8/8/8/8/3r4/4K3 w - - 0 1');
+
+            expect(gameState.isInsufficientMaterial()).toBe(false);
+            const [record] = play(board, gameState, 'e1d2');
+            expect(gameState.getGameResult()).toEqual({
+                result: '1/2-1/2',
+                reason: 'insufficient_material',
+            });
+
+            board.unmakeMove(record, gameState);
+            expect(gameState.isInsufficientMaterial()).toBe(false);
+        });
+
+        test('should check material again after a promotion', () => {
+            const { board, gameState } = FEN.parse('4k3/P7/8/8/8/8/8/K7 w - - 0 1');
+            const knight = new MoveValidator(board, gameState)
+                .getAllLegalMoves('white')
+                .find((move) => move.promotion === 'knight');
+
+            expect(gameState.isInsufficientMaterial()).toBe(false);
+            board.makeMove(knight, gameState);
+            expect(gameState.isInsufficientMaterial()).toBe(true);
+
+            play(board, gameState, 'e8d7', 'a8b6');
+            expect(gameState.isInsufficientMaterial()).toBe(true);
+        });
+
+        test('unmakeMove should remove positions from the history', () => {
+            const { board, gameState } = FEN.parse(FEN.STARTING_FEN);
+
+            const records = play(board, gameState, ...KNIGHT_SHUFFLE, ...KNIGHT_SHUFFLE);
+            expect(gameState.isThreefoldRepetition()).toBe(true);
+
+            board.unmakeMove(records.pop(), gameState);
+            expect(gameState.positionHistory).toHaveLength(8);
+            expect(gameState.getRepetitionCount()).toBe(2);
+            expect(gameState.isThreefoldRepetition()).toBe(false);
+        });
+    });
+});
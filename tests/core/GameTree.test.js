@@ -0,0 +1,216 @@
+// tests/core/GameTree.test.js
+
+import { FEN } from '../../src/core/FEN.js';
+import { GameTree } from '../../src/core/GameTree.js';
+import { PGN } from '../../src/core/PGN.js';
+
+const RUY_LOPEZ = ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5'];
+
+const play = (tree, moves) => moves.map((move) => tree.addMove(move));
+
+const sans = (nodes) => nodes.map((node) => node.san);
+
+describe('GameTree', () => {
+    let tree;
+
+    beforeEach(() => {
+        tree = GameTree.fromFEN();
+        play(tree, RUY_LOPEZ);
+    });
+
+    describe('addMove()', () => {
+        test('should build nodes with SAN, ply and position hash', () => {
+            const line = tree.getMainLine();
+
+            expect(sans(line)).toEqual(RUY_LOPEZ);
+            expect(line.map((node) => node.ply)).toEqual([1, 2, 3, 4, 5]);
+            expect(tree.current).toBe(line[4]);
+            expect(line[4].hash).toBe(tree.gameState.hash);
+            expect(FEN.toFEN(tree.board, tree.gameState)).toBe(
+                'r1bqkbnr/pppp1ppp/2n5/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 3 3'
+            );
+        });
+
+        test('should add variations after the main continuation', () => {
+            tree.goToPly(4);
+            const bc4 = tree.addMove('f1c4');
+
+            expect(sans(tree.current.parent.children)).toEqual(['Bb5', 'Bc4']);
+            expect(bc4.ply).toBe(5);
+            expect(sans(tree.getMainLine())).toEqual(RUY_LOPEZ);
+        });
+
+        test('should follow a move that is already in the tree', () => {
+            tree.goToPly(2);
+            const node = tree.addMove('Nf3');
+
+            expect(node).toBe(tree.getMainLine()[2]);
+            expect(tree.current.parent.children).toHaveLength(1);
+        });
+
+        test('should reject illegal moves and leave the tree unchanged', () => {
+            expect(() => tree.addMove('e4')).toThrow('Illegal move');
+            expect(tree.current.children).toHaveLength(0);
+        });
+    });
+
+    describe('navigation', () => {
+        test('should step back and forward through the position', () => {
+            const end = FEN.toFEN(tree.board, tree.gameState);
+
+            expect(tree.previous().san).toBe('Nc6');
+            expect(tree.previous().san).toBe('Nf3');
+            expect(tree.next().san).toBe('Nc6');
+            expect(tree.next().san).toBe('Bb5');
+            expect(tree.next()).toBeNull();
+            expect(FEN.toFEN(tree.board, tree.gameState)).toBe(end);
+        });
+
+        test('should stop at the start', () => {
+            expect(tree.goToStart()).toBe(tree.root);
+            expect(tree.previous()).toBeNull();
+            expect(FEN.toFEN(tree.board, tree.gameState)).toBe(FEN.STARTING_FEN);
+            expect(tree.gameState.hash).toBe(tree.root.hash);
+        });
+
+        test('should go to a ply of the current line', () => {
+            tree.goToPly(2);
+            tree.addMove('Bc4');
+
+            expect(tree.goToPly(1).san).toBe('e4');
+            expect(tree.goToPly(0)).toBe(tree.root);
+            expect(tree.goToEnd().san).toBe('Bb5');
+            expect(() => tree.goToPly(6)).toThrow('Invalid ply: 6 is past the end of the line');
+            expect(() => tree.goToPly(-1)).toThrow('Invalid ply: -1');
+        });
+
+        test('should go to any node across variations', () => {
+            tree.goToPly(2);
+            const bc4 = tree.addMove('Bc4');
+            tree.addMove('Nf6');
+            const bb5 = tree.getMainLine()[4];
+
+            tree.goToNode(bb5);
+            expect(tree.getLine().map((node) => node.san)).toEqual(RUY_LOPEZ);
+            expect(tree.gameState.hash).toBe(bb5.hash);
+
+            tree.goToNode(bc4);
+            expect(sans(tree.getLine())).toEqual(['e4', 'e5', 'Bc4']);
+            expect(tree.gameState.hash).toBe(bc4.hash);
+            expect(() => tree.goToNode(GameTree.fromFEN().root)).toThrow(
+                'Node does not belong to this game tree'
+            );
+        });
+
+        test('should number plies from a FEN starting position', () => {
+            const endgame = GameTree.fromFEN('4k3/8/8/8/8/8/4P3/4K3 b - - 0 40');
+            const node = endgame.addMove('Kd7');
+
+            expect(endgame.root.ply).toBe(79);
+            expect(node.ply).toBe(80);
+        });
+    });
+
+    describe('editing', () => {
+        test('should promote a variation to the main line', () => {
+            tree.goToPly(4);
+            const bc4 = tree.addMove('Bc4');
+            tree.addMove('Bc5');
+
+            tree.promoteVariation(bc4);
+
+            expect(sans(tree.getMainLine())).toEqual(['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Bc5']);
+            expect(sans(bc4.parent.children)).toEqual(['Bc4', 'Bb5']);
+            expect(() => tree.promoteVariation(tree.root)).toThrow(
+                'Cannot promote the root of the game tree'
+            );
+        });
+
+        test('should delete a node and everything after it', () => {
+            tree.goToPly(2);
+            const nf3 = tree.getMainLine()[2];
+
+            expect(tree.deleteFromHere(nf3)).toBe(tree.current);
+            expect(sans(tree.getMainLine())).toEqual(['e4', 'e5']);
+            expect(nf3.parent).toBeNull();
+            expect(() => tree.goToNode(nf3)).toThrow('Node does not belong to this game tree');
+        });
+
+        test('should move off a deleted current node', () => {
+            tree.deleteFromHere(tree.getMainLine()[1]);
+
+            expect(tree.current.san).toBe('e4');
+            expect(FEN.toFEN(tree.board, tree.gameState)).toBe(
+                'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1'
+            );
+            expect(() => tree.deleteFromHere(tree.root)).toThrow(
+                'Cannot delete the root of the game tree'
+            );
+        });
+    });
+
+    describe('PGN', () => {
+        const ANNOTATED = [
+            '{Pre-game comment} 1. e4 {[%clk 0:03:00] Best by test} 1... e5 2. Nf3 Nc6',
+            '3. Bb5 $1 (3. Bc4 Nf6 (3... Bc5 4. c3) 4. d4) 3... a6 4. Ba4 $5 *',
+        ].join(' ');
+
+        test('should build variations, comments and NAGs from a parsed game', () => {
+            const [game] = PGN.parse(ANNOTATED);
+            const pgnTree = GameTree.fromPGN(game);
+            const line = pgnTree.getMainLine();
+
+            expect(pgnTree.current).toBe(pgnTree.root);
+            expect(pgnTree.root.comment).toBe('Pre-game comment');
+            expect(sans(line)).toEqual(['e4', 'e5', 'Nf3', 'Nc6', 'Bb5', 'a6', 'Ba4']);
+            expect(line[0]).toMatchObject({
+                comment: 'Best by test',
+                commands: { clk: '0:03:00' },
+            });
+            expect(line[4].nags).toEqual([1]);
+
+            const [, bc4] = line[3].children;
+            expect(sans(pgnTree.getLine(bc4.children[0].children[0]))).toEqual([
+                'e4',
+                'e5',
+                'Nf3',
+                'Nc6',
+                'Bc4',
+                'Nf6',
+                'd4',
+            ]);
+            expect(sans(bc4.children[1].children)).toEqual(['c3']);
+        });
+
+        test('should write what it reads', () => {
+            const [game] = PGN.parse(ANNOTATED);
+            const pgn = GameTree.fromPGN(game).toPGN();
+
+            expect(pgn.split('\n\n')[1].trimEnd().replace(/\n/g, ' ')).toBe(ANNOTATED);
+
+            const [reread] = PGN.parse(pgn);
+            expect(reread.moves).toEqual(game.moves);
+        });
+
+        test('should write the comment before a variation back', () => {
+            const movetext = '1. e4 c5 ({Classical} 1... e5 2. Nf3) 2. Nf3 *';
+            const [game] = PGN.parse(movetext);
+            const pgnTree = GameTree.fromPGN(game);
+
+            expect(pgnTree.root.children[0].children[1].startingComment).toBe('Classical');
+            expect(pgnTree.toPGN().split('\n\n')[1].trimEnd()).toBe(movetext);
+        });
+
+        test('should load into a given board and game state', () => {
+            const { board, gameState } = FEN.parse(FEN.STARTING_FEN);
+            const fen = '4k3/1P6/8/8/8/8/8/4K3 w - - 0 40';
+            const [game] = PGN.parse(`[SetUp "1"]\n[FEN "${fen}"]\n\n40. b8=Q+ Kd7 *`);
+            const loaded = GameTree.fromPGN(game, board, gameState);
+
+            expect(loaded.board).toBe(board);
+            expect(FEN.toFEN(board, gameState)).toBe(fen);
+            expect(loaded.goToEnd().san).toBe('Kd7');
+            expect(loaded.toPGN()).toContain(`[FEN "${fen}"]`);
+        });
+    });
+});
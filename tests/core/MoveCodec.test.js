@@ -0,0 +1,142 @@
+// tests/core/MoveCodec.test.js
+
+import { FEN } from '../../src/core/FEN.js';
+import { MoveCodec } from '../../src/core/MoveCodec.js';
+import { MoveValidator } from '../../src/core/MoveValidator.js';
+import { algebraicToIndex } from '../../src/utils/Coordinates.js';
+
+const KIWIPETE = 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1';
+const PROMOTION = '4k3/1P6/8/8/8/8/8/4K3 w - - 0 1';
+const EN_PASSANT = 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3';
+
+const position = (fen) => FEN.parse(fen);
+
+const legalMove = (fen, from, to, promotion = null) => {
+    const { board, gameState } = position(fen);
+    return MoveCodec.fromIndex(
+        { from: algebraicToIndex(from), to: algebraicToIndex(to), promotion },
+        board,
+        gameState
+    );
+};
+
+const parse = (fen, text, format) => {
+    const { board, gameState } = position(fen);
+    return MoveCodec.parse(text, board, gameState, format);
+};
+
+describe('MoveCodec', () => {
+    describe('format()', () => {
+        test('should format UCI', () => {
+            expect(MoveCodec.toUCI(legalMove(FEN.STARTING_FEN, 'e2', 'e4'))).toBe('e2e4');
+            expect(MoveCodec.toUCI(legalMove(PROMOTION, 'b7', 'b8', 'knight'))).toBe('b7b8n');
+            expect(MoveCodec.toUCI(legalMove(KIWIPETE, 'e1', 'g1'))).toBe('e1g1');
+        });
+
+        test('should format LAN', () => {
+            expect(MoveCodec.toLAN(legalMove(FEN.STARTING_FEN, 'e2', 'e4'))).toBe('Pe2-e4');
+            expect(MoveCodec.toLAN(legalMove(KIWIPETE, 'e5', 'f7'))).toBe('Ne5xf7');
+            expect(MoveCodec.toLAN(legalMove(EN_PASSANT, 'e5', 'f6'))).toBe('Pe5xf6');
+            expect(MoveCodec.toLAN(legalMove(PROMOTION, 'b7', 'b8', 'queen'))).toBe('Pb7-b8=Q');
+            expect(MoveCodec.toLAN(legalMove(KIWIPETE, 'e1', 'c1'))).toBe('O-O-O');
+        });
+
+        test('should format through format() in every notation', () => {
+            const { board, gameState } = position(KIWIPETE);
+            const move = legalMove(KIWIPETE, 'd5', 'e6');
+
+            expect(MoveCodec.format(move, 'index')).toEqual({
+                from: algebraicToIndex('d5'),
+                to: algebraicToIndex('e6'),
+            });
+            expect(MoveCodec.format(move, 'uci')).toBe('d5e6');
+            expect(MoveCodec.format(move, 'lan')).toBe('Pd5xe6');
+            expect(MoveCodec.format(move, 'san', board, gameState)).toBe('dxe6');
+            expect(() => MoveCodec.format(move, 'xboard')).toThrow('Unknown move format: xboard');
+        });
+    });
+
+    describe('parse()', () => {
+        test('should parse UCI', () => {
+            expect(parse(FEN.STARTING_FEN, 'g1f3', 'uci')).toMatchObject({
+                piece: 'knight',
+                from: algebraicToIndex('g1'),
+            });
+            expect(parse(PROMOTION, 'b7b8r', 'uci')).toMatchObject({ promotion: 'rook' });
+            expect(parse(KIWIPETE, 'e1g1', 'uci')).toMatchObject({ type: 'castle' });
+        });
+
+        test('should parse LAN with or without the pawn letter', () => {
+            expect(parse(FEN.STARTING_FEN, 'Pe2-e4', 'lan')).toMatchObject({ type: 'double' });
+            expect(parse(FEN.STARTING_FEN, 'e2-e4', 'lan')).toMatchObject({ type: 'double' });
+            expect(parse(EN_PASSANT, 'Pe5xf6', 'lan')).toMatchObject({ type: 'en_passant' });
+            expect(parse(PROMOTION, 'Pb7-b8=Q+', 'lan')).toMatchObject({ promotion: 'queen' });
+            expect(parse(KIWIPETE, 'O-O', 'lan')).toMatchObject({ side: 'kingside' });
+        });
+
+        test('should parse index moves', () => {
+            const move = parse(PROMOTION, { from: 9, to: 1, promotion: 'bishop' }, 'index');
+            expect(move).toMatchObject({ promotion: 'bishop', piece: 'pawn', color: 'white' });
+        });
+
+        test('should detect the notation with format auto', () => {
+            expect(parse(KIWIPETE, 'e5f7')).toMatchObject({ type: 'capture' });
+            expect(parse(KIWIPETE, 'Ne5xf7')).toMatchObject({ type: 'capture' });
+            expect(parse(KIWIPETE, 'Nxf7')).toMatchObject({ type: 'capture' });
+            expect(parse(KIWIPETE, 'O-O-O')).toMatchObject({ side: 'queenside' });
+            expect(
+                parse(KIWIPETE, { from: algebraicToIndex('f3'), to: algebraicToIndex('f6') })
+            ).toMatchObject({ piece: 'queen' });
+        });
+
+        test('should round-trip every legal move through every notation', () => {
+            [KIWIPETE, EN_PASSANT, PROMOTION].forEach((fen) => {
+                const { board, gameState } = position(fen);
+                const moves = new MoveValidator(board, gameState).getAllLegalMoves(
+                    gameState.currentPlayer
+                );
+
+                moves.forEach((move) => {
+                    MoveCodec.FORMATS.forEach((format) => {
+                        const text = MoveCodec.format(move, format, board, gameState);
+                        expect(MoveCodec.parse(text, board, gameState, format)).toEqual(move);
+                    });
+                });
+            });
+        });
+
+        test('should reject malformed input', () => {
+            expect(() => parse(FEN.STARTING_FEN, 'e2e9', 'uci')).toThrow(
+                "Invalid UCI move: 'e2e9'"
+            );
+            expect(() => parse(FEN.STARTING_FEN, 'e2e4', 'lan')).toThrow(
+                "Invalid LAN move: 'e2e4'"
+            );
+            expect(() => parse(FEN.STARTING_FEN, 'e4', 'pgn')).toThrow('Unknown move format: pgn');
+        });
+
+        test('should reject illegal moves', () => {
+            expect(() => parse(FEN.STARTING_FEN, 'e2e5', 'uci')).toThrow(
+                'Illegal move: e2e5 is not legal'
+            );
+            expect(() => parse(PROMOTION, 'b7b8', 'uci')).toThrow(
+                'Illegal move: b7b8 is not legal'
+            );
+            expect(() => parse(FEN.STARTING_FEN, 'Ng1-e2', 'lan')).toThrow(
+                'Illegal move: g1e2 is not legal'
+            );
+        });
+
+        test('should reject LAN whose piece or capture mark does not match', () => {
+            expect(() => parse(FEN.STARTING_FEN, 'Bg1-f3', 'lan')).toThrow(
+                'Illegal move: Bg1-f3 - the piece on g1 is a knight'
+            );
+            expect(() => parse(FEN.STARTING_FEN, 'Pe2xe4', 'lan')).toThrow(
+                'Illegal move: Pe2xe4 - nothing to capture on e4'
+            );
+            expect(() => parse(KIWIPETE, 'Ne5-f7', 'lan')).toThrow(
+                'Illegal move: Ne5-f7 - a capture must use x'
+            );
+        });
+    });
+});
@@ -3,6 +3,7 @@
 import { MoveGenerator } from '../../src/core/MoveGenerator.js';
 import { Board } from '../../src/core/Board.js';
 import { Piece } from '../../src/core/Piece.js';
+import { GameState } from '../../src/core/GameState.js';
 
 describe('MoveGenerator', () => {
     let board;
@@ -221,6 +222,134 @@ describe('MoveGenerator', () => {
             });
         });
 
+        describe('En Passant', () => {
+            let gameState;
+
+            beforeEach(() => {
+                gameState = new GameState();
+                moveGenerator = new MoveGenerator(board, gameState);
+            });
+
+            test('should generate en passant capture for white from the target square', () => {
+                const whitePawn = new Piece('pawn', 'white', 1, '♙');
+                board.squares[28] = whitePawn; // e5
+                board.squares[27] = new Piece('pawn', 'black', 1, '♟'); // d5 (just pushed d7-d5)
+                gameState.enPassantTarget = 19; // d6
+
+                const moves = moveGenerator.generatePawnMoves(whitePawn, 28);
+
+                expect(moves).toContainEqual({
+                    from: 28,
+                    to: 19,
+                    type: 'en_passant',
+                    piece: 'pawn',
+                    color: 'white',
+                    captured: 'pawn',
+                    capturedSquare: 27,
+                });
+            });
+
+            test('should generate en passant capture for black', () => {
+                const blackPawn = new Piece('pawn', 'black', 1, '♟');
+                board.squares[38] = blackPawn; // g4
+                board.squares[39] = new Piece('pawn', 'white', 1, '♙'); // h4 (just pushed h2-h4)
+                gameState.enPassantTarget = 47; // h3
+
+                const moves = moveGenerator.generatePawnMoves(blackPawn, 38);
+                const enPassant = moves.find((m) => m.type === 'en_passant');
+
+                expect(enPassant).toBeDefined();
+                expect(enPassant.to).toBe(47);
+                expect(enPassant.capturedSquare).toBe(39);
+            });
+
+            test('should not generate en passant without a target', () => {
+                const whitePawn = new Piece('pawn', 'white', 1, '♙');
+                board.squares[28] = whitePawn;
+                board.squares[27] = new Piece('pawn', 'black', 1, '♟');
+
+                const moves = moveGenerator.generatePawnMoves(whitePawn, 28);
+                expect(moves.some((m) => m.type === 'en_passant')).toBe(false);
+            });
+
+            test('should not generate en passant for a pawn that is not adjacent', () => {
+                const whitePawn = new Piece('pawn', 'white', 1, '♙');
+                board.squares[30] = whitePawn; // g5
+                board.squares[27] = new Piece('pawn', 'black', 1, '♟'); // d5
+                gameState.enPassantTarget = 19; // d6
+
+                const moves = moveGenerator.generatePawnMoves(whitePawn, 30);
+                expect(moves.some((m) => m.type === 'en_passant')).toBe(false);
+            });
+
+            test('should not wrap en passant captures across board edges', () => {
+                const whitePawn = new Piece('pawn', 'white', 1, '♙');
+                board.squares[31] = whitePawn; // h5
+                board.squares[32] = new Piece('pawn', 'black', 1, '♟'); // a4
+                gameState.enPassantTarget = 24; // a5 as a bogus wrap target
+
+                const moves = moveGenerator.generatePawnMoves(whitePawn, 31);
+                expect(moves.some((m) => m.type === 'en_passant')).toBe(false);
+            });
+        });
+
+        describe('Promotion', () => {
+            test('should generate four promotion moves for a white pawn advancing to rank 8', () => {
+                const whitePawn = new Piece('pawn', 'white', 1, '♙');
+                board.squares[12] = whitePawn; // e7
+
+                const moves = moveGenerator.generatePawnMoves(whitePawn, 12);
+
+                expect(moves).toHaveLength(4);
+                expect(moves.map((m) => m.promotion)).toEqual([
+                    'queen',
+                    'rook',
+                    'knight',
+                    'bishop',
+                ]);
+                moves.forEach((move) => {
+                    expect(move).toMatchObject({ from: 12, to: 4, type: 'normal', piece: 'pawn' });
+                });
+            });
+
+            test('should generate promotion captures for a black pawn reaching rank 1', () => {
+                const blackPawn = new Piece('pawn', 'black', 1, '♟');
+                board.squares[49] = blackPawn; // b2
+                board.squares[57] = new Piece('knight', 'white', 3, '♘'); // b1 blocks the push
+                board.squares[56] = new Piece('rook', 'white', 5, '♖'); // a1
+
+                const moves = moveGenerator.generatePawnMoves(blackPawn, 49);
+
+                expect(moves).toHaveLength(4);
+                moves.forEach((move) => {
+                    expect(move).toMatchObject({
+                        to: 56,
+                        type: 'capture',
+                        captured: 'rook',
+                    });
+                });
+                expect(moves).toContainEqual({
+                    from: 49,
+                    to: 56,
+                    type: 'capture',
+                    piece: 'pawn',
+                    color: 'black',
+                    captured: 'rook',
+                    promotion: 'knight',
+                });
+            });
+
+            test('should not attach a promotion to moves short of the back rank', () => {
+                const whitePawn = new Piece('pawn', 'white', 1, '♙');
+                board.squares[20] = whitePawn; // e6
+
+                const moves = moveGenerator.generatePawnMoves(whitePawn, 20);
+
+                expect(moves).toHaveLength(1);
+                expect(moves[0].promotion).toBeUndefined();
+            });
+        });
+
         describe('Edge Cases and Validation', () => {
             test('should handle pawn on edge files correctly', () => {
                 // Place white pawn on a4 (index 24) - left edge
@@ -864,6 +993,91 @@ describe('MoveGenerator', () => {
             expect(moveGenerator.isValidKingMove(7, 8)).toBe(false); // h8 to a7
             expect(moveGenerator.isValidKingMove(15, 16)).toBe(false); // h7 to a6
         });
+
+        describe('Castling', () => {
+            let gameState;
+            let king;
+
+            beforeEach(() => {
+                gameState = new GameState();
+                moveGenerator = new MoveGenerator(board, gameState);
+
+                king = new Piece('king', 'white', 1000, '♔');
+                board.squares[60] = king; // e1
+                board.squares[56] = new Piece('rook', 'white', 5, '♖'); // a1
+                board.squares[63] = new Piece('rook', 'white', 5, '♖'); // h1
+            });
+
+            test('should generate kingside and queenside castle moves', () => {
+                const castles = moveGenerator
+                    .generateKingMoves(king, 60)
+                    .filter((m) => m.type === 'castle');
+
+                expect(castles).toHaveLength(2);
+                expect(castles).toContainEqual({
+                    from: 60,
+                    to: 62,
+                    type: 'castle',
+                    piece: 'king',
+                    color: 'white',
+                    side: 'kingside',
+                    rookFrom: 63,
+                    rookTo: 61,
+                });
+                expect(castles).toContainEqual({
+                    from: 60,
+                    to: 58,
+                    type: 'castle',
+                    piece: 'king',
+                    color: 'white',
+                    side: 'queenside',
+                    rookFrom: 56,
+                    rookTo: 59,
+                });
+            });
+
+            test('should not generate castle moves without a game state', () => {
+                const generator = new MoveGenerator(board);
+                const moves = generator.generateKingMoves(king, 60);
+
+                expect(moves.some((m) => m.type === 'castle')).toBe(false);
+            });
+
+            test('should respect revoked castling rights', () => {
+                gameState.castlingRights.white.queenside = false;
+
+                const castles = moveGenerator
+                    .generateKingMoves(king, 60)
+                    .filter((m) => m.type === 'castle');
+
+                expect(castles).toHaveLength(1);
+                expect(castles[0].side).toBe('kingside');
+            });
+
+            test('should not castle through occupied squares', () => {
+                board.squares[61] = new Piece('bishop', 'white', 3, '♗'); // f1
+                board.squares[57] = new Piece('knight', 'black', 3, '♞'); // b1
+
+                const moves = moveGenerator.generateKingMoves(king, 60);
+                expect(moves.some((m) => m.type === 'castle')).toBe(false);
+            });
+
+            test('should not castle with a missing or enemy rook', () => {
+                board.squares[63] = null;
+                board.squares[56] = new Piece('rook', 'black', 5, '♜');
+
+                const moves = moveGenerator.generateKingMoves(king, 60);
+                expect(moves.some((m) => m.type === 'castle')).toBe(false);
+            });
+
+            test('should not castle when king is off its home square', () => {
+                board.squares[60] = null;
+                board.squares[59] = king; // d1
+
+                const moves = moveGenerator.generateKingMoves(king, 59);
+                expect(moves.some((m) => m.type === 'castle')).toBe(false);
+            });
+        });
     });
 
     describe('Queen Move Generation', () => {
@@ -61,9 +61,8 @@ describe('MoveValidator', () => {
             board.squares[60] = whiteKing;
             board.squares[4] = blackKing;
 
-            // NOTE: This will fail until rook move generation is implemented
             const isValid = moveValidator.isValidMove(28, 36);
-            expect(isValid).toBe(false); // Changed expectation since rook moves not implemented
+            expect(isValid).toBe(true);
         });
 
         test('should reject pseudo-illegal moves', () => {
@@ -83,9 +82,8 @@ describe('MoveValidator', () => {
             board.squares[4] = whiteKing;
             board.squares[60] = blackRook;
 
-            // NOTE: This will fail until rook move generation is implemented
             const inCheck = moveValidator.isInCheck('white');
-            expect(inCheck).toBe(false); // Changed expectation since rook moves not implemented
+            expect(inCheck).toBe(true);
         });
 
         test('should detect check from bishop', () => {
@@ -95,9 +93,8 @@ describe('MoveValidator', () => {
             board.squares[4] = whiteKing;
             board.squares[32] = blackBishop;
 
-            // NOTE: This will fail until bishop move generation is implemented
             const inCheck = moveValidator.isInCheck('white');
-            expect(inCheck).toBe(false); // Changed expectation since bishop moves not implemented
+            expect(inCheck).toBe(true);
         });
 
         test('should detect check from knight', () => {
@@ -107,9 +104,8 @@ describe('MoveValidator', () => {
             board.squares[28] = whiteKing;
             board.squares[43] = blackKnight;
 
-            // NOTE: This will fail until knight move generation is implemented
             const inCheck = moveValidator.isInCheck('white');
-            expect(inCheck).toBe(false); // Changed expectation since knight moves not implemented
+            expect(inCheck).toBe(true);
         });
 
         test('should detect check from pawn', () => {
@@ -166,9 +162,8 @@ describe('MoveValidator', () => {
             board.squares[56] = whiteRook;
             board.squares[60] = blackKing;
 
-            // NOTE: This will fail until rook move generation is implemented
             const isValid = moveValidator.isValidMove(56, 48);
-            expect(isValid).toBe(false); // Changed expectation since rook moves not implemented
+            expect(isValid).toBe(true);
         });
 
         test('should prevent king from moving into check', () => {
@@ -184,6 +179,154 @@ describe('MoveValidator', () => {
         });
     });
 
+    describe('Castling', () => {
+        beforeEach(() => {
+            // White king e1 with both rooks home, black king e8
+            board.squares[60] = new Piece('king', 'white', 1000, '♔');
+            board.squares[56] = new Piece('rook', 'white', 5, '♖');
+            board.squares[63] = new Piece('rook', 'white', 5, '♖');
+            board.squares[4] = new Piece('king', 'black', 1000, '♚');
+        });
+
+        test('should allow castling on both sides when path is clear and safe', () => {
+            expect(moveValidator.canCastle('white', 'kingside')).toBe(true);
+            expect(moveValidator.canCastle('white', 'queenside')).toBe(true);
+            expect(moveValidator.isValidMove(60, 62)).toBe(true); // e1-g1
+            expect(moveValidator.isValidMove(60, 58)).toBe(true); // e1-c1
+        });
+
+        test('should include castle moves in legal move list', () => {
+            const castles = moveValidator
+                .getAllLegalMoves('white')
+                .filter((move) => move.type === 'castle');
+
+            expect(castles).toHaveLength(2);
+            expect(castles.map((move) => move.side).sort()).toEqual(['kingside', 'queenside']);
+        });
+
+        test('should reject castling without the castling right', () => {
+            gameState.castlingRights.white.kingside = false;
+
+            expect(moveValidator.canCastle('white', 'kingside')).toBe(false);
+            expect(moveValidator.isValidMove(60, 62)).toBe(false);
+            expect(moveValidator.canCastle('white', 'queenside')).toBe(true);
+        });
+
+        test('should reject castling when a piece stands between king and rook', () => {
+            board.squares[57] = new Piece('knight', 'white', 3, '♘'); // b1
+
+            expect(moveValidator.canCastle('white', 'queenside')).toBe(false);
+            expect(moveValidator.canCastle('white', 'kingside')).toBe(true);
+        });
+
+        test('should reject castling out of check', () => {
+            board.squares[28] = new Piece('rook', 'black', 5, '♜'); // e4 checks along e-file
+
+            expect(moveValidator.canCastle('white', 'kingside')).toBe(false);
+            expect(moveValidator.canCastle('white', 'queenside')).toBe(false);
+        });
+
+        test('should reject castling through an attacked square', () => {
+            board.squares[29] = new Piece('rook', 'black', 5, '♜'); // f4 attacks f1
+
+            expect(moveValidator.canCastle('white', 'kingside')).toBe(false);
+            expect(moveValidator.canCastle('white', 'queenside')).toBe(true);
+        });
+
+        test('should reject castling into check', () => {
+            board.squares[26] = new Piece('rook', 'black', 5, '♜'); // c4 attacks c1
+
+            expect(moveValidator.canCastle('white', 'queenside')).toBe(false);
+            expect(moveValidator.isValidMove(60, 58)).toBe(false);
+        });
+
+        test('should allow queenside castling when only b1 is attacked', () => {
+            board.squares[25] = new Piece('rook', 'black', 5, '♜'); // b4 attacks b1 only
+
+            expect(moveValidator.canCastle('white', 'queenside')).toBe(true);
+        });
+
+        test('should reject castling when the rook is missing', () => {
+            board.squares[63] = null;
+
+            expect(moveValidator.canCastle('white', 'kingside')).toBe(false);
+        });
+
+        test('should handle black castling', () => {
+            board.squares[7] = new Piece('rook', 'black', 5, '♜');
+            gameState.switchPlayer();
+
+            expect(moveValidator.canCastle('black', 'kingside')).toBe(true);
+            expect(moveValidator.canCastle('black', 'queenside')).toBe(false); // no a8 rook
+            expect(moveValidator.isValidMove(4, 6)).toBe(true);
+        });
+    });
+
+    describe('En Passant', () => {
+        test('should validate en passant capture against the target square', () => {
+            board.squares[60] = new Piece('king', 'white', 1000, '♔');
+            board.squares[4] = new Piece('king', 'black', 1000, '♚');
+            board.squares[28] = new Piece('pawn', 'white', 1, '♙'); // e5
+            board.squares[29] = new Piece('pawn', 'black', 1, '♟'); // f5
+            gameState.enPassantTarget = 21; // f6
+
+            expect(moveValidator.isValidMove(28, 21)).toBe(true);
+        });
+
+        test('should reject en passant that exposes the king along the rank', () => {
+            // White king a5, white pawn b5, black pawn c5 (just pushed), black rook h5
+            board.squares[24] = new Piece('king', 'white', 1000, '♔');
+            board.squares[25] = new Piece('pawn', 'white', 1, '♙');
+            board.squares[26] = new Piece('pawn', 'black', 1, '♟');
+            board.squares[31] = new Piece('rook', 'black', 5, '♜');
+            board.squares[4] = new Piece('king', 'black', 1000, '♚');
+            gameState.enPassantTarget = 18; // c6
+
+            expect(moveValidator.isValidMove(25, 18)).toBe(false);
+            expect(
+                moveValidator.getAllLegalMoves('white').some((move) => move.type === 'en_passant')
+            ).toBe(false);
+        });
+
+        test('should allow en passant that removes the checking pawn', () => {
+            // Black pawn e5 (just pushed) checks white king d4; fxe6 e.p. resolves it
+            board.squares[35] = new Piece('king', 'white', 1000, '♔'); // d4
+            board.squares[29] = new Piece('pawn', 'white', 1, '♙'); // f5
+            board.squares[28] = new Piece('pawn', 'black', 1, '♟'); // e5
+            board.squares[0] = new Piece('king', 'black', 1000, '♚');
+            gameState.enPassantTarget = 20; // e6
+
+            expect(moveValidator.isInCheck('white')).toBe(true);
+            expect(moveValidator.isValidMove(29, 20)).toBe(true);
+        });
+    });
+
+    describe('Square Attack Detection', () => {
+        test('should detect pawn attacks on empty squares', () => {
+            board.squares[36] = new Piece('pawn', 'white', 1, '♙'); // e4
+
+            expect(moveValidator.isSquareAttacked(27, 'white')).toBe(true); // d5
+            expect(moveValidator.isSquareAttacked(29, 'white')).toBe(true); // f5
+            expect(moveValidator.isSquareAttacked(28, 'white')).toBe(false); // e5 (push only)
+        });
+
+        test('should stop sliding attacks at the first blocker', () => {
+            board.squares[0] = new Piece('rook', 'black', 5, '♜'); // a8
+            board.squares[24] = new Piece('pawn', 'white', 1, '♙'); // a5
+
+            expect(moveValidator.isSquareAttacked(16, 'black')).toBe(true); // a6
+            expect(moveValidator.isSquareAttacked(24, 'black')).toBe(true); // a5 (blocker)
+            expect(moveValidator.isSquareAttacked(32, 'black')).toBe(false); // a4
+        });
+
+        test('should not wrap knight attacks around the board edge', () => {
+            board.squares[7] = new Piece('knight', 'black', 3, '♞'); // h8
+
+            expect(moveValidator.isSquareAttacked(22, 'black')).toBe(true); // g6
+            expect(moveValidator.isSquareAttacked(8, 'black')).toBe(false); // a7
+        });
+    });
+
     describe('Checkmate Detection', () => {
         test.skip('should detect back rank mate', () => {
             // SKIPPED: Requires rook and king move generation to be implemented
@@ -0,0 +1,332 @@
+// tests/core/PGN.test.js
+
+import { FEN } from '../../src/core/FEN.js';
+import { PGN } from '../../src/core/PGN.js';
+
+const SCHOLARS_MATE = ['e4', 'e5', 'Bc4', 'Nc6', 'Qh5', 'Nf6', 'Qxf7#'];
+
+const KNIGHT_SHUFFLE = ['Nf3', 'Nf6', 'Ng1', 'Ng8'];
+
+const sections = (pgn) => {
+    const [tags, movetext] = pgn.trimEnd().split('\n\n');
+    return { tags: tags.split('\n'), movetext };
+};
+
+describe('PGN', () => {
+    describe('write()', () => {
+        test('should write the Seven Tag Roster in order with defaults', () => {
+            const { tags } = sections(PGN.write({ moves: [] }));
+
+            expect(tags).toEqual([
+                '[Event "?"]',
+                '[Site "?"]',
+                '[Date "????.??.??"]',
+                '[Round "?"]',
+                '[White "?"]',
+                '[Black "?"]',
+                '[Result "*"]',
+            ]);
+        });
+
+        test('should write numbered SAN movetext and the result', () => {
+            const pgn = PGN.write({
+                moves: SCHOLARS_MATE,
+                tags: { Event: 'Casual game', White: 'Alice', Black: 'Bob' },
+                result: '1-0',
+            });
+
+            expect(pgn).toBe(
+                [
+                    '[Event "Casual game"]',
+                    '[Site "?"]',
+                    '[Date "????.??.??"]',
+                    '[Round "?"]',
+                    '[White "Alice"]',
+                    '[Black "Bob"]',
+                    '[Result "1-0"]',
+                    '',
+                    '1. e4 e5 2. Bc4 Nc6 3. Qh5 Nf6 4. Qxf7# 1-0',
+                    '',
+                ].join('\n')
+            );
+        });
+
+        test('should accept move objects and other notations', () => {
+            const { movetext } = sections(
+                PGN.write({ moves: ['e2e4', 'Pe7-e5', { from: 62, to: 45 }, 'Nc6'] })
+            );
+
+            expect(movetext).toBe('1. e4 e5 2. Nf3 Nc6 *');
+        });
+
+        test('should write custom tags after the roster and escape values', () => {
+            const { tags } = sections(
+                PGN.write({
+                    moves: [],
+                    tags: { ECO: 'C20', Annotator: 'A "quoted" \\ name', Result: '1-0' },
+                    result: '1/2-1/2',
+                })
+            );
+
+            expect(tags.slice(6)).toEqual([
+                '[Result "1/2-1/2"]',
+                '[ECO "C20"]',
+                '[Annotator "A \\"quoted\\" \\\\ name"]',
+            ]);
+        });
+
+        test('should write SetUp and FEN tags and number from a black start', () => {
+            const fen = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1';
+            const { tags, movetext } = sections(PGN.write({ moves: ['c5', 'Nf3'], fen }));
+
+            expect(tags.slice(7)).toEqual(['[SetUp "1"]', `[FEN "${fen}"]`]);
+            expect(movetext).toBe('1... c5 2. Nf3 *');
+        });
+
+        test('should not write SetUp for the initial position', () => {
+            const pgn = PGN.write({ moves: ['e4'], fen: FEN.STARTING_FEN });
+
+            expect(pgn).not.toContain('SetUp');
+            expect(pgn).not.toContain('[FEN');
+        });
+
+        test('should write comments and renumber the black move after one', () => {
+            const { movetext } = sections(
+                PGN.write({
+                    moves: [{ move: 'e4', comment: 'Best by test' }, 'e5', 'Nf3'],
+                    comment: 'Opening}',
+                })
+            );
+
+            expect(movetext).toBe('{Opening)} 1. e4 {Best by test} 1... e5 2. Nf3 *');
+        });
+
+        test('should write NAGs and nested variations from the position before a move', () => {
+            const { movetext } = sections(
+                PGN.write({
+                    moves: [
+                        'e4',
+                        {
+                            move: 'e5',
+                            nags: [2],
+                            variations: [['c5', { move: 'Nf3', variations: [['c3']] }], ['e6']],
+                        },
+                        'Nf3',
+                    ],
+                })
+            );
+
+            expect(movetext).toBe('1. e4 e5 $2 (1... c5 2. Nf3 (2. c3)) (1... e6) 2. Nf3 *');
+        });
+
+        test('should wrap movetext at 80 columns without splitting tokens', () => {
+            const moves = Array.from({ length: 60 }, (_, ply) => KNIGHT_SHUFFLE[ply % 4]);
+            const { movetext } = sections(
+                PGN.write({
+                    moves: [
+                        ...moves.slice(0, 10),
+                        { move: moves[10], comment: 'word '.repeat(40) },
+                        ...moves.slice(11),
+                    ],
+                })
+            );
+            const lines = movetext.split('\n');
+
+            expect(lines.length).toBeGreaterThan(3);
+            lines.forEach((line) => expect(line.length).toBeLessThanOrEqual(80));
+            expect(lines[0].length).toBeGreaterThan(70);
+            expect(lines.join(' ')).toMatch(/^1\. Nf3 Nf6 2\. Ng1 Ng8 3\. Nf3 .* 30\. Ng1 Ng8 \*$/);
+            expect(lines.join(' ')).toContain(`6. Ng1 {${'word '.repeat(39)}word} 6... Ng8`);
+        });
+
+        test('should reject invalid results and illegal moves', () => {
+            expect(() => PGN.write({ moves: [], result: '2-0' })).toThrow(
+                'Invalid PGN result: 2-0'
+            );
+            expect(() => PGN.write({ moves: ['e4', 'e4'] })).toThrow(
+                'Invalid PGN move 2: Illegal move: e4 - no black pawn can move to e4'
+            );
+        });
+    });
+
+    describe('parse()', () => {
+        const MULTI_GAME = [
+            '[Event "Club match"]',
+            '[Site "Berlin"]',
+            '[White "Alice"]',
+            '[Black "Bob \\"B\\" Smith"]',
+            '[Result "1-0"]',
+            '',
+            '% escaped line, ignored',
+            '{Pre-game comment} 1. e4 {[%clk 0:03:00] [%eval 0.17] Best by test} e5 2. Nf3 Nc6',
+            '3. Bb5 $1 (3. Bc4 Nf6 (3... Bc5 4. c3) 4. d4) 3... a6 ; main line',
+            '4. Ba4!? Nf6 5. O-O 1-0',
+            '',
+            '[Event "Second"]',
+            '',
+            '1.d4 d5 2.c4?! dxc4 *',
+        ].join('\n');
+
+        test('should split multi-game files and read tag pairs', () => {
+            const games = PGN.parse(MULTI_GAME);
+
+            expect(games).toHaveLength(2);
+            expect(games[0].tags).toMatchObject({
+                Event: 'Club match',
+                Site: 'Berlin',
+                Black: 'Bob "B" Smith',
+            });
+            expect(games[0].result).toBe('1-0');
+            expect(games.map((game) => game.errors)).toEqual([[], []]);
+            expect(games[1].tags).toEqual({ Event: 'Second' });
+            expect(games[1].result).toBe('*');
+            expect(games[1].moves.map((node) => node.san)).toEqual(['d4', 'd5', 'c4', 'dxc4']);
+            expect(games[1].moves[2].nags).toEqual([6]);
+        });
+
+        test('should replay the main line into legal move objects', () => {
+            const [game] = PGN.parse(MULTI_GAME);
+
+            expect(game.fen).toBe(FEN.STARTING_FEN);
+            expect(game.moves.map((node) => node.san)).toEqual([
+                'e4',
+                'e5',
+                'Nf3',
+                'Nc6',
+                'Bb5',
+                'a6',
+                'Ba4',
+                'Nf6',
+                'O-O',
+            ]);
+            expect(game.moves.map((node) => node.ply)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+            expect(game.moves[8].move).toMatchObject({ type: 'castle', side: 'kingside' });
+        });
+
+        test('should read comments, command annotations and NAGs', () => {
+            const [game] = PGN.parse(MULTI_GAME);
+
+            expect(game.comment).toBe('Pre-game comment');
+            expect(game.moves[0].comment).toBe('Best by test');
+            expect(game.moves[0].commands).toEqual({ clk: '0:03:00', eval: '0.17' });
+            expect(game.moves[4].nags).toEqual([1]);
+            expect(game.moves[5].comment).toBe('main line');
+            expect(game.moves[6].nags).toEqual([5]);
+        });
+
+        test('should read nested variations from the position before the move', () => {
+            const [game] = PGN.parse(MULTI_GAME);
+            const [variation] = game.moves[4].variations;
+
+            expect(variation.map((node) => node.san)).toEqual(['Bc4', 'Nf6', 'd4']);
+            expect(variation[1].variations[0].map((node) => node.san)).toEqual(['Bc5', 'c3']);
+            expect(variation[1].variations[0][0].ply).toBe(6);
+        });
+
+        test('should keep the comment before a variation', () => {
+            const [game] = PGN.parse('1. e4 c5 (1... {Classical} e5 2. Nf3) 2. Nf3 *');
+            const [variation] = game.moves[1].variations;
+
+            expect(variation[0]).toMatchObject({ san: 'e5', startingComment: 'Classical' });
+            expect(variation[1].startingComment).toBeNull();
+            expect(game.moves[0].startingComment).toBeNull();
+
+            const [reread] = PGN.parse(PGN.write({ moves: game.moves }));
+            expect(reread.moves).toEqual(game.moves);
+        });
+
+        test('should start from the FEN tag', () => {
+            const fen = '4k3/1P6/8/8/8/8/8/4K3 w - - 0 40';
+            const [game] = PGN.parse(`[SetUp "1"]\n[FEN "${fen}"]\n\n40. b8=Q+ Kd7 *`);
+
+            expect(game.fen).toBe(fen);
+            expect(game.moves[0]).toMatchObject({ ply: 79, san: 'b8=Q+' });
+            expect(game.moves[0].move.promotion).toBe('queen');
+        });
+
+        test('should read what PGN.write() writes', () => {
+            const moves = [{ move: 'e4', comment: 'Best by test' }, 'c5', 'Nf3', 'd6'];
+            const [game] = PGN.parse(PGN.write({ moves, tags: { White: 'Alice' } }));
+
+            expect(game.tags.White).toBe('Alice');
+            expect(game.moves.map((node) => node.san)).toEqual(['e4', 'c5', 'Nf3', 'd6']);
+            expect(game.moves[0].comment).toBe('Best by test');
+        });
+
+        test('should tolerate missing tags, results and move numbers', () => {
+            const [game] = PGN.parse('e4 e5 Nf3');
+
+            expect(game.tags).toEqual({});
+            expect(game.result).toBe('*');
+            expect(game.moves).toHaveLength(3);
+            expect(PGN.parse('')).toEqual([]);
+        });
+
+        test('should report illegal and ambiguous moves per game with their ply', () => {
+            const [illegal] = PGN.parse('1. e4 e5 2. Ke3 Nc6 3. Nf3 *');
+            expect(illegal.errors).toEqual([
+                'Invalid PGN game 1, ply 3 (2. Ke3): Illegal move: Ke3 - no white king can move to e3',
+            ]);
+            expect(illegal.moves.map((node) => node.san)).toEqual(['e4', 'e5']);
+
+            const knights = 'r1bqkb1r/pppppppp/1n3n2/8/8/8/PPPPPPPP/RNBQKBNR b KQkq - 0 1';
+            const games = PGN.parse(`1. e4 *\n\n[FEN "${knights}"]\n\n1... Nd5 *\n\n1. d4 *`);
+            expect(games.map((game) => game.errors)).toEqual([
+                [],
+                [
+                    expect.stringContaining(
+                        'Invalid PGN game 2, ply 2 (1... Nd5): Ambiguous move: Nd5'
+                    ),
+                ],
+                [],
+            ]);
+            expect(games[2].moves.map((node) => node.san)).toEqual(['d4']);
+
+            const [variation] = PGN.parse('1. e4 (e5 d4 (1. c4)) e5 *');
+            expect(variation.errors).toEqual([
+                'Invalid PGN game 1, ply 1 (1. e5): Illegal move: e5 - no white pawn can move to e5',
+            ]);
+            expect(variation.moves.map((node) => node.san)).toEqual(['e4', 'e5']);
+            expect(variation.moves[0].variations).toEqual([[]]);
+        });
+
+        test('should keep commands in a comment before the first move', () => {
+            const [game] = PGN.parse('{[%clk 0:03:00] Start} 1. e4 (1. {[%eval 0.2]} d4) *');
+
+            expect(game.comment).toBe('[%clk 0:03:00] Start');
+            expect(game.moves[0].variations[0][0].startingComment).toBe('[%eval 0.2]');
+
+            const [reread] = PGN.parse(PGN.write({ moves: game.moves, comment: game.comment }));
+            expect(reread.comment).toBe(game.comment);
+            expect(reread.moves).toEqual(game.moves);
+        });
+
+        test('should close variations left open at the end of the game', () => {
+            const [game, next] = PGN.parse('1. e4 (1. d4 d5 (1... Nf6 *\n\n1. c4 *');
+
+            expect(game.result).toBe('*');
+            expect(game.moves.map((node) => node.san)).toEqual(['e4']);
+            const [variation] = game.moves[0].variations;
+            expect(variation.map((node) => node.san)).toEqual(['d4', 'd5']);
+            expect(variation[1].variations[0].map((node) => node.san)).toEqual(['Nf6']);
+            expect(next.moves.map((node) => node.san)).toEqual(['c4']);
+        });
+
+        test('should skip broken variation structure', () => {
+            const [early] = PGN.parse('(1. e4) 1. d4 *');
+            expect(early.errors).toEqual(['Invalid PGN game 1: variation before any move']);
+            expect(early.moves.map((node) => node.san)).toEqual(['d4']);
+
+            const [stray] = PGN.parse('1. e4 ) e5 (1... c5)) 2. Nf3 *');
+            expect(stray.errors).toEqual([]);
+            expect(stray.moves.map((node) => node.san)).toEqual(['e4', 'e5', 'Nf3']);
+            expect(stray.moves[1].variations[0].map((node) => node.san)).toEqual(['c5']);
+        });
+    });
+
+    describe('formatDate()', () => {
+        test('should format dates as YYYY.MM.DD', () => {
+            expect(PGN.formatDate(new Date(2024, 0, 5))).toBe('2024.01.05');
+        });
+    });
+});
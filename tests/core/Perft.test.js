@@ -0,0 +1,169 @@
+// tests/core/Perft.test.js
+
+import { Perft } from '../../src/core/Perft.js';
+import { FEN } from '../../src/core/FEN.js';
+import { runCli } from '../../src/cli.js';
+
+// Reference node counts from https://www.chessprogramming.org/Perft_Results
+const REFERENCE_POSITIONS = [
+    {
+        name: 'initial position',
+        fen: FEN.STARTING_FEN,
+        counts: [20, 400, 8902],
+    },
+    {
+        name: 'Kiwipete',
+        fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+        counts: [48, 2039, 97862],
+    },
+    {
+        name: 'position 3',
+        fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+        counts: [14, 191, 2812, 43238],
+    },
+    {
+        name: 'position 4',
+        fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+        counts: [6, 264, 9467],
+    },
+    {
+        name: 'position 5',
+        fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+        counts: [44, 1486, 62379],
+    },
+    {
+        name: 'position 6',
+        fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+        counts: [46, 2079, 89890],
+    },
+];
+
+describe('Perft', () => {
+    describe('reference positions', () => {
+        REFERENCE_POSITIONS.forEach(({ name, fen, counts }) => {
+            counts.forEach((expected, index) => {
+                const depth = index + 1;
+
+                test(`${name} depth ${depth} should have ${expected} nodes`, () => {
+                    expect(Perft.fromFEN(fen).perft(depth)).toBe(expected);
+                });
+            });
+        });
+    });
+
+    describe('bitboard backend', () => {
+        REFERENCE_POSITIONS.forEach(({ name, fen, counts }) => {
+            test(`${name} depth 2 should have ${counts[1]} nodes`, () => {
+                expect(Perft.fromFEN(fen, 'bitboard').perft(2)).toBe(counts[1]);
+            });
+        });
+
+        test('should reject unknown backends', () => {
+            expect(() => Perft.fromFEN(FEN.STARTING_FEN, 'magic')).toThrow(
+                'Unknown board backend: magic'
+            );
+        });
+    });
+
+    test('should leave the position unchanged', () => {
+        const fen = REFERENCE_POSITIONS[1].fen;
+        const perft = Perft.fromFEN(fen);
+
+        perft.perft(2);
+
+        expect(FEN.toFEN(perft.board, perft.gameState)).toBe(fen);
+    });
+
+    test('depth 0 should count the root position', () => {
+        expect(Perft.fromFEN(FEN.STARTING_FEN).perft(0)).toBe(1);
+    });
+
+    test('should reject invalid depths', () => {
+        const perft = Perft.fromFEN(FEN.STARTING_FEN);
+
+        expect(() => perft.perft(-1)).toThrow('Invalid perft depth: -1');
+        expect(() => perft.perft(1.5)).toThrow('Invalid perft depth: 1.5');
+        expect(() => perft.divide(0)).toThrow('Invalid divide depth: 0');
+    });
+
+    describe('divide()', () => {
+        test('should list every root move with a total matching perft', () => {
+            const perft = Perft.fromFEN(REFERENCE_POSITIONS[1].fen);
+            const { moves, total } = perft.divide(2);
+
+            expect(moves).toHaveLength(48);
+            expect(total).toBe(2039);
+            expect(moves.reduce((sum, entry) => sum + entry.nodes, 0)).toBe(total);
+            expect(moves.map((entry) => entry.move)).toEqual(
+                [...moves.map((entry) => entry.move)].sort()
+            );
+            expect(moves.find((entry) => entry.move === 'e1g1')).toEqual({
+                move: 'e1g1',
+                nodes: 43,
+            });
+        });
+
+        test('should label promotions with the promotion piece', () => {
+            const { moves } = Perft.fromFEN('n7/1P6/8/8/8/8/8/k6K w - - 0 1').divide(1);
+
+            expect(moves.map((entry) => entry.move)).toEqual(
+                expect.arrayContaining(['b7a8q', 'b7a8r', 'b7a8b', 'b7a8n', 'b7b8q', 'b7b8n'])
+            );
+        });
+    });
+});
+
+describe('CLI', () => {
+    const run = (args) => {
+        const out = [];
+        const err = [];
+        const code = runCli(args, {
+            out: (line) => out.push(line),
+            err: (line) => err.push(line),
+        });
+        return { code, out, err };
+    };
+
+    test('perft should print divide lines and the node total', () => {
+        const { code, out, err } = run(['perft', 'startpos', '2']);
+
+        expect(code).toBe(0);
+        expect(err).toEqual([]);
+        expect(out).toContain('e2e4: 20');
+        expect(out.filter((line) => /^[a-h][1-8][a-h][1-8]: \d+$/.test(line))).toHaveLength(20);
+        expect(out).toContain('Nodes searched: 400');
+    });
+
+    test('perft should accept a --backend option', () => {
+        expect(run(['perft', '--backend=mailbox', 'startpos', '2']).out).toContain(
+            'Nodes searched: 400'
+        );
+        expect(run(['perft', 'startpos', '2', '--backend=bitboard']).out).toContain(
+            'Nodes searched: 400'
+        );
+        expect(run(['perft', '--backend=abacus', 'startpos', '2']).err).toEqual([
+            'Unknown board backend: abacus',
+        ]);
+        expect(run(['perft', '--fast', 'startpos', '2']).err[0]).toMatch(/^Unknown option: --fast/);
+    });
+
+    test('perft should accept a quoted or unquoted FEN', () => {
+        const fen = REFERENCE_POSITIONS[2].fen;
+
+        expect(run(['perft', fen, '2']).out).toContain('Nodes searched: 191');
+        expect(run(['perft', ...fen.split(' '), '2']).out).toContain('Nodes searched: 191');
+    });
+
+    test('should report usage and errors with a non-zero exit code', () => {
+        expect(run([]).code).toBe(1);
+        expect(run(['perft', 'startpos']).err[0]).toMatch(/^Usage:/);
+        expect(run(['bench']).err[0]).toMatch(/^Unknown command: bench/);
+        expect(run(['perft', 'startpos', 'x']).err).toEqual([
+            'Invalid depth: x must be a positive integer',
+        ]);
+
+        const invalid = run(['perft', '8/8/8 w - - 0 1', '1']);
+        expect(invalid.code).toBe(1);
+        expect(invalid.err[0]).toContain('Invalid FEN');
+    });
+});
@@ -0,0 +1,102 @@
+// tests/core/Position.test.js
+
+import { Board } from '../../src/core/Board.js';
+import { ChessGame } from '../../src/core/ChessGame.js';
+import { FEN } from '../../src/core/FEN.js';
+import { Position } from '../../src/core/Position.js';
+
+const AFTER_E4 = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1';
+
+describe('Position', () => {
+    test('should read and write FEN', () => {
+        const position = Position.fromFEN(AFTER_E4);
+
+        expect(position.toFEN()).toBe(AFTER_E4);
+        expect(position.turn).toBe('black');
+        expect(position.fullmoveNumber).toBe(1);
+        expect(position.pieceAt('e4')).toEqual({ type: 'pawn', color: 'white' });
+        expect(position.pieceAt(36)).toBe(position.pieceAt('e4'));
+        expect(position.pieceAt('e2')).toBeNull();
+        expect(() => Position.fromFEN('not a fen')).toThrow('Invalid FEN');
+    });
+
+    test('should play moves into new positions', () => {
+        const start = Position.initial();
+        const next = start.play('e4');
+
+        expect(next).not.toBe(start);
+        expect(next.toFEN()).toBe(AFTER_E4);
+        expect(start.toFEN()).toBe(FEN.STARTING_FEN);
+        expect(next.play('e7e5').play('Ng1-f3').toFEN()).toBe(
+            'rnbqkbnr/pppp1ppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2'
+        );
+        expect(() => start.play('e5')).toThrow('Illegal move');
+    });
+
+    test('should be frozen all the way down', () => {
+        const position = Position.initial();
+
+        expect(Object.isFrozen(position)).toBe(true);
+        expect(Object.isFrozen(position.squares)).toBe(true);
+        expect(Object.isFrozen(position.squares[0])).toBe(true);
+        expect(Object.isFrozen(position.castlingRights.white)).toBe(true);
+        expect(() => {
+            position.turn = 'black';
+        }).toThrow(TypeError);
+        expect(() => {
+            position.squares[0] = null;
+        }).toThrow(TypeError);
+    });
+
+    test('should compare by value', () => {
+        const transposed = Position.initial().play('Nf3').play('Nf6').play('Ng1').play('Ng8');
+
+        expect(Position.initial().play('e4').equals(Position.fromFEN(AFTER_E4))).toBe(true);
+        expect(Position.initial().equals(Position.fromFEN(FEN.STARTING_FEN))).toBe(true);
+        // Same pieces and hash, different clocks
+        expect(transposed.hash).toBe(Position.initial().hash);
+        expect(transposed.equals(Position.initial())).toBe(false);
+        expect(Position.initial().equals(FEN.STARTING_FEN)).toBe(false);
+    });
+
+    test('should list legal moves in any notation', () => {
+        const position = Position.initial();
+
+        expect(position.legalMoves()).toHaveLength(20);
+        expect(position.legalMoves('san')).toContain('Nf3');
+        expect(position.legalMoves('uci')).toContain('g1f3');
+    });
+
+    test('should detect check, checkmate and stalemate', () => {
+        const mated = Position.initial().play('f3').play('e5').play('g4').play('Qh4#');
+        const stalemate = Position.fromFEN('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1');
+
+        expect(mated.isCheck()).toBe(true);
+        expect(mated.isCheckmate()).toBe(true);
+        expect(mated.legalMoves()).toEqual([]);
+        expect(stalemate.isCheck()).toBe(false);
+        expect(stalemate.isStalemate()).toBe(true);
+    });
+
+    test('should snapshot a board without following later changes', () => {
+        const board = new Board();
+        const { gameState } = FEN.parse(FEN.STARTING_FEN);
+        board.setupInitialBoard();
+        const position = Position.fromBoard(board, gameState);
+
+        board.squares[0] = null;
+        expect(position.pieceAt('a8')).toEqual({ type: 'rook', color: 'black' });
+
+        const copy = position.toBoard();
+        copy.board.squares[1] = null;
+        expect(position.pieceAt('b8')).toEqual({ type: 'knight', color: 'black' });
+    });
+
+    test('should be available from ChessGame', () => {
+        const game = new ChessGame();
+        game.makeMove('e4');
+
+        expect(game.getPosition().equals(Position.fromFEN(AFTER_E4))).toBe(true);
+        expect(game.getPosition().hash).toBe(game.getHash());
+    });
+});
@@ -0,0 +1,185 @@
+// tests/core/SAN.test.js
+
+import { FEN } from '../../src/core/FEN.js';
+import { MoveValidator } from '../../src/core/MoveValidator.js';
+import { SAN } from '../../src/core/SAN.js';
+import { algebraicToIndex } from '../../src/utils/Coordinates.js';
+
+const KIWIPETE = 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1';
+
+const position = (fen = FEN.STARTING_FEN) => FEN.parse(fen);
+
+const san = (fen, from, to, promotion) => {
+    const { board, gameState } = position(fen);
+    return SAN.fromMove(
+        { from: algebraicToIndex(from), to: algebraicToIndex(to), promotion },
+        board,
+        gameState
+    );
+};
+
+const parse = (fen, text) => {
+    const { board, gameState } = position(fen);
+    return SAN.toMove(text, board, gameState);
+};
+
+describe('SAN', () => {
+    describe('fromMove()', () => {
+        test('should format pawn pushes, piece moves and captures', () => {
+            expect(san(FEN.STARTING_FEN, 'e2', 'e4')).toBe('e4');
+            expect(san(FEN.STARTING_FEN, 'g1', 'f3')).toBe('Nf3');
+            expect(san(KIWIPETE, 'd5', 'e6')).toBe('dxe6');
+            expect(san(KIWIPETE, 'e5', 'f7')).toBe('Nxf7');
+            expect(san(KIWIPETE, 'f3', 'h3')).toBe('Qxh3');
+        });
+
+        test('should format castling', () => {
+            expect(san(KIWIPETE, 'e1', 'g1')).toBe('O-O');
+            expect(san(KIWIPETE, 'e1', 'c1')).toBe('O-O-O');
+        });
+
+        test('should format en passant as a pawn capture', () => {
+            const fen = 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3';
+            expect(san(fen, 'e5', 'f6')).toBe('exf6');
+        });
+
+        test('should disambiguate by file, then rank, then square', () => {
+            expect(san('4k3/8/8/8/8/8/8/R4RK1 w - - 0 1', 'a1', 'd1')).toBe('Rad1');
+            expect(san('4k3/R7/8/8/8/8/8/R3K3 w - - 0 1', 'a1', 'a4')).toBe('R1a4');
+            expect(san('4k3/8/8/8/8/Q1Q5/8/Q3K3 w - - 0 1', 'a3', 'b2')).toBe('Qa3b2');
+        });
+
+        test('should not disambiguate against pinned pieces', () => {
+            expect(san('4k3/8/8/8/5N2/8/1N6/K7 w - - 0 1', 'f4', 'd3')).toBe('Nfd3');
+            // The b2 knight is pinned by the d4 bishop, so only the f4 knight can go to d3
+            expect(san('4k3/8/8/8/3b1N2/8/1N6/K7 w - - 0 1', 'f4', 'd3')).toBe('Nd3');
+        });
+
+        test('should format promotions with check and mate marks', () => {
+            expect(san('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1', 'b7', 'b8', 'queen')).toBe('b8=Q+');
+            expect(san('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1', 'b7', 'b8', 'knight')).toBe('b8=N');
+            expect(san('6k1/1P3ppp/8/8/8/8/8/4K3 w - - 0 1', 'b7', 'b8', 'rook')).toBe('b8=R#');
+        });
+
+        test('should mark checkmate', () => {
+            const fen = 'rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq - 0 2';
+            expect(san(fen, 'd8', 'h4')).toBe('Qh4#');
+        });
+
+        test('should leave the position unchanged', () => {
+            const { board, gameState } = position(KIWIPETE);
+            const before = FEN.toFEN(board, gameState);
+
+            SAN.fromMove(
+                { from: algebraicToIndex('e5'), to: algebraicToIndex('f7') },
+                board,
+                gameState
+            );
+
+            expect(FEN.toFEN(board, gameState)).toBe(before);
+            expect(gameState.positionHistory).toHaveLength(1);
+        });
+
+        test('should reject illegal moves', () => {
+            expect(() => san(FEN.STARTING_FEN, 'e2', 'e5')).toThrow(
+                'Illegal move: e2e5 is not legal in this position'
+            );
+        });
+    });
+
+    describe('toMove()', () => {
+        test('should parse pawn, piece and capture moves', () => {
+            expect(parse(FEN.STARTING_FEN, 'e4')).toMatchObject({
+                from: algebraicToIndex('e2'),
+                to: algebraicToIndex('e4'),
+                type: 'double',
+            });
+            expect(parse(FEN.STARTING_FEN, 'Nf3')).toMatchObject({ piece: 'knight' });
+            expect(parse(KIWIPETE, 'dxe6')).toMatchObject({ type: 'capture' });
+            expect(parse(KIWIPETE, 'Bxa6')).toMatchObject({ from: algebraicToIndex('e2') });
+        });
+
+        test('should parse disambiguated moves', () => {
+            const fen = 'r3kb1r/pppqpppp/2n2n2/8/8/8/PPP2PPP/R3KBNR b KQkq - 0 1';
+            expect(parse(fen, 'Nd4')).toMatchObject({ from: algebraicToIndex('c6') });
+            expect(parse(fen, 'Rb8')).toMatchObject({ from: algebraicToIndex('a8') });
+
+            const knights = 'r1bqkb1r/pppppppp/1n3n2/8/8/8/PPPPPPPP/RNBQKBNR b KQkq - 0 1';
+            expect(parse(knights, 'Nbd5')).toMatchObject({ from: algebraicToIndex('b6') });
+            expect(parse(knights, 'Nfd5')).toMatchObject({ from: algebraicToIndex('f6') });
+            expect(parse('4k3/R7/8/8/8/8/8/R3K3 w - - 0 1', 'R1a4')).toMatchObject({
+                from: algebraicToIndex('a1'),
+            });
+        });
+
+        test('should parse en passant, castling and promotions', () => {
+            const fen = 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 3';
+            expect(parse(fen, 'exd6')).toMatchObject({ type: 'en_passant' });
+            expect(parse(KIWIPETE, 'O-O-O')).toMatchObject({ type: 'castle', side: 'queenside' });
+            expect(parse(KIWIPETE, '0-0')).toMatchObject({ type: 'castle', side: 'kingside' });
+            expect(parse('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1', 'b8=Q+')).toMatchObject({
+                promotion: 'queen',
+            });
+            expect(parse('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1', 'b8N')).toMatchObject({
+                promotion: 'knight',
+            });
+        });
+
+        test('should accept check marks and annotations', () => {
+            expect(parse(FEN.STARTING_FEN, 'e4!?')).toMatchObject({ to: algebraicToIndex('e4') });
+            expect(parse(KIWIPETE, 'Nxf7+')).toMatchObject({ from: algebraicToIndex('e5') });
+        });
+
+        test('should round-trip every legal move', () => {
+            [KIWIPETE, '4k3/8/8/8/8/Q1Q5/8/Q3K3 w - - 0 1'].forEach((fen) => {
+                const { board, gameState } = position(fen);
+                const legalMoves = new MoveValidator(board, gameState).getAllLegalMoves('white');
+
+                legalMoves.forEach((move) => {
+                    const text = SAN.fromMove(move, board, gameState);
+                    expect(SAN.toMove(text, board, gameState)).toEqual(move);
+                });
+            });
+        });
+
+        test('should reject malformed SAN', () => {
+            expect(() => parse(FEN.STARTING_FEN, 'e9')).toThrow(
+                "Invalid SAN: 'e9' is not a move in algebraic notation"
+            );
+            expect(() => parse(FEN.STARTING_FEN, 'Pe4')).toThrow('Invalid SAN');
+            expect(() => parse(FEN.STARTING_FEN, '')).toThrow('Invalid SAN');
+            expect(() => parse(FEN.STARTING_FEN, 'xe4')).toThrow(
+                "Invalid SAN: 'xe4' - a pawn capture must name its file"
+            );
+        });
+
+        test('should reject missing or misplaced promotions', () => {
+            expect(() => parse('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1', 'b8')).toThrow(
+                "Invalid SAN: 'b8' - a pawn reaching b8 must promote"
+            );
+            expect(() => parse(FEN.STARTING_FEN, 'e4=Q')).toThrow(
+                "Invalid SAN: 'e4=Q' - only a pawn reaching the last rank promotes"
+            );
+        });
+
+        test('should reject illegal moves', () => {
+            expect(() => parse(FEN.STARTING_FEN, 'e5')).toThrow(
+                'Illegal move: e5 - no white pawn can move to e5'
+            );
+            expect(() => parse(FEN.STARTING_FEN, 'O-O')).toThrow(
+                'Illegal move: O-O - white cannot castle kingside now'
+            );
+            // The c3 knight is pinned against the king
+            expect(() => parse('4k3/8/8/b7/8/2N5/8/4K3 w - - 0 1', 'Nd5')).toThrow(
+                'Illegal move: Nd5 - no white knight can move to d5'
+            );
+        });
+
+        test('should reject ambiguous moves', () => {
+            const knights = 'r1bqkb1r/pppppppp/1n3n2/8/8/8/PPPPPPPP/RNBQKBNR b KQkq - 0 1';
+            expect(() => parse(knights, 'Nd5')).toThrow(
+                'Ambiguous move: Nd5 - black knights on b6, f6 can all move to d5'
+            );
+        });
+    });
+});
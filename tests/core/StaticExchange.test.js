@@ -0,0 +1,78 @@
+// tests/core/StaticExchange.test.js
+
+import { StaticExchange } from '../../src/core/StaticExchange.js';
+import { BitboardBoard } from '../../src/core/BitboardBoard.js';
+import { FEN } from '../../src/core/FEN.js';
+import { GameState } from '../../src/core/GameState.js';
+import { MoveCodec } from '../../src/core/MoveCodec.js';
+import { algebraicToIndex } from '../../src/utils/Coordinates.js';
+
+const see = (fen, san, backend = 'mailbox') => {
+    let { board, gameState } = FEN.parse(fen);
+    if (backend === 'bitboard') {
+        board = new BitboardBoard();
+        gameState = new GameState();
+        FEN.load(fen, board, gameState);
+    }
+    return new StaticExchange(board).evaluate(MoveCodec.parse(san, board, gameState));
+};
+
+describe('StaticExchange', () => {
+    test('should win an undefended piece', () => {
+        expect(see('4k3/8/8/3n4/8/8/3R4/4K3 w - - 0 1', 'Rxd5')).toBe(300);
+    });
+
+    test('should lose material capturing a defended pawn with a queen', () => {
+        expect(see('4k3/8/2p5/3p4/8/8/8/3QK3 w - - 0 1', 'Qxd5')).toBe(-800);
+    });
+
+    test('should score an even trade as zero', () => {
+        expect(see('4k3/8/2p5/3n4/8/4N3/8/4K3 w - - 0 1', 'Nxd5')).toBe(0);
+    });
+
+    test('should let sliders behind the capturing piece join in', () => {
+        const doubledRooks = '3rk3/8/8/3p4/8/8/3R4/3RK3 w - - 0 1';
+
+        expect(see(doubledRooks, 'Rxd5')).toBe(100);
+        expect(see('3rk3/8/8/3p4/8/8/3R4/4K3 w - - 0 1', 'Rxd5')).toBe(-400);
+    });
+
+    test('should not let the king recapture a defended piece', () => {
+        expect(see('8/8/4k3/4p3/8/8/4Q3/4R1K1 w - - 0 1', 'Qxe5')).toBe(100);
+        expect(see('8/8/4k3/4p3/8/8/4Q3/6K1 w - - 0 1', 'Qxe5')).toBe(-800);
+    });
+
+    test('should handle en passant and promotions', () => {
+        expect(see('4k3/2p5/8/3pP3/8/8/8/4K3 w - d6 0 2', 'exd6')).toBe(0);
+        expect(see('4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 2', 'exd6')).toBe(100);
+
+        expect(see('7r/P3k3/8/8/8/8/8/4K3 w - - 0 1', 'a8=Q')).toBe(-100);
+        expect(see('8/P3k3/8/8/8/8/8/4K3 w - - 0 1', 'a8=Q')).toBe(800);
+    });
+
+    test('should score quiet moves by whether the piece can be taken', () => {
+        expect(see('4k3/8/8/8/2p5/8/3N4/4K3 w - - 0 1', 'Nb3')).toBe(-300);
+        expect(see('4k3/8/8/8/2p5/8/3N4/4K3 w - - 0 1', 'Nf3')).toBe(0);
+        expect(see('4k3/8/8/8/8/8/8/R3K3 w Q - 0 1', 'O-O-O')).toBe(0);
+    });
+
+    test('should agree between the mailbox and bitboard boards', () => {
+        const cases = [
+            ['3rk3/8/8/3p4/8/8/3R4/3RK3 w - - 0 1', 'Rxd5'],
+            ['8/8/4k3/4p3/8/8/4Q3/4R1K1 w - - 0 1', 'Qxe5'],
+            ['4k3/2p5/8/3pP3/8/8/8/4K3 w - d6 0 2', 'exd6'],
+        ];
+
+        for (const [fen, san] of cases) {
+            expect(see(fen, san, 'bitboard')).toBe(see(fen, san));
+        }
+    });
+
+    test('should find hanging pieces', () => {
+        const { board } = FEN.parse('4k2r/1p6/2n1p3/1P1p4/8/8/8/3RK3 w - - 0 1');
+        const exchange = new StaticExchange(board);
+
+        expect(exchange.getHangingPieces('black')).toEqual([algebraicToIndex('c6')]);
+        expect(exchange.getHangingPieces('white')).toEqual([]);
+    });
+});
@@ -0,0 +1,165 @@
+// tests/core/Zobrist.test.js
+
+import { Zobrist } from '../../src/core/Zobrist.js';
+import { FEN } from '../../src/core/FEN.js';
+import { MoveValidator } from '../../src/core/MoveValidator.js';
+import { algebraicToIndex } from '../../src/utils/Coordinates.js';
+import { POLYGLOT_RANDOM64 } from '../../src/utils/PolyglotRandom64.js';
+
+// Reference keys from the Polyglot book format specification
+const POLYGLOT_EXAMPLES = [
+    { moves: [], fen: FEN.STARTING_FEN, key: 0x463b96181691fc9cn },
+    {
+        moves: ['e2e4'],
+        fen: 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1',
+        key: 0x823c9b50fd114196n,
+    },
+    {
+        moves: ['e2e4', 'd7d5'],
+        fen: 'rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 2',
+        key: 0x0756b94461c50fb0n,
+    },
+    {
+        moves: ['e2e4', 'd7d5', 'e4e5'],
+        fen: 'rnbqkbnr/ppp1pppp/8/3pP3/8/8/PPPP1PPP/RNBQKBNR b KQkq - 0 2',
+        key: 0x662fafb965db29d4n,
+    },
+    {
+        moves: ['e2e4', 'd7d5', 'e4e5', 'f7f5'],
+        fen: 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3',
+        key: 0x22a48b5a8e47ff78n,
+    },
+    {
+        moves: ['e2e4', 'd7d5', 'e4e5', 'f7f5', 'e1e2'],
+        fen: 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPPKPPP/RNBQ1BNR b kq - 1 3',
+        key: 0x652a607ca3f242c1n,
+    },
+    {
+        moves: ['e2e4', 'd7d5', 'e4e5', 'f7f5', 'e1e2', 'e8f7'],
+        fen: 'rnbq1bnr/ppp1pkpp/8/3pPp2/8/8/PPPPKPPP/RNBQ1BNR w - - 2 4',
+        key: 0x00fdd303c946bdd9n,
+    },
+    {
+        moves: ['a2a4', 'b7b5', 'h2h4', 'b5b4', 'c2c4'],
+        fen: 'rnbqkbnr/p1pppppp/8/8/PpP4P/8/1P1PPPP1/RNBQKBNR b KQkq c3 0 3',
+        key: 0x3c8123ea7b067637n,
+    },
+    {
+        moves: ['a2a4', 'b7b5', 'h2h4', 'b5b4', 'c2c4', 'b4c3', 'a1a3'],
+        fen: 'rnbqkbnr/p1pppppp/8/8/P6P/R1p5/1P1PPPP1/1NBQKBNR b Kkq - 1 4',
+        key: 0x5c3f9b829b279560n,
+    },
+];
+
+// Play moves given as from-to pairs ('e2e4'), choosing the matching legal move
+const play = (board, gameState, moves) => {
+    const validator = new MoveValidator(board, gameState);
+
+    return moves.map((text) => {
+        const from = algebraicToIndex(text.slice(0, 2));
+        const to = algebraicToIndex(text.slice(2, 4));
+        const move = validator
+            .getAllLegalMoves(gameState.currentPlayer)
+            .find((candidate) => candidate.from === from && candidate.to === to);
+
+        return board.makeMove(move, gameState);
+    });
+};
+
+describe('Zobrist', () => {
+    test('should use the 781 Polyglot keys', () => {
+        expect(POLYGLOT_RANDOM64).toHaveLength(781);
+        expect(POLYGLOT_RANDOM64[0]).toBe(0x9d39247e33776d41n);
+        expect(POLYGLOT_RANDOM64[780]).toBe(0xf8d626aaaf278509n);
+    });
+
+    test('pieceKey should follow the Polyglot piece and square layout', () => {
+        // Black pawn on a1 is key 0, white pawn on a1 is key 64, white king on h8 is the last
+        expect(Zobrist.pieceKey('pawn', 'black', algebraicToIndex('a1'))).toBe(
+            POLYGLOT_RANDOM64[0]
+        );
+        expect(Zobrist.pieceKey('pawn', 'white', algebraicToIndex('a1'))).toBe(
+            POLYGLOT_RANDOM64[64]
+        );
+        expect(Zobrist.pieceKey('knight', 'black', algebraicToIndex('b1'))).toBe(
+            POLYGLOT_RANDOM64[129]
+        );
+        expect(Zobrist.pieceKey('king', 'white', algebraicToIndex('h8'))).toBe(
+            POLYGLOT_RANDOM64[767]
+        );
+    });
+
+    describe('Polyglot reference positions', () => {
+        POLYGLOT_EXAMPLES.forEach(({ moves, fen, key }) => {
+            const label = moves.length > 0 ? moves.join(' ') : 'starting position';
+            const hex = key.toString(16).padStart(16, '0');
+
+            test(`${label} should hash to ${hex} from FEN`, () => {
+                const { board, gameState } = FEN.parse(fen);
+
+                expect(gameState.getHash()).toBe(key);
+                expect(Zobrist.hashPosition(board, gameState)).toBe(key);
+            });
+
+            test(`${label} should hash to ${hex} incrementally`, () => {
+                const { board, gameState } = FEN.parse(FEN.STARTING_FEN);
+
+                play(board, gameState, moves);
+
+                expect(FEN.toFEN(board, gameState)).toBe(fen);
+                expect(gameState.getHash()).toBe(key);
+            });
+        });
+    });
+
+    test('should restore the hash on unmakeMove', () => {
+        const { board, gameState } = FEN.parse(FEN.STARTING_FEN);
+        const { moves } = POLYGLOT_EXAMPLES[POLYGLOT_EXAMPLES.length - 1];
+
+        const records = play(board, gameState, moves);
+        records.reverse().forEach((record) => board.unmakeMove(record, gameState));
+
+        expect(gameState.getHash()).toBe(POLYGLOT_EXAMPLES[0].key);
+        expect(gameState.positionHistory).toEqual([POLYGLOT_EXAMPLES[0].key]);
+    });
+
+    test('should match a full recomputation after castling, promotion and en passant', () => {
+        const { board, gameState } = FEN.parse(
+            'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1'
+        );
+        const validator = new MoveValidator(board, gameState);
+
+        const walk = (depth) => {
+            validator.getAllLegalMoves(gameState.currentPlayer).forEach((move) => {
+                const before = gameState.getHash();
+                const record = board.makeMove(move, gameState);
+
+                expect(gameState.getHash()).toBe(Zobrist.hashPosition(board, gameState));
+                if (depth > 1) {
+                    walk(depth - 1);
+                }
+
+                board.unmakeMove(record, gameState);
+                expect(gameState.getHash()).toBe(before);
+            });
+        };
+
+        walk(2);
+    });
+
+    test('promotion should hash the promoted piece', () => {
+        const { board, gameState } = FEN.parse('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1');
+        const validator = new MoveValidator(board, gameState);
+        const hashes = validator
+            .getAllLegalMoves('white')
+            .filter((move) => move.promotion)
+            .map((move) => {
+                const record = board.makeMove(move, gameState);
+                const hash = gameState.getHash();
+                board.unmakeMove(record, gameState);
+                return hash;
+            });
+
+        expect(new Set(hashes).size).toBe(4);
+    });
+});
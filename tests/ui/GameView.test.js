@@ -0,0 +1,117 @@
+// tests/ui/GameView.test.js
+
+import { jest } from '@jest/globals';
+import { ChessGame } from '../../src/core/ChessGame.js';
+import { GameView } from '../../src/ui/GameView.js';
+
+const mockElement = () => ({ textContent: '', classList: { add: jest.fn(), remove: jest.fn() } });
+
+describe('GameView', () => {
+    let game;
+    let renderer;
+    let elements;
+    let squares;
+    let view;
+
+    beforeEach(() => {
+        elements = {
+            'game-status': mockElement(),
+            'move-counter': mockElement(),
+            'move-list': mockElement(),
+        };
+        squares = Array.from({ length: 64 }, mockElement);
+        global.document = {
+            getElementById: jest.fn((id) => elements[id] || null),
+            querySelectorAll: jest.fn(() => squares),
+        };
+
+        game = new ChessGame();
+        renderer = { render: jest.fn() };
+        view = new GameView(game, renderer);
+    });
+
+    afterEach(() => {
+        delete global.document;
+    });
+
+    test('should render the board and status', () => {
+        view.render();
+
+        expect(renderer.render).toHaveBeenCalledWith(game.board.squares);
+        expect(elements['game-status'].textContent).toBe('White to move');
+        expect(elements['move-counter'].textContent).toBe('Move: 1');
+        expect(elements['move-list'].textContent).toBe('');
+    });
+
+    test('should follow moves made on the game', () => {
+        ['e4', 'e5', 'Nf3'].forEach((move) => game.makeMove(move));
+
+        expect(renderer.render).toHaveBeenCalledTimes(3);
+        expect(elements['game-status'].textContent).toBe('Black to move');
+        expect(elements['move-counter'].textContent).toBe('Move: 2');
+        expect(elements['move-list'].textContent).toBe('1. e4 e5 2. Nf3');
+        expect(squares[62].classList.add).toHaveBeenCalledWith('last-move');
+        expect(squares[45].classList.add).toHaveBeenCalledWith('last-move');
+    });
+
+    test('should follow undo, reset and loaded positions', () => {
+        game.makeMove('e4');
+        game.undoMove();
+        expect(elements['move-list'].textContent).toBe('');
+
+        game.fromFEN('4k3/8/8/8/8/8/4r3/4K3 b - - 0 1');
+        game.makeMove('Ra2');
+        expect(elements['move-list'].textContent).toBe('1... Ra2');
+
+        game.reset();
+        expect(renderer.render).toHaveBeenCalledTimes(5);
+        expect(elements['game-status'].textContent).toBe('White to move');
+    });
+
+    test('should describe check and game results', () => {
+        game.fromFEN('4k3/8/8/8/8/8/4r3/4K3 w - - 0 1');
+        expect(view.getStatusText()).toBe('White to move - check');
+
+        game.reset();
+        ['f3', 'e5', 'g4', 'Qh4#'].forEach((move) => game.makeMove(move));
+        expect(elements['game-status'].textContent).toBe('Checkmate - 0-1');
+
+        game.fromFEN('4k3/8/8/8/8/8/8/4K3 w - - 0 1');
+        expect(view.getStatusText()).toBe('Insufficient material - 1/2-1/2');
+    });
+
+    test('should show the result in the status line when the game ends', () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const updateStatus = jest.spyOn(view, 'updateStatus');
+
+        ['f3', 'e5', 'g4', 'Qh4#'].forEach((move) => game.makeMove(move));
+
+        // Once per move and once more when the game ends
+        expect(updateStatus).toHaveBeenCalledTimes(5);
+        expect(elements['game-status'].textContent).toBe('Checkmate - 0-1');
+        expect(log).not.toHaveBeenCalled();
+        log.mockRestore();
+    });
+
+    test('should show a message after the status', () => {
+        view.showMessage('It is not your turn');
+
+        expect(elements['game-status'].textContent).toBe('White to move - It is not your turn');
+    });
+
+    test('should highlight a selection and its moves', () => {
+        view.highlightSelectedSquare(52, [44, 36]);
+
+        expect(squares[52].classList.add).toHaveBeenCalledWith('selected');
+        expect(squares[44].classList.add).toHaveBeenCalledWith('valid-move');
+        expect(squares[36].classList.add).toHaveBeenCalledWith('valid-move');
+    });
+
+    test('should stop following the game when destroyed', () => {
+        view.destroy();
+        game.makeMove('e4');
+
+        expect(renderer.render).not.toHaveBeenCalled();
+        expect(game.listenerCount('move')).toBe(0);
+    });
+});
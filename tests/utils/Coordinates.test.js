@@ -0,0 +1,210 @@
+// tests/utils/Coordinates.test.js
+
+import {
+    FILES,
+    isValidSquare,
+    fileOf,
+    rankOf,
+    squareAt,
+    indexToAlgebraic,
+    algebraicToIndex,
+    mirrorSquare,
+    mirrorFile,
+    squareColor,
+} from '../../src/utils/Coordinates.js';
+import { STARTING_POSITIONS, STARTING_POSITION_KEYS } from '../../src/utils/Constants.js';
+import { Board } from '../../src/core/Board.js';
+import { Rules } from '../../src/core/Rules.js';
+import { Game } from '../../src/core/Game.js';
+import { FEN } from '../../src/core/FEN.js';
+import { MoveGenerator } from '../../src/core/MoveGenerator.js';
+import { BoardRenderer } from '../../src/ui/BoardRenderer.js';
+
+const ALL_SQUARES = Array.from({ length: 64 }, (_, index) => index);
+
+describe('Coordinates', () => {
+    describe('index <-> algebraic', () => {
+        test('should place a8 at index 0 and h1 at index 63', () => {
+            expect(indexToAlgebraic(0)).toBe('a8');
+            expect(indexToAlgebraic(7)).toBe('h8');
+            expect(indexToAlgebraic(56)).toBe('a1');
+            expect(indexToAlgebraic(63)).toBe('h1');
+            expect(indexToAlgebraic(36)).toBe('e4');
+        });
+
+        test('should round-trip every square', () => {
+            ALL_SQUARES.forEach((index) => {
+                expect(algebraicToIndex(indexToAlgebraic(index))).toBe(index);
+            });
+        });
+
+        test('should reject invalid input', () => {
+            expect(() => indexToAlgebraic(64)).toThrow('Invalid square index: 64');
+            expect(() => indexToAlgebraic(-1)).toThrow('Invalid square index: -1');
+            expect(() => algebraicToIndex('i1')).toThrow('Invalid algebraic square: i1');
+            expect(() => algebraicToIndex('a9')).toThrow('Invalid algebraic square: a9');
+            expect(() => algebraicToIndex(null)).toThrow('Invalid algebraic square: null');
+        });
+    });
+
+    describe('file and rank helpers', () => {
+        test('should report files 0-7 and chess ranks 1-8', () => {
+            expect(fileOf(algebraicToIndex('a5'))).toBe(0);
+            expect(fileOf(algebraicToIndex('h2'))).toBe(7);
+            expect(rankOf(algebraicToIndex('c1'))).toBe(1);
+            expect(rankOf(algebraicToIndex('c8'))).toBe(8);
+            expect(FILES[fileOf(algebraicToIndex('g3'))]).toBe('g');
+        });
+
+        test('squareAt should invert fileOf/rankOf and reject off-board coordinates', () => {
+            ALL_SQUARES.forEach((index) => {
+                expect(squareAt(fileOf(index), rankOf(index))).toBe(index);
+            });
+            expect(squareAt(-1, 4)).toBe(-1);
+            expect(squareAt(8, 4)).toBe(-1);
+            expect(squareAt(3, 0)).toBe(-1);
+            expect(squareAt(3, 9)).toBe(-1);
+        });
+
+        test('isValidSquare should accept integers 0-63 only', () => {
+            expect(isValidSquare(0)).toBe(true);
+            expect(isValidSquare(63)).toBe(true);
+            expect(isValidSquare(64)).toBe(false);
+            expect(isValidSquare(-1)).toBe(false);
+            expect(isValidSquare(1.5)).toBe(false);
+        });
+    });
+
+    describe('mirroring', () => {
+        test('mirrorSquare should flip ranks', () => {
+            expect(indexToAlgebraic(mirrorSquare(algebraicToIndex('e2')))).toBe('e7');
+            expect(indexToAlgebraic(mirrorSquare(algebraicToIndex('a1')))).toBe('a8');
+            ALL_SQUARES.forEach((index) => {
+                expect(mirrorSquare(mirrorSquare(index))).toBe(index);
+            });
+        });
+
+        test('mirrorFile should flip files', () => {
+            expect(indexToAlgebraic(mirrorFile(algebraicToIndex('b3')))).toBe('g3');
+            expect(indexToAlgebraic(mirrorFile(algebraicToIndex('h8')))).toBe('a8');
+        });
+    });
+
+    describe('squareColor', () => {
+        test('should color a1 dark and h1 light', () => {
+            expect(squareColor(algebraicToIndex('a1'))).toBe('dark');
+            expect(squareColor(algebraicToIndex('h1'))).toBe('light');
+            expect(squareColor(algebraicToIndex('a8'))).toBe('light');
+            expect(squareColor(algebraicToIndex('d1'))).toBe('light');
+            expect(squareColor(algebraicToIndex('e1'))).toBe('dark');
+        });
+    });
+});
+
+describe('Square indexing agreement across modules', () => {
+    test('Board.setupInitialBoard should match Constants.STARTING_POSITIONS', () => {
+        const board = new Board();
+        board.setupInitialBoard();
+
+        Object.entries(STARTING_POSITIONS).forEach(([color, positions]) => {
+            Object.entries(STARTING_POSITION_KEYS).forEach(([type, key]) => {
+                positions[key].forEach((index) => {
+                    expect(board.squares[index].getType()).toBe(type);
+                    expect(board.squares[index].getColor()).toBe(color);
+                });
+            });
+        });
+
+        expect(board.squares.filter(Boolean)).toHaveLength(32);
+    });
+
+    test('white should start on ranks 1-2 and black on ranks 7-8', () => {
+        const board = new Board();
+        board.setupInitialBoard();
+
+        ALL_SQUARES.forEach((index) => {
+            const piece = board.squares[index];
+            const rank = rankOf(index);
+            if (rank <= 2) {
+                expect(piece.getColor()).toBe('white');
+            } else if (rank >= 7) {
+                expect(piece.getColor()).toBe('black');
+            } else {
+                expect(piece).toBeNull();
+            }
+        });
+        expect(board.squares[algebraicToIndex('e1')].getType()).toBe('king');
+        expect(board.squares[algebraicToIndex('d8')].getType()).toBe('queen');
+    });
+
+    test('Rules.INITIAL_POSITIONS should match Constants.STARTING_POSITIONS', () => {
+        Object.entries(STARTING_POSITION_KEYS).forEach(([type, key]) => {
+            expect(Rules.INITIAL_POSITIONS.white[type]).toEqual(STARTING_POSITIONS.white[key]);
+            expect(Rules.INITIAL_POSITIONS.black[type]).toEqual(STARTING_POSITIONS.black[key]);
+        });
+    });
+
+    test('Rules and Game should convert squares the same way', () => {
+        ALL_SQUARES.forEach((index) => {
+            const algebraic = indexToAlgebraic(index);
+            expect(Rules.positionToAlgebraic(index)).toBe(algebraic);
+            expect(Rules.algebraicToPosition(algebraic)).toBe(index);
+            expect(Game.prototype.indexToSquare(index)).toBe(algebraic);
+            expect(Rules.getSquareColor(index)).toBe(squareColor(index));
+        });
+    });
+
+    test('Rules.isPromotionSquare should use the back rank of the board layout', () => {
+        ALL_SQUARES.forEach((index) => {
+            expect(Rules.isPromotionSquare(index, 'white')).toBe(rankOf(index) === 8);
+            expect(Rules.isPromotionSquare(index, 'black')).toBe(rankOf(index) === 1);
+        });
+    });
+
+    test('FEN should read and write squares in the same orientation', () => {
+        const { board, gameState } = FEN.parse('8/8/8/8/4P3/8/8/k6K b - e3 0 1');
+
+        expect(board.squares[algebraicToIndex('e4')].getType()).toBe('pawn');
+        expect(board.squares[algebraicToIndex('h1')].getColor()).toBe('white');
+        expect(board.squares[algebraicToIndex('a1')].getColor()).toBe('black');
+        expect(gameState.enPassantTarget).toBe(algebraicToIndex('e3'));
+        expect(FEN.toFEN(board, gameState)).toBe('8/8/8/8/4P3/8/8/k6K b - e3 0 1');
+    });
+
+    test('MoveGenerator should push white pawns toward rank 8', () => {
+        const board = new Board();
+        board.setupInitialBoard();
+        const generator = new MoveGenerator(board);
+        const e2 = algebraicToIndex('e2');
+
+        const destinations = generator
+            .generatePawnMoves(board.squares[e2], e2)
+            .map((move) => indexToAlgebraic(move.to));
+
+        expect(destinations.sort()).toEqual(['e3', 'e4']);
+    });
+
+    test('BoardRenderer should color and index squares with the shared convention', () => {
+        const created = [];
+        const originalDocument = global.document;
+        global.document = {
+            getElementById: () => ({ appendChild: (element) => created.push(element) }),
+            createElement: () => {
+                const classes = [];
+                return { classList: { add: (name) => classes.push(name) }, classes, dataset: {} };
+            },
+        };
+
+        try {
+            new BoardRenderer('board');
+        } finally {
+            global.document = originalDocument;
+        }
+
+        expect(created).toHaveLength(64);
+        created.forEach((element, index) => {
+            expect(element.dataset.index).toBe(index);
+            expect(element.classes).toContain(squareColor(index));
+        });
+    });
+});
@@ -0,0 +1,83 @@
+// tests/utils/EventEmitter.test.js
+
+import { jest } from '@jest/globals';
+import { EventEmitter } from '../../src/utils/EventEmitter.js';
+
+describe('EventEmitter', () => {
+    let emitter;
+
+    beforeEach(() => {
+        emitter = new EventEmitter();
+    });
+
+    test('should call listeners in order with the event arguments', () => {
+        const calls = [];
+        emitter.on('move', (a, b) => calls.push(['first', a, b]));
+        emitter.on('move', (a, b) => calls.push(['second', a, b]));
+
+        expect(emitter.emit('move', 1, 2)).toBe(true);
+        expect(calls).toEqual([
+            ['first', 1, 2],
+            ['second', 1, 2],
+        ]);
+    });
+
+    test('should report events without listeners', () => {
+        expect(emitter.emit('move')).toBe(false);
+        expect(emitter.listenerCount('move')).toBe(0);
+    });
+
+    test('should remove listeners with off()', () => {
+        const listener = jest.fn();
+        emitter.on('move', listener).off('move', listener);
+
+        emitter.emit('move');
+        expect(listener).not.toHaveBeenCalled();
+        expect(emitter.listenerCount('move')).toBe(0);
+    });
+
+    test('should call once() listeners a single time', () => {
+        const listener = jest.fn();
+        emitter.once('reset', listener);
+
+        emitter.emit('reset', 'a');
+        emitter.emit('reset', 'b');
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith('a');
+    });
+
+    test('should remove once() listeners by the original function', () => {
+        const listener = jest.fn();
+        emitter.once('reset', listener).off('reset', listener);
+
+        emitter.emit('reset');
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('should finish an emit when a listener removes another', () => {
+        const second = jest.fn();
+        emitter.on('move', () => emitter.off('move', second));
+        emitter.on('move', second);
+
+        emitter.emit('move');
+        emitter.emit('move');
+        expect(second).toHaveBeenCalledTimes(1);
+    });
+
+    test('should remove all listeners of one or every event', () => {
+        emitter.on('move', jest.fn()).on('move', jest.fn()).on('reset', jest.fn());
+
+        emitter.removeAllListeners('move');
+        expect(emitter.listenerCount('move')).toBe(0);
+        expect(emitter.listenerCount('reset')).toBe(1);
+
+        emitter.removeAllListeners();
+        expect(emitter.listenerCount('reset')).toBe(0);
+    });
+
+    test('should reject listeners that are not functions', () => {
+        expect(() => emitter.on('move', null)).toThrow(
+            "Invalid listener for 'move': expected a function"
+        );
+    });
+});